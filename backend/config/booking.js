@@ -0,0 +1,54 @@
+// Booking rules that can be tuned per deployment through environment variables
+
+// Helper to read a whole number setting. Only an unset or unreadable value
+// falls back to the default, so a setting can be 0; settings that cannot be
+// 0 pass a higher minimum.
+const readInteger = (name, defaultValue, min = 0) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? defaultValue : value;
+};
+
+// How many times a booking may be moved to a new date or time
+const MAX_RESCHEDULES_PER_BOOKING = readInteger('MAX_RESCHEDULES_PER_BOOKING', 2);
+
+// Longest weekly recurring booking a student can request at once
+const MAX_RECURRING_WEEKS = readInteger('MAX_RECURRING_WEEKS', 16);
+
+// How long a pending booking holds its slot while waiting for the tutor to confirm
+const PENDING_HOLD_HOURS = readInteger('PENDING_HOLD_HOURS', 24);
+
+// How often the booking scheduler runs, and how late a participant can join
+// before the session is marked as a no-show
+const BOOKING_SCHEDULER_INTERVAL_SECONDS = readInteger('BOOKING_SCHEDULER_INTERVAL_SECONDS', 60, 1);
+const NO_SHOW_GRACE_MINUTES = readInteger('NO_SHOW_GRACE_MINUTES', 15);
+
+// How early participants can check in to a session, and how late a tutor can
+// check in and still count as on time
+const CHECK_IN_OPENS_MINUTES = readInteger('CHECK_IN_OPENS_MINUTES', 15);
+const PUNCTUALITY_GRACE_MINUTES = readInteger('PUNCTUALITY_GRACE_MINUTES', 5);
+
+// Defaults for tutors who have not set their own booking settings
+const DEFAULT_SLOT_MINUTES = readInteger('DEFAULT_SLOT_MINUTES', 30, 15);
+const DEFAULT_MIN_NOTICE_HOURS = readInteger('DEFAULT_MIN_NOTICE_HOURS', 2);
+const DEFAULT_MAX_ADVANCE_DAYS = readInteger('DEFAULT_MAX_ADVANCE_DAYS', 120, 1);
+
+// Refund tiers used when neither the tutor nor the platform has saved a
+// cancellation policy: the first tier whose notice the cancellation beats applies
+const DEFAULT_CANCELLATION_TIERS = [
+  { minHoursBefore: 24, refundPercent: 100 },
+  { minHoursBefore: 2, refundPercent: 50 }
+];
+
+module.exports = {
+  MAX_RESCHEDULES_PER_BOOKING,
+  MAX_RECURRING_WEEKS,
+  PENDING_HOLD_HOURS,
+  BOOKING_SCHEDULER_INTERVAL_SECONDS,
+  NO_SHOW_GRACE_MINUTES,
+  CHECK_IN_OPENS_MINUTES,
+  PUNCTUALITY_GRACE_MINUTES,
+  DEFAULT_SLOT_MINUTES,
+  DEFAULT_MIN_NOTICE_HOURS,
+  DEFAULT_MAX_ADVANCE_DAYS,
+  DEFAULT_CANCELLATION_TIERS
+};
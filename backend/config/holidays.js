@@ -0,0 +1,36 @@
+// Public holidays on which no course sessions are generated.
+// Fixed-date national holidays repeat every year ("MM-DD"). Holidays that
+// move with the lunar calendar (Eid, Durga Puja, ...) change every year, so
+// they are supplied as exact dates through the PUBLIC_HOLIDAYS environment
+// variable, e.g. PUBLIC_HOLIDAYS=2025-03-31,2025-06-07
+const FIXED_HOLIDAYS = {
+  '02-21': 'International Mother Language Day',
+  '03-26': 'Independence Day',
+  '04-14': 'Bengali New Year',
+  '05-01': 'May Day',
+  '12-16': 'Victory Day',
+  '12-25': 'Christmas Day'
+};
+
+const getConfiguredHolidays = () => {
+  return (process.env.PUBLIC_HOLIDAYS || '')
+    .split(',')
+    .map(date => date.trim())
+    .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+};
+
+// Get the holiday name for a "YYYY-MM-DD" day, or null if it is not a holiday
+const getHoliday = (dateKey) => {
+  if (FIXED_HOLIDAYS[dateKey.slice(5)]) {
+    return FIXED_HOLIDAYS[dateKey.slice(5)];
+  }
+  if (getConfiguredHolidays().includes(dateKey)) {
+    return 'Public holiday';
+  }
+  return null;
+};
+
+module.exports = {
+  FIXED_HOLIDAYS,
+  getHoliday
+};
@@ -0,0 +1,39 @@
+// Payment settings that can be tuned per deployment through environment variables
+
+// Which gateway adapters to load. "mock" simulates bKash, Nagad and Rocket
+// locally so the whole payment flow can be tried without merchant accounts.
+const PAYMENT_GATEWAY_MODE = process.env.PAYMENT_GATEWAY_MODE || 'mock';
+
+// Payment methods that are paid online through a gateway; cash and bank
+// transfers are settled outside the app
+const GATEWAY_PAYMENT_METHODS = ['bkash', 'nagad', 'rocket'];
+
+// Shared secret used to sign and check gateway callbacks
+const PAYMENT_CALLBACK_SECRET = process.env.PAYMENT_CALLBACK_SECRET || 'development-payment-secret';
+
+// Public address of this API, which gateways send callbacks to
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// How long a started payment can be reused before a new one is started
+const PAYMENT_SESSION_MINUTES = parseInt(process.env.PAYMENT_SESSION_MINUTES, 10) || 30;
+
+// Refunds larger than this (in BDT) wait for an admin to approve them;
+// smaller cancellation refunds are sent back straight away
+const REFUND_APPROVAL_THRESHOLD = parseFloat(process.env.REFUND_APPROVAL_THRESHOLD) || 5000;
+
+// Share of every session and marketplace sale the platform keeps
+const PLATFORM_COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT) || 15;
+
+// Smallest amount (in BDT) a tutor or seller can ask to be paid out
+const MIN_PAYOUT_AMOUNT = parseFloat(process.env.MIN_PAYOUT_AMOUNT) || 500;
+
+module.exports = {
+  PAYMENT_GATEWAY_MODE,
+  GATEWAY_PAYMENT_METHODS,
+  PAYMENT_CALLBACK_SECRET,
+  API_URL,
+  PAYMENT_SESSION_MINUTES,
+  REFUND_APPROVAL_THRESHOLD,
+  PLATFORM_COMMISSION_PERCENT,
+  MIN_PAYOUT_AMOUNT
+};
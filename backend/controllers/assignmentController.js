@@ -0,0 +1,470 @@
+const fs = require('fs');
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const { deleteFile } = require('../middleware/upload');
+
+// Fields a tutor is allowed to set on an assignment
+const ASSIGNMENT_FIELDS = [
+  'title',
+  'description',
+  'dueDate',
+  'maxMarks',
+  'weight',
+  'allowLateSubmissions',
+  'allowResubmission',
+  'maxAttempts'
+];
+
+// Helper to pick assignment fields from the request body
+const buildAssignmentData = (body) => {
+  const assignmentData = {};
+
+  for (const field of ASSIGNMENT_FIELDS) {
+    if (body[field] !== undefined) {
+      assignmentData[field] = body[field];
+    }
+  }
+
+  return assignmentData;
+};
+
+// Helper to strip storage paths before sending a submission
+const toSubmissionResponse = (submission) => {
+  const { filePath, fileUrl, ...submissionObject } = submission.toObject();
+  submissionObject.hasFile = Boolean(filePath || fileUrl);
+  return submissionObject;
+};
+
+// Helper to strip storage paths before sending an assignment with its submissions
+const toAssignmentResponse = (assignment) => ({
+  ...assignment.toObject(),
+  submissions: assignment.submissions.map(toSubmissionResponse)
+});
+
+// Helper to load a course and check that the logged in tutor owns it
+const findOwnedCourse = async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  if (!course) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  if (course.tutor.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this course' });
+    return null;
+  }
+
+  return course;
+};
+
+// Get assignments of a course (owning tutor or enrolled students)
+const getAssignments = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const userId = req.user._id;
+    const isOwner = course.tutor.toString() === userId.toString();
+
+    if (isOwner) {
+      return res.json({ assignments: course.assignments.map(toAssignmentResponse) });
+    }
+
+    if (!course.isStudentEnrolled(userId)) {
+      return res.status(403).json({ message: 'You must be enrolled to view assignments' });
+    }
+
+    // Students only see their own submissions
+    const assignments = course.assignments.map(assignment => {
+      const assignmentData = assignment.toObject();
+      delete assignmentData.submissions;
+      return {
+        ...assignmentData,
+        mySubmissions: course.getStudentSubmissions(assignment, userId).map(toSubmissionResponse)
+      };
+    });
+
+    res.json({ assignments });
+
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({
+      message: 'Failed to get assignments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create an assignment (owning tutor only)
+const createAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    course.assignments.push(buildAssignmentData(req.body));
+    await course.save();
+
+    res.status(201).json({
+      message: 'Assignment created successfully',
+      assignment: course.assignments[course.assignments.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Create assignment error:', error);
+    res.status(500).json({
+      message: 'Failed to create assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update an assignment (owning tutor only)
+const updateAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const assignment = course.assignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const updateData = buildAssignmentData(req.body);
+
+    // Marks already given must still fit within the new maximum
+    if (updateData.maxMarks !== undefined) {
+      const highestMarks = Math.max(0, ...assignment.submissions
+        .filter(submission => submission.graded)
+        .map(submission => submission.marks));
+
+      if (parseFloat(updateData.maxMarks) < highestMarks) {
+        return res.status(400).json({
+          message: `Maximum marks cannot be lower than the highest marks already given (${highestMarks})`
+        });
+      }
+    }
+
+    assignment.set(updateData);
+    await course.save();
+
+    res.json({
+      message: 'Assignment updated successfully',
+      assignment: toAssignmentResponse(assignment)
+    });
+
+  } catch (error) {
+    console.error('Update assignment error:', error);
+    res.status(500).json({
+      message: 'Failed to update assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete an assignment without submissions (owning tutor only)
+const deleteAssignment = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const assignment = course.assignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (assignment.submissions.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete an assignment that has submissions' });
+    }
+
+    assignment.deleteOne();
+    await course.save();
+
+    res.json({ message: 'Assignment deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete assignment error:', error);
+    res.status(500).json({
+      message: 'Failed to delete assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Submit an assignment file (enrolled students only)
+const submitAssignment = async (req, res) => {
+  try {
+    if (!req.file || req.file.fieldname !== 'assignmentSubmission') {
+      return res.status(400).json({ message: 'Submission file is required' });
+    }
+
+    const studentId = req.user._id;
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.isStudentEnrolled(studentId)) {
+      return res.status(403).json({ message: 'You must be enrolled to submit assignments' });
+    }
+
+    const assignment = course.assignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const now = new Date();
+    const isLate = Boolean(assignment.dueDate) && now > assignment.dueDate;
+
+    if (isLate && !assignment.allowLateSubmissions) {
+      return res.status(400).json({ message: 'The due date for this assignment has passed' });
+    }
+
+    // Enforce the assignment's resubmission rules
+    const previousSubmissions = course.getStudentSubmissions(assignment, studentId);
+    if (previousSubmissions.length > 0) {
+      if (!assignment.allowResubmission) {
+        return res.status(400).json({ message: 'Resubmission is not allowed for this assignment' });
+      }
+      if (previousSubmissions.length >= assignment.maxAttempts) {
+        return res.status(400).json({
+          message: `You have used all ${assignment.maxAttempts} attempts for this assignment`
+        });
+      }
+    }
+
+    assignment.submissions.push({
+      student: studentId,
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      attempt: previousSubmissions.length + 1,
+      isLate,
+      submittedAt: now
+    });
+
+    await course.save();
+
+    res.status(201).json({
+      message: isLate ? 'Assignment submitted after the due date' : 'Assignment submitted successfully',
+      submission: toSubmissionResponse(assignment.submissions[assignment.submissions.length - 1])
+    });
+
+  } catch (error) {
+    console.error('Submit assignment error:', error);
+
+    if (req.file) {
+      deleteFile(req.file.path);
+    }
+
+    res.status(500).json({
+      message: 'Failed to submit assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get all submissions for an assignment (owning tutor only)
+const getSubmissions = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    await course.populate('assignments.submissions.student', 'firstName lastName email profilePicture');
+
+    const assignment = course.assignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const { graded } = req.query;
+    let submissions = assignment.submissions;
+    if (graded !== undefined) {
+      submissions = submissions.filter(submission => submission.graded === (graded === 'true'));
+    }
+
+    res.json({
+      assignment: {
+        _id: assignment._id,
+        title: assignment.title,
+        dueDate: assignment.dueDate,
+        maxMarks: assignment.maxMarks
+      },
+      submissions: submissions.map(toSubmissionResponse),
+      totalSubmissions: submissions.length,
+      lateSubmissions: submissions.filter(submission => submission.isLate).length
+    });
+
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({
+      message: 'Failed to get submissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Grade a submission (owning tutor only)
+const gradeSubmission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const assignment = course.assignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const submission = assignment.submissions.id(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const marks = parseFloat(req.body.marks);
+    if (marks > assignment.maxMarks) {
+      return res.status(400).json({
+        message: `Marks cannot be more than the maximum of ${assignment.maxMarks}`
+      });
+    }
+
+    submission.marks = marks;
+    submission.feedback = req.body.feedback;
+    submission.graded = true;
+    submission.gradedAt = new Date();
+    submission.gradedBy = req.user._id;
+
+    await course.save();
+
+    res.json({
+      message: 'Submission graded successfully',
+      submission: toSubmissionResponse(submission)
+    });
+
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(500).json({
+      message: 'Failed to grade submission',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the logged in student's grades for a course
+const getMyGrades = async (req, res) => {
+  try {
+    const studentId = req.user._id;
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.isStudentEnrolled(studentId)) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    const grades = course.assignments.map(assignment => {
+      const submission = course.getLatestSubmission(assignment, studentId);
+
+      return {
+        assignmentId: assignment._id,
+        title: assignment.title,
+        dueDate: assignment.dueDate,
+        maxMarks: assignment.maxMarks,
+        submitted: Boolean(submission),
+        attempts: course.getStudentSubmissions(assignment, studentId).length,
+        submittedAt: submission ? submission.submittedAt : null,
+        isLate: submission ? submission.isLate : false,
+        graded: submission ? submission.graded : false,
+        marks: submission && submission.graded ? submission.marks : null,
+        feedback: submission && submission.graded ? submission.feedback : null
+      };
+    });
+
+    res.json({
+      courseId: course._id,
+      courseTitle: course.title,
+      grades
+    });
+
+  } catch (error) {
+    console.error('Get my grades error:', error);
+    res.status(500).json({
+      message: 'Failed to get grades',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Download a submitted file (the owning tutor or the student who submitted it)
+const downloadSubmission = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const assignment = course.assignments.id(req.params.assignmentId);
+    const submission = assignment && assignment.submissions.id(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const canDownload = course.tutor.toString() === userId || submission.student.toString() === userId;
+    if (!canDownload) {
+      return res.status(403).json({ message: 'Not authorized to download this submission' });
+    }
+
+    const filePath = submission.filePath || submission.fileUrl;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Submission file is no longer available' });
+    }
+
+    res.download(filePath, submission.fileName);
+
+  } catch (error) {
+    console.error('Download submission error:', error);
+    res.status(500).json({
+      message: 'Failed to download submission',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAssignments,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getSubmissions,
+  gradeSubmission,
+  downloadSubmission,
+  getMyGrades
+};
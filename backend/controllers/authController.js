@@ -39,7 +39,8 @@ const register = async (req, res) => {
       workExperience,
       skillSet,
       hourlyRate,
-      availableHours
+      availableHours,
+      timezone
     } = req.body;
 
     // Check if user already exists
@@ -61,7 +62,8 @@ const register = async (req, res) => {
       email: email.toLowerCase(),
       password,
       role: role || 'student',
-      phone: phone ? phone.trim() : undefined
+      phone: phone ? phone.trim() : undefined,
+      timezone
     };
 
     // Add role-specific fields
@@ -282,6 +284,45 @@ const updateProfile = async (req, res) => {
       }
     }
 
+    if (updateData.blackoutDates && typeof updateData.blackoutDates === 'string') {
+      try {
+        updateData.blackoutDates = JSON.parse(updateData.blackoutDates);
+      } catch (error) {
+        return res.status(400).json({
+          message: 'Invalid blackout dates format'
+        });
+      }
+    }
+
+    if (updateData.extraHours && typeof updateData.extraHours === 'string') {
+      try {
+        updateData.extraHours = JSON.parse(updateData.extraHours);
+      } catch (error) {
+        return res.status(400).json({
+          message: 'Invalid extra hours format'
+        });
+      }
+    }
+
+    if (updateData.bookingSettings) {
+      let bookingSettings = updateData.bookingSettings;
+      if (typeof bookingSettings === 'string') {
+        try {
+          bookingSettings = JSON.parse(bookingSettings);
+        } catch (error) {
+          return res.status(400).json({
+            message: 'Invalid booking settings format'
+          });
+        }
+      }
+
+      // Update only the settings that were sent instead of replacing the group
+      delete updateData.bookingSettings;
+      for (const [key, value] of Object.entries(bookingSettings)) {
+        updateData[`bookingSettings.${key}`] = value;
+      }
+    }
+
     if (updateData.learningGoals && typeof updateData.learningGoals === 'string') {
       updateData.learningGoals = updateData.learningGoals.split(',').map(s => s.trim());
     }
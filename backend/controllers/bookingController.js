@@ -1,13 +1,65 @@
 const { validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const SlotLock = require('../models/SlotLock');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Invoice = require('../models/Invoice');
+const { issueCertificateIfComplete } = require('../utils/certificates');
+const { requestBookingRefund } = require('../utils/refunds');
+const { recordBookingEarning } = require('../utils/ledger');
+const {
+  parseTime,
+  formatTime,
+  toDateKey,
+  startOfDay,
+  getDayName,
+  addDays,
+  isValidTimezone,
+  toZonedParts,
+  zonedTimeToUtc
+} = require('../utils/time');
+const {
+  holdingBookingsFilter,
+  resolveSlot,
+  getAvailabilityWindows,
+  checkTutorSlot
+} = require('../utils/bookingSlots');
+const {
+  MAX_RESCHEDULES_PER_BOOKING,
+  PENDING_HOLD_HOURS,
+  CHECK_IN_OPENS_MINUTES
+} = require('../config/booking');
 
-// Get available time slots for a tutor
+// Helper to get the timezone the requester works in: an explicit timezone
+// parameter, then their profile, then the given fallback
+const getRequesterTimezone = (req, fallback) => {
+  return req.query.timezone ||
+    (req.body && req.body.timezone) ||
+    (req.user && req.user.timezone) ||
+    fallback;
+};
+
+// Helper to get how long a pending booking holds its slot; never past the session itself
+const getPendingHoldExpiry = (endAt, now = new Date()) => {
+  return new Date(Math.min(now.getTime() + PENDING_HOLD_HOURS * 60 * 60 * 1000, endAt.getTime()));
+};
+
+// Helper to get the free time a tutor keeps after each session; slot locks cover it too
+const getBufferMinutes = (tutor) => {
+  return (tutor.bookingSettings && tutor.bookingSettings.bufferMinutes) || 0;
+};
+
+// Get available time slots for a tutor, in the requester's timezone
 const getTutorAvailability = async (req, res) => {
   try {
     const { tutorId } = req.params;
-    const { date } = req.query; // Format: YYYY-MM-DD
+    const { date } = req.query; // Format: YYYY-MM-DD, in the requester's timezone
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ message: 'Valid date is required (YYYY-MM-DD format)' });
+    }
 
     // Find the tutor and their available hours
     const tutor = await User.findById(tutorId);
@@ -15,37 +67,76 @@ const getTutorAvailability = async (req, res) => {
       return res.status(404).json({ message: 'Tutor not found or not approved' });
     }
 
-    const requestedDate = new Date(date);
-    const dayOfWeek = requestedDate.toLocaleDateString('en-US', { weekday: 'long' });
+    const timezone = getRequesterTimezone(req, tutor.timezone);
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    // The requested day, from midnight to midnight on the requester's clock
+    const dayStart = zonedTimeToUtc(date, '00:00', timezone);
+    const dayEnd = zonedTimeToUtc(addDays(startOfDay(date), 1), '00:00', timezone);
+    const dayOfWeek = getDayName(date);
 
-    // Get tutor's available hours for this day
-    const dayAvailability = tutor.availableHours.find(ah => ah.day === dayOfWeek);
-    if (!dayAvailability) {
+    const windows = getAvailabilityWindows(tutor, dayStart, dayEnd);
+    if (windows.length === 0) {
       return res.json({
         tutorId,
         date,
         dayOfWeek,
+        timezone,
         availableSlots: [],
         message: 'Tutor is not available on this day'
       });
     }
 
-    // Get existing bookings for this date
+    const settings = tutor.bookingSettings;
+    const bufferMs = settings.bufferMinutes * 60 * 1000;
+    const windowsStart = new Date(Math.min(...windows.map(window => window.startAt)));
+    const windowsEnd = new Date(Math.max(...windows.map(window => window.endAt)));
+
+    // Get existing bookings near the windows, and on the same tutor days for the daily cap
     const existingBookings = await Booking.find({
       tutor: tutorId,
-      sessionDate: {
-        $gte: new Date(date + 'T00:00:00.000Z'),
-        $lt: new Date(date + 'T23:59:59.999Z')
-      },
-      status: { $in: ['confirmed', 'in-progress'] }
+      $and: [
+        holdingBookingsFilter(),
+        {
+          $or: [
+            {
+              startAt: { $lt: new Date(windowsEnd.getTime() + bufferMs) },
+              endAt: { $gt: new Date(windowsStart.getTime() - bufferMs) }
+            },
+            { sessionDate: { $in: windows.map(window => startOfDay(window.dateKey)) } }
+          ]
+        }
+      ]
     });
 
-    // Generate time slots (30-minute intervals)
+    // Tutor days that already hold their maximum number of sessions
+    const fullDays = new Set();
+    if (settings.maxSessionsPerDay) {
+      const sessionsPerDay = {};
+      for (const booking of existingBookings) {
+        const dateKey = toDateKey(booking.sessionDate);
+        sessionsPerDay[dateKey] = (sessionsPerDay[dateKey] || 0) + 1;
+      }
+      for (const [dateKey, count] of Object.entries(sessionsPerDay)) {
+        if (count >= settings.maxSessionsPerDay) fullDays.add(dateKey);
+      }
+    }
+
+    // Generate time slots at the tutor's slot length
+    const now = new Date();
     const availableSlots = generateTimeSlots(
-      dayAvailability.startTime,
-      dayAvailability.endTime,
+      windows.filter(window => !fullDays.has(window.dateKey)),
       existingBookings,
-      30 // 30-minute slots
+      settings,
+      {
+        dayStart,
+        dayEnd,
+        timezone,
+        earliestStart: new Date(now.getTime() + settings.minNoticeHours * 60 * 60 * 1000),
+        latestStart: new Date(now.getTime() + settings.maxAdvanceDays * 24 * 60 * 60 * 1000)
+      }
     );
 
     res.json({
@@ -54,6 +145,9 @@ const getTutorAvailability = async (req, res) => {
       hourlyRate: tutor.hourlyRate,
       date,
       dayOfWeek,
+      timezone,
+      tutorTimezone: tutor.timezone,
+      bookingSettings: settings,
       availableSlots,
       totalSlots: availableSlots.length
     });
@@ -67,50 +161,44 @@ const getTutorAvailability = async (req, res) => {
   }
 };
 
-// Helper function to generate time slots
-const generateTimeSlots = (startTime, endTime, existingBookings, intervalMinutes) => {
+// Helper function to generate time slots.
+// Slots are laid out from the start of each availability window and kept if
+// they start on the requested day within the tutor's notice and horizon, and
+// stay clear of existing bookings by the tutor's buffer. Times are shown on
+// the requester's clock.
+const generateTimeSlots = (windows, existingBookings, settings, { dayStart, dayEnd, timezone, earliestStart, latestStart }) => {
   const slots = [];
-  const start = parseTime(startTime);
-  const end = parseTime(endTime);
-  
-  let current = start;
-  
-  while (current < end) {
-    const slotStart = formatTime(current);
-    const slotEnd = formatTime(current + intervalMinutes);
-    
-    // Check if this slot conflicts with existing bookings
-    const isBooked = existingBookings.some(booking => {
-      const bookingStart = parseTime(booking.startTime);
-      const bookingEnd = parseTime(booking.endTime);
-      return current < bookingEnd && (current + intervalMinutes) > bookingStart;
-    });
-    
-    if (!isBooked && (current + intervalMinutes) <= end) {
-      slots.push({
-        startTime: slotStart,
-        endTime: slotEnd,
-        duration: intervalMinutes,
-        available: true
-      });
+  const intervalMs = settings.slotMinutes * 60 * 1000;
+  const bufferMs = settings.bufferMinutes * 60 * 1000;
+
+  for (const window of windows) {
+    for (let current = window.startAt.getTime(); current + intervalMs <= window.endAt.getTime(); current += intervalMs) {
+      const slotStart = new Date(current);
+      const slotEnd = new Date(current + intervalMs);
+
+      if (slotStart < dayStart || slotStart >= dayEnd) continue;
+      if (slotStart < earliestStart || slotStart > latestStart) continue;
+
+      // Check if this slot conflicts with existing bookings
+      const isBooked = existingBookings.some(booking =>
+        slotStart.getTime() < booking.endAt.getTime() + bufferMs &&
+        slotEnd.getTime() > booking.startAt.getTime() - bufferMs
+      );
+
+      if (!isBooked) {
+        slots.push({
+          startTime: toZonedParts(slotStart, timezone).time,
+          endTime: toZonedParts(slotEnd, timezone).time,
+          startAt: slotStart,
+          endAt: slotEnd,
+          duration: settings.slotMinutes,
+          available: true
+        });
+      }
     }
-    
-    current += intervalMinutes;
   }
-  
-  return slots;
-};
 
-// Helper functions for time parsing
-const parseTime = (timeString) => {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  return hours * 60 + minutes;
-};
-
-const formatTime = (minutes) => {
-  const hours = Math.floor(minutes / 60);
-  const mins = minutes % 60;
-  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+  return slots.sort((a, b) => a.startAt - b.startAt);
 };
 
 // Create a booking
@@ -133,7 +221,8 @@ const createBooking = async (req, res) => {
       duration, // in minutes
       paymentMethod,
       notes,
-      sessionObjectives
+      sessionObjectives,
+      syllabusTopics
     } = req.body;
 
     const studentId = req.user._id;
@@ -150,48 +239,22 @@ const createBooking = async (req, res) => {
       return res.status(404).json({ message: 'Course not found or does not belong to this tutor' });
     }
 
-    // Check if the time slot is still available
-    const requestedDate = new Date(sessionDate);
-    const dayOfWeek = requestedDate.toLocaleDateString('en-US', { weekday: 'long' });
-    
-    // Verify tutor availability for this day
-    const dayAvailability = tutor.availableHours.find(ah => ah.day === dayOfWeek);
-    if (!dayAvailability) {
-      return res.status(400).json({ message: 'Tutor is not available on this day' });
+    // Linked syllabus topics must come from this course
+    const topicIds = Array.isArray(syllabusTopics) ? syllabusTopics : [];
+    if (topicIds.some(topicId => !course.syllabus.id(topicId))) {
+      return res.status(400).json({ message: 'Syllabus topic not found in this course' });
     }
 
-    // Check if requested time is within tutor's available hours
-    const requestedStartMinutes = parseTime(startTime);
-    const requestedEndMinutes = parseTime(endTime);
-    const availableStartMinutes = parseTime(dayAvailability.startTime);
-    const availableEndMinutes = parseTime(dayAvailability.endTime);
-
-    if (requestedStartMinutes < availableStartMinutes || requestedEndMinutes > availableEndMinutes) {
-      return res.status(400).json({ 
-        message: 'Requested time is outside tutor\'s available hours' 
-      });
+    // The student picks times on their own clock; the booking stores the tutor's
+    const slot = resolveSlot(tutor, sessionDate, startTime, endTime, getRequesterTimezone(req, tutor.timezone));
+    if (slot.startAt <= new Date()) {
+      return res.status(400).json({ message: 'Session must start in the future' });
     }
 
-    // Check for conflicting bookings
-    const conflictingBooking = await Booking.findOne({
-      tutor: tutorId,
-      sessionDate: {
-        $gte: new Date(sessionDate + 'T00:00:00.000Z'),
-        $lt: new Date(sessionDate + 'T23:59:59.999Z')
-      },
-      status: { $in: ['confirmed', 'in-progress'] },
-      $or: [
-        {
-          startTime: { $lt: endTime },
-          endTime: { $gt: startTime }
-        }
-      ]
-    });
-
-    if (conflictingBooking) {
-      return res.status(409).json({ 
-        message: 'This time slot is already booked. Please choose another time.' 
-      });
+    // Check if the time slot is still available
+    const slotProblem = await checkTutorSlot(tutor, slot);
+    if (slotProblem) {
+      return res.status(slotProblem.status).json({ message: slotProblem.message });
     }
 
     // Calculate total amount
@@ -203,19 +266,42 @@ const createBooking = async (req, res) => {
       student: studentId,
       tutor: tutorId,
       course: courseId,
-      sessionDate: new Date(sessionDate),
-      startTime,
-      endTime,
+      sessionDate: slot.sessionDate,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
       duration,
       totalAmount,
       paymentMethod: paymentMethod || 'cash',
       notes,
       sessionObjectives: Array.isArray(sessionObjectives) ? sessionObjectives : [],
+      syllabusTopics: topicIds,
       meetingLink: tutor.googleMeetLink || `https://meet.google.com/${tutor._id.toString().substring(0, 12)}`,
-      status: 'pending'
+      status: 'pending',
+      holdExpiresAt: getPendingHoldExpiry(slot.endAt)
     });
 
-    await booking.save();
+    // Reserve the time atomically; of two students racing for it only one wins
+    const reserved = await SlotLock.acquire(
+      tutor._id,
+      booking._id,
+      slot.startAt,
+      slot.endAt,
+      booking.holdExpiresAt,
+      getBufferMinutes(tutor)
+    );
+    if (!reserved) {
+      return res.status(409).json({ message: 'This time slot was just booked by someone else. Please choose another time.' });
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await SlotLock.release(booking._id);
+      throw error;
+    }
 
     // Populate the booking with user and course details
     await booking.populate([
@@ -259,7 +345,7 @@ const getUserBookings = async (req, res) => {
       .populate('student', 'firstName lastName email profilePicture')
       .populate('tutor', 'firstName lastName email profilePicture hourlyRate')
       .populate('course', 'title description')
-      .sort({ sessionDate: -1, startTime: -1 })
+      .sort({ startAt: -1 })
       .limit(parseInt(limit))
       .skip(parseInt(skip));
 
@@ -299,6 +385,47 @@ const getUpcomingBookings = async (req, res) => {
   }
 };
 
+// Get one booking (student or tutor).
+// The tutor's private notes are only included for the tutor.
+const getBookingById = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId)
+      .select('+tutorNotes')
+      .populate('student', 'firstName lastName email profilePicture')
+      .populate('tutor', 'firstName lastName email profilePicture hourlyRate')
+      .populate('course', 'title description');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const isTutor = booking.tutor._id.toString() === userId;
+    if (!isTutor && booking.student._id.toString() !== userId) {
+      return res.status(403).json({ message: 'Not authorized to access this booking' });
+    }
+
+    const bookingObject = booking.toJSON();
+    if (!isTutor) {
+      delete bookingObject.tutorNotes;
+    }
+
+    // Paid bookings link to their invoice at GET /:bookingId/invoice
+    const invoice = await Invoice.findOne({ booking: booking._id, number: { $exists: true } })
+      .sort({ issuedAt: -1 })
+      .select('number issuedAt');
+
+    res.json({ booking: bookingObject, invoice });
+
+  } catch (error) {
+    console.error('Get booking error:', error);
+    res.status(500).json({
+      message: 'Failed to get booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Confirm booking (tutor only)
 const confirmBooking = async (req, res) => {
   try {
@@ -319,6 +446,13 @@ const confirmBooking = async (req, res) => {
       return res.status(400).json({ message: 'Only pending bookings can be confirmed' });
     }
 
+    // Keep the slot until the session ends; it may have been taken if the hold lapsed
+    const tutor = await User.findById(booking.tutor).select('bookingSettings');
+    const held = await SlotLock.extend(booking, booking.endAt, getBufferMinutes(tutor));
+    if (!held) {
+      return res.status(409).json({ message: 'This time slot has since been booked by someone else' });
+    }
+
     await booking.confirm();
     await booking.populate([
       { path: 'student', select: 'firstName lastName email' },
@@ -339,6 +473,43 @@ const confirmBooking = async (req, res) => {
   }
 };
 
+// Helper to quote the refund for a participant cancelling a booking under
+// the tutor's cancellation policy
+const quoteCancellation = async (booking, userId, now = new Date()) => {
+  const policy = await CancellationPolicy.getForTutor(booking.tutor);
+  const cancelledBy = booking.tutor.toString() === userId.toString() ? 'tutor' : 'student';
+  return policy.quote(booking, cancelledBy, now);
+};
+
+// Preview the refund for cancelling a booking now, without cancelling it
+const getCancellationQuote = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (!booking.canBeCancelled()) {
+      return res.status(400).json({ message: `Cannot cancel a ${booking.status} booking` });
+    }
+
+    const quote = await quoteCancellation(booking, req.user._id);
+
+    res.json({
+      quote: {
+        ...quote,
+        totalAmount: booking.totalAmount,
+        currency: booking.currency
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation quote error:', error);
+    res.status(500).json({
+      message: 'Failed to get cancellation quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Cancel booking
 const cancelBooking = async (req, res) => {
   try {
@@ -359,24 +530,22 @@ const cancelBooking = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to cancel this booking' });
     }
 
-    // Calculate refund amount based on cancellation time
-    const now = new Date();
-    const sessionDateTime = new Date(booking.sessionDate);
-    const hoursUntilSession = (sessionDateTime - now) / (1000 * 60 * 60);
-    
-    let refundAmount = 0;
-    if (hoursUntilSession > 24) {
-      refundAmount = booking.totalAmount; // Full refund if cancelled 24+ hours before
-    } else if (hoursUntilSession > 2) {
-      refundAmount = booking.totalAmount * 0.5; // 50% refund if cancelled 2-24 hours before
+    if (!booking.canBeCancelled()) {
+      return res.status(400).json({ message: `Cannot cancel a ${booking.status} booking` });
     }
-    // No refund if cancelled less than 2 hours before
 
-    await booking.cancel(reason, refundAmount);
+    const quote = await quoteCancellation(booking, userId);
+    await booking.cancel(reason, quote);
+
+    const refund = quote.refundAmount > 0
+      ? await requestBookingRefund(booking, quote.refundAmount, reason || 'Booking cancelled', 'cancellation', userId)
+      : null;
 
     res.json({
       message: 'Booking cancelled successfully',
-      refundAmount,
+      refundAmount: quote.refundAmount,
+      refundPercent: quote.refundPercent,
+      refund,
       booking
     });
 
@@ -389,6 +558,544 @@ const cancelBooking = async (req, res) => {
   }
 };
 
+// Create a weekly recurring booking (students only).
+// Every occurrence is checked like a single booking; the ones that can be
+// booked are created as a linked series and the rest are reported back.
+const createRecurringBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      tutorId,
+      courseId,
+      startDate,
+      startTime,
+      endTime,
+      duration, // in minutes
+      weeks,
+      paymentMethod,
+      notes,
+      sessionObjectives,
+      syllabusTopics
+    } = req.body;
+
+    const studentId = req.user._id;
+
+    // Verify tutor exists and is approved
+    const tutor = await User.findById(tutorId);
+    if (!tutor || tutor.role !== 'tutor' || !tutor.isApproved) {
+      return res.status(404).json({ message: 'Tutor not found or not approved' });
+    }
+
+    // Verify course exists and belongs to the tutor
+    const course = await Course.findById(courseId);
+    if (!course || course.tutor.toString() !== tutorId) {
+      return res.status(404).json({ message: 'Course not found or does not belong to this tutor' });
+    }
+
+    // Linked syllabus topics must come from this course
+    const topicIds = Array.isArray(syllabusTopics) ? syllabusTopics : [];
+    if (topicIds.some(topicId => !course.syllabus.id(topicId))) {
+      return res.status(400).json({ message: 'Syllabus topic not found in this course' });
+    }
+
+    const timezone = getRequesterTimezone(req, tutor.timezone);
+    const firstDate = startOfDay(startDate);
+    if (firstDate < startOfDay(toZonedParts(new Date(), timezone).dateKey)) {
+      return res.status(400).json({ message: 'Start date cannot be in the past' });
+    }
+
+    const series = new BookingSeries({
+      student: studentId,
+      tutor: tutorId,
+      course: courseId,
+      dayOfWeek: getDayName(firstDate),
+      startTime,
+      endTime,
+      timezone,
+      duration,
+      startDate: firstDate,
+      weeks: parseInt(weeks)
+    });
+
+    // Calculate total amount per session
+    const totalAmount = Math.round(tutor.hourlyRate * (duration / 60));
+
+    // Check and reserve every weekly occurrence; the series repeats on the student's clock
+    const available = [];
+    const failed = [];
+    for (let week = 0; week < parseInt(weeks); week++) {
+      const occurrenceDate = addDays(firstDate, week * 7);
+      const slot = resolveSlot(tutor, occurrenceDate, startTime, endTime, timezone);
+      let slotProblem = slot.startAt <= new Date()
+        ? { message: 'Session must start in the future' }
+        : await checkTutorSlot(tutor, slot);
+
+      const booking = new Booking({
+        student: studentId,
+        tutor: tutorId,
+        course: courseId,
+        series: series._id,
+        sessionDate: slot.sessionDate,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        timezone: slot.timezone,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        duration,
+        totalAmount,
+        paymentMethod: paymentMethod || 'cash',
+        notes,
+        sessionObjectives: Array.isArray(sessionObjectives) ? sessionObjectives : [],
+        syllabusTopics: topicIds,
+        meetingLink: tutor.googleMeetLink || `https://meet.google.com/${tutor._id.toString().substring(0, 12)}`,
+        status: 'pending',
+        holdExpiresAt: getPendingHoldExpiry(slot.endAt)
+      });
+
+      if (!slotProblem) {
+        const reserved = await SlotLock.acquire(
+          tutor._id,
+          booking._id,
+          slot.startAt,
+          slot.endAt,
+          booking.holdExpiresAt,
+          getBufferMinutes(tutor)
+        );
+        if (!reserved) {
+          slotProblem = { message: 'This time slot was just booked by someone else' };
+        }
+      }
+
+      if (slotProblem) {
+        failed.push({ date: toDateKey(occurrenceDate), reason: slotProblem.message });
+      } else {
+        available.push(booking);
+      }
+    }
+
+    if (available.length === 0) {
+      return res.status(409).json({
+        message: 'None of the requested dates are available',
+        failed
+      });
+    }
+
+    series.failedDates = failed.map(failure => ({ date: new Date(failure.date), reason: failure.reason }));
+
+    // The series is saved last and everything is undone on failure, so no
+    // series is left without its bookings
+    let bookings;
+    try {
+      bookings = await Booking.insertMany(available);
+      await series.save();
+    } catch (error) {
+      await Booking.deleteMany({ series: series._id });
+      await Promise.all(available.map(booking => SlotLock.release(booking._id)));
+      throw error;
+    }
+
+    res.status(201).json({
+      message: failed.length > 0
+        ? `${bookings.length} of ${weeks} sessions booked. Some dates were not available.`
+        : `All ${bookings.length} sessions booked! Waiting for tutor confirmation.`,
+      series,
+      bookings,
+      failed
+    });
+
+  } catch (error) {
+    console.error('Create recurring booking error:', error);
+    res.status(500).json({
+      message: 'Failed to create recurring booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Helper to load a booking series the logged in user takes part in
+const findParticipantSeries = async (req, res) => {
+  const series = await BookingSeries.findById(req.params.seriesId);
+  if (!series) {
+    res.status(404).json({ message: 'Booking series not found' });
+    return null;
+  }
+
+  if (!series.isParticipant(req.user._id)) {
+    res.status(403).json({ message: 'Not authorized to access this booking series' });
+    return null;
+  }
+
+  return series;
+};
+
+// Get a booking series with its occurrences (student or tutor)
+const getBookingSeries = async (req, res) => {
+  try {
+    const series = await findParticipantSeries(req, res);
+    if (!series) return;
+
+    await series.populate([
+      { path: 'student', select: 'firstName lastName email profilePicture' },
+      { path: 'tutor', select: 'firstName lastName email profilePicture hourlyRate' },
+      { path: 'course', select: 'title' },
+      { path: 'bookings', options: { sort: { startAt: 1 } } }
+    ]);
+
+    res.json({ series });
+
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      message: 'Failed to get booking series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Confirm every pending occurrence of a series at once (tutor only)
+const confirmBookingSeries = async (req, res) => {
+  try {
+    const series = await findParticipantSeries(req, res);
+    if (!series) return;
+
+    if (series.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to confirm this booking series' });
+    }
+
+    if (series.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending booking series can be confirmed' });
+    }
+
+    const pending = await Booking.find({ series: series._id, status: 'pending' }).sort({ startAt: 1 });
+    const tutor = await User.findById(series.tutor).select('bookingSettings');
+
+    // Occurrences whose hold lapsed and whose time was taken stay pending
+    let confirmedCount = 0;
+    const unavailable = [];
+    for (const booking of pending) {
+      const held = await SlotLock.extend(booking, booking.endAt, getBufferMinutes(tutor));
+      if (held) {
+        await booking.confirm();
+        confirmedCount += 1;
+      } else {
+        unavailable.push({ booking: booking._id, date: toDateKey(booking.sessionDate) });
+      }
+    }
+
+    series.status = 'confirmed';
+    await series.save();
+
+    res.json({
+      message: unavailable.length > 0
+        ? `${confirmedCount} sessions confirmed, ${unavailable.length} no longer available`
+        : `${confirmedCount} sessions confirmed`,
+      series,
+      unavailable
+    });
+
+  } catch (error) {
+    console.error('Confirm booking series error:', error);
+    res.status(500).json({
+      message: 'Failed to confirm booking series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Cancel the rest of a series (student or tutor).
+// Occurrences that have already happened are kept; single occurrences can be
+// cancelled through the normal booking cancel endpoint.
+const cancelBookingSeries = async (req, res) => {
+  try {
+    const series = await findParticipantSeries(req, res);
+    if (!series) return;
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({ message: 'This booking series is already cancelled' });
+    }
+
+    const { reason } = req.body;
+
+    const upcoming = await Booking.find({
+      series: series._id,
+      status: { $in: ['pending', 'confirmed'] },
+      startAt: { $gte: new Date() }
+    });
+
+    let totalRefund = 0;
+    const refunds = [];
+    for (const booking of upcoming) {
+      const quote = await quoteCancellation(booking, req.user._id);
+      await booking.cancel(reason, quote);
+      totalRefund += quote.refundAmount;
+
+      if (quote.refundAmount > 0) {
+        const refund = await requestBookingRefund(
+          booking, quote.refundAmount, reason || 'Booking series cancelled', 'cancellation', req.user._id
+        );
+        if (refund) refunds.push(refund);
+      }
+    }
+
+    series.status = 'cancelled';
+    series.cancellationReason = reason;
+    await series.save();
+
+    res.json({
+      message: `${upcoming.length} upcoming sessions cancelled`,
+      refundAmount: totalRefund,
+      refunds,
+      series
+    });
+
+  } catch (error) {
+    console.error('Cancel booking series error:', error);
+    res.status(500).json({
+      message: 'Failed to cancel booking series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Helper to load a booking the logged in user takes part in
+const findParticipantBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found' });
+    return null;
+  }
+
+  const userId = req.user._id.toString();
+  if (booking.student.toString() !== userId && booking.tutor.toString() !== userId) {
+    res.status(403).json({ message: 'Not authorized to access this booking' });
+    return null;
+  }
+
+  return booking;
+};
+
+// Propose a new date and time for a booking (student or tutor)
+const requestReschedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (booking.status !== 'pending' && booking.status !== 'confirmed') {
+      return res.status(400).json({ message: 'Only pending or confirmed bookings can be rescheduled' });
+    }
+
+    if (booking.rescheduleRequest && booking.rescheduleRequest.status === 'pending') {
+      return res.status(400).json({ message: 'A reschedule request is already waiting for a response' });
+    }
+
+    if (booking.rescheduleHistory.length >= MAX_RESCHEDULES_PER_BOOKING) {
+      return res.status(400).json({
+        message: `This booking has already been rescheduled the maximum of ${MAX_RESCHEDULES_PER_BOOKING} times`
+      });
+    }
+
+    const { sessionDate, startTime, reason } = req.body;
+
+    // The session keeps its length, so only the start moves. Times are on the
+    // requester's clock; the request is stored on the tutor's like the booking.
+    const endMinutes = parseTime(startTime) + booking.duration;
+    if (endMinutes > 24 * 60) {
+      return res.status(400).json({ message: 'The session must end on the same day' });
+    }
+    const endTime = formatTime(endMinutes);
+
+    const tutor = await User.findById(booking.tutor);
+    const slot = resolveSlot(tutor, sessionDate, startTime, endTime, getRequesterTimezone(req, tutor.timezone));
+    if (slot.startAt <= new Date()) {
+      return res.status(400).json({ message: 'The new time must be in the future' });
+    }
+
+    const slotProblem = await checkTutorSlot(tutor, slot, booking._id);
+    if (slotProblem) {
+      return res.status(slotProblem.status).json({ message: slotProblem.message });
+    }
+
+    await booking.requestReschedule(slot.sessionDate, slot.startTime, slot.endTime, reason, req.user._id);
+
+    res.json({
+      message: 'Reschedule requested. Waiting for the other party to respond.',
+      booking
+    });
+
+  } catch (error) {
+    console.error('Request reschedule error:', error);
+    res.status(500).json({
+      message: 'Failed to request reschedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Helper to accept or decline the other party's pending reschedule request
+const resolveReschedule = async (req, res, status) => {
+  const booking = await findParticipantBooking(req, res);
+  if (!booking) return;
+
+  const request = booking.rescheduleRequest;
+  if (!request || request.status !== 'pending') {
+    return res.status(400).json({ message: 'There is no pending reschedule request' });
+  }
+
+  if (request.requestedBy.toString() === req.user._id.toString()) {
+    return res.status(403).json({ message: 'The other party must respond to your reschedule request' });
+  }
+
+  if (status === 'accepted') {
+    if (booking.status !== 'pending' && booking.status !== 'confirmed') {
+      return res.status(400).json({ message: 'Only pending or confirmed bookings can be rescheduled' });
+    }
+
+    // The slot may have been taken since the request was made
+    const tutor = await User.findById(booking.tutor);
+    const slot = resolveSlot(
+      tutor,
+      request.newDate,
+      request.newStartTime,
+      request.newEndTime,
+      tutor.timezone
+    );
+    const slotProblem = await checkTutorSlot(tutor, slot, booking._id);
+    if (slotProblem) {
+      return res.status(slotProblem.status).json({
+        message: `The proposed time is no longer available: ${slotProblem.message}`
+      });
+    }
+
+    // Take the new time before giving up the old one; if it is taken the
+    // booking keeps its current locks untouched
+    const expiresAt = booking.status === 'confirmed' ? slot.endAt : getPendingHoldExpiry(slot.endAt);
+    const reserved = await SlotLock.acquire(
+      tutor._id,
+      booking._id,
+      slot.startAt,
+      slot.endAt,
+      expiresAt,
+      getBufferMinutes(tutor)
+    );
+    if (!reserved) {
+      return res.status(409).json({ message: 'The proposed time has just been booked by someone else' });
+    }
+
+    const previous = {
+      startAt: booking.startAt,
+      endAt: booking.endAt,
+      expiresAt: booking.status === 'confirmed' ? booking.endAt : booking.holdExpiresAt
+    };
+
+    // The new slot is on the tutor's current clock
+    booking.timezone = slot.timezone;
+    if (booking.status === 'pending') {
+      booking.holdExpiresAt = expiresAt;
+    }
+
+    try {
+      await booking.resolveRescheduleRequest(status, req.body.note);
+    } catch (error) {
+      // The booking keeps its old time, so it must get its old locks back
+      if (previous.expiresAt && previous.expiresAt > new Date()) {
+        const restored = await SlotLock.acquire(
+          tutor._id,
+          booking._id,
+          previous.startAt,
+          previous.endAt,
+          previous.expiresAt,
+          getBufferMinutes(tutor)
+        );
+        if (!restored) {
+          throw new Error(`Booking ${booking._id} kept its old time but could not get its slot locks back: ${error.message}`);
+        }
+      }
+      throw error;
+    }
+  } else {
+    await booking.resolveRescheduleRequest(status, req.body.note);
+  }
+
+  res.json({
+    message: status === 'accepted' ? 'Booking rescheduled successfully' : 'Reschedule request declined',
+    booking
+  });
+};
+
+// Accept a reschedule request, moving the booking (the other party only)
+const acceptReschedule = async (req, res) => {
+  try {
+    await resolveReschedule(req, res, 'accepted');
+
+  } catch (error) {
+    console.error('Accept reschedule error:', error);
+    res.status(500).json({
+      message: 'Failed to accept reschedule request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Decline a reschedule request, keeping the original time (the other party only)
+const declineReschedule = async (req, res) => {
+  try {
+    await resolveReschedule(req, res, 'declined');
+
+  } catch (error) {
+    console.error('Decline reschedule error:', error);
+    res.status(500).json({
+      message: 'Failed to decline reschedule request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Withdraw your own pending reschedule request
+const withdrawReschedule = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    const request = booking.rescheduleRequest;
+    if (!request || request.status !== 'pending') {
+      return res.status(400).json({ message: 'There is no pending reschedule request' });
+    }
+
+    if (request.requestedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the person who asked can withdraw a reschedule request' });
+    }
+
+    await booking.resolveRescheduleRequest('withdrawn');
+
+    res.json({
+      message: 'Reschedule request withdrawn',
+      booking
+    });
+
+  } catch (error) {
+    console.error('Withdraw reschedule error:', error);
+    res.status(500).json({
+      message: 'Failed to withdraw reschedule request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Complete booking session
 const completeBooking = async (req, res) => {
   try {
@@ -405,7 +1112,33 @@ const completeBooking = async (req, res) => {
       return res.status(403).json({ message: 'Only tutor can mark session as complete' });
     }
 
+    const course = await Course.findById(booking.course);
+
+    // Tutor may record which syllabus topics were actually covered
+    const { syllabusTopics } = req.body;
+    if (Array.isArray(syllabusTopics)) {
+      if (!course || syllabusTopics.some(topicId => !course.syllabus.id(topicId))) {
+        return res.status(400).json({ message: 'Syllabus topic not found in this course' });
+      }
+      booking.syllabusTopics = syllabusTopics;
+    }
+
+    if (booking.status !== 'confirmed' && booking.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Only confirmed or in-progress sessions can be completed' });
+    }
+
+    if (!booking.attendance.studentJoined || !booking.attendance.tutorJoined) {
+      return res.status(400).json({ message: 'Both participants must join a session before it can be completed' });
+    }
+
     await booking.complete();
+    await recordBookingEarning(booking);
+
+    // Count the session towards the student's course progress
+    if (course && course.isStudentEnrolled(booking.student)) {
+      await course.recordCompletedSession(booking.student, booking.syllabusTopics);
+      await issueCertificateIfComplete(course, booking.student);
+    }
 
     res.json({
       message: 'Booking marked as completed',
@@ -421,6 +1154,151 @@ const completeBooking = async (req, res) => {
   }
 };
 
+// Check in to a session (student or tutor).
+// Records the join time and hands back the meeting link to open.
+const checkInBooking = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (booking.status !== 'confirmed' && booking.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Only confirmed or in-progress sessions can be joined' });
+    }
+
+    const now = new Date();
+    const opensAt = new Date(booking.startAt.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000);
+    if (now < opensAt) {
+      return res.status(400).json({
+        message: `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the session starts`,
+        opensAt
+      });
+    }
+
+    if (now > booking.endAt) {
+      return res.status(400).json({ message: 'This session has already ended' });
+    }
+
+    const participant = booking.student.toString() === req.user._id.toString() ? 'student' : 'tutor';
+    await booking.checkIn(participant, now);
+
+    res.json({
+      message: 'Checked in successfully',
+      meetingLink: booking.meetingLink,
+      attendance: booking.attendance
+    });
+
+  } catch (error) {
+    console.error('Check in booking error:', error);
+    res.status(500).json({
+      message: 'Failed to check in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Check out of a session (student or tutor)
+const checkOutBooking = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    const participant = booking.student.toString() === req.user._id.toString() ? 'student' : 'tutor';
+    if (!booking.attendance[`${participant}Joined`]) {
+      return res.status(400).json({ message: 'You have not joined this session' });
+    }
+
+    await booking.checkOut(participant);
+
+    res.json({
+      message: 'Checked out successfully',
+      attendance: booking.attendance
+    });
+
+  } catch (error) {
+    console.error('Check out booking error:', error);
+    res.status(500).json({
+      message: 'Failed to check out',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get a tutor's punctuality record from their session check-ins (public)
+const getTutorPunctuality = async (req, res) => {
+  try {
+    const tutor = await User.findById(req.params.tutorId);
+    if (!tutor || tutor.role !== 'tutor') {
+      return res.status(404).json({ message: 'Tutor not found' });
+    }
+
+    const punctuality = await Booking.getPunctualityStats(tutor._id);
+
+    res.json({
+      tutorId: tutor._id,
+      punctuality
+    });
+
+  } catch (error) {
+    console.error('Get tutor punctuality error:', error);
+    res.status(500).json({
+      message: 'Failed to get tutor punctuality',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Write the tutor's private notes and the summary shared with the student (tutor only)
+const updateSessionNotes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId).select('+tutorNotes');
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the tutor can write session notes' });
+    }
+
+    const { tutorNotes, sessionSummary } = req.body;
+
+    if (sessionSummary !== undefined) {
+      if (booking.status !== 'in-progress' && booking.status !== 'completed') {
+        return res.status(400).json({ message: 'A summary can only be written once the session has started' });
+      }
+      booking.sessionSummary = sessionSummary;
+      booking.summaryUpdatedAt = new Date();
+    }
+
+    if (tutorNotes !== undefined) {
+      booking.tutorNotes = tutorNotes;
+    }
+
+    await booking.save();
+
+    res.json({
+      message: 'Session notes saved successfully',
+      tutorNotes: booking.tutorNotes,
+      sessionSummary: booking.sessionSummary,
+      summaryUpdatedAt: booking.summaryUpdatedAt
+    });
+
+  } catch (error) {
+    console.error('Update session notes error:', error);
+    res.status(500).json({
+      message: 'Failed to save session notes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Add feedback to booking
 const addBookingFeedback = async (req, res) => {
   try {
@@ -463,8 +1341,22 @@ module.exports = {
   createBooking,
   getUserBookings,
   getUpcomingBookings,
+  getBookingById,
   confirmBooking,
   cancelBooking,
+  getCancellationQuote,
+  createRecurringBooking,
+  getBookingSeries,
+  confirmBookingSeries,
+  cancelBookingSeries,
+  requestReschedule,
+  acceptReschedule,
+  declineReschedule,
+  withdrawReschedule,
   completeBooking,
+  checkInBooking,
+  checkOutBooking,
+  getTutorPunctuality,
+  updateSessionNotes,
   addBookingFeedback
 };
@@ -0,0 +1,194 @@
+const { validationResult } = require('express-validator');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const User = require('../models/User');
+
+// Helper to describe where the policy that applies came from
+const getPolicySource = (policy) => {
+  if (policy.tutor) return 'tutor';
+  return policy.isNew ? 'default' : 'platform';
+};
+
+// Helper to create or replace a saved policy from the request body
+const savePolicy = async (req, res, tutorId, defaultName) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const { name, description, tiers } = req.body;
+
+  let policy = await CancellationPolicy.findOne({ tutor: tutorId });
+  if (!policy) {
+    policy = new CancellationPolicy({ tutor: tutorId });
+  }
+
+  policy.name = name || policy.name || defaultName;
+  if (description !== undefined) policy.description = description;
+  policy.tiers = tiers.map(({ minHoursBefore, refundPercent }) => ({ minHoursBefore, refundPercent }));
+  policy.updatedBy = req.user._id;
+
+  await policy.save();
+  return policy;
+};
+
+// Helper to turn a mongoose validation error into a 400 response
+const sendValidationError = (res, error) => {
+  const validationErrors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    message: 'Validation failed',
+    errors: validationErrors
+  });
+};
+
+// Get the cancellation policy that applies to a tutor's bookings (public)
+const getTutorCancellationPolicy = async (req, res) => {
+  try {
+    const tutor = await User.findOne({ _id: req.params.tutorId, role: 'tutor' }).select('_id');
+    if (!tutor) {
+      return res.status(404).json({ message: 'Tutor not found' });
+    }
+
+    const policy = await CancellationPolicy.getForTutor(tutor._id);
+
+    res.json({
+      policy,
+      source: getPolicySource(policy)
+    });
+
+  } catch (error) {
+    console.error('Get tutor cancellation policy error:', error);
+    res.status(500).json({
+      message: 'Failed to get cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the platform-wide cancellation policy (public)
+const getPlatformCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.getForTutor(null);
+
+    res.json({
+      policy,
+      source: getPolicySource(policy)
+    });
+
+  } catch (error) {
+    console.error('Get platform cancellation policy error:', error);
+    res.status(500).json({
+      message: 'Failed to get cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the logged in tutor's cancellation policy (tutors only)
+const getMyCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.getForTutor(req.user._id);
+
+    res.json({
+      policy,
+      source: getPolicySource(policy)
+    });
+
+  } catch (error) {
+    console.error('Get my cancellation policy error:', error);
+    res.status(500).json({
+      message: 'Failed to get cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Set the logged in tutor's own cancellation policy (tutors only).
+// It applies to cancellations from now on, including of existing bookings.
+const updateMyCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await savePolicy(req, res, req.user._id, 'My cancellation policy');
+    if (!policy) return;
+
+    res.json({
+      message: 'Cancellation policy saved successfully',
+      policy,
+      source: 'tutor'
+    });
+
+  } catch (error) {
+    console.error('Update my cancellation policy error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      message: 'Failed to save cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Remove the logged in tutor's own policy so the platform policy applies (tutors only)
+const deleteMyCancellationPolicy = async (req, res) => {
+  try {
+    const result = await CancellationPolicy.deleteOne({ tutor: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'You have not set your own cancellation policy' });
+    }
+
+    const policy = await CancellationPolicy.getForTutor(req.user._id);
+
+    res.json({
+      message: 'Cancellation policy removed; the platform policy now applies',
+      policy,
+      source: getPolicySource(policy)
+    });
+
+  } catch (error) {
+    console.error('Delete my cancellation policy error:', error);
+    res.status(500).json({
+      message: 'Failed to remove cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Set the platform-wide cancellation policy (admin only)
+const updatePlatformCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await savePolicy(req, res, null, 'Standard cancellation policy');
+    if (!policy) return;
+
+    res.json({
+      message: 'Platform cancellation policy saved successfully',
+      policy,
+      source: 'platform'
+    });
+
+  } catch (error) {
+    console.error('Update platform cancellation policy error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      message: 'Failed to save cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTutorCancellationPolicy,
+  getPlatformCancellationPolicy,
+  getMyCancellationPolicy,
+  updateMyCancellationPolicy,
+  deleteMyCancellationPolicy,
+  updatePlatformCancellationPolicy
+};
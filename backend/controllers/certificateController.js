@@ -0,0 +1,171 @@
+const fs = require('fs');
+const { validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const { generateCertificatePdf, getVerificationUrl } = require('../utils/certificates');
+
+// Verify a certificate by its code (public)
+const verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({
+      verificationCode: req.params.code.trim().toUpperCase()
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        valid: false,
+        message: 'No certificate found with this verification code'
+      });
+    }
+
+    res.json({
+      message: certificate.isValid
+        ? 'This certificate is authentic'
+        : 'This certificate has been revoked',
+      certificate: certificate.toVerification()
+    });
+
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      message: 'Failed to verify certificate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the logged in student's certificates
+const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ student: req.user._id })
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      certificates: certificates.map(certificate => ({
+        ...certificate.toResponse(),
+        verificationUrl: getVerificationUrl(certificate.verificationCode)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get my certificates error:', error);
+    res.status(500).json({
+      message: 'Failed to get certificates',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the certificates issued for a course (owning tutor or admin)
+const getCourseCertificates = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (req.user.role !== 'admin' && course.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view certificates for this course' });
+    }
+
+    const certificates = await Certificate.find({ course: course._id })
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      certificates: certificates.map(certificate => certificate.toResponse())
+    });
+
+  } catch (error) {
+    console.error('Get course certificates error:', error);
+    res.status(500).json({
+      message: 'Failed to get certificates',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Download a certificate PDF (its student, the course tutor or an admin)
+const downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findById(req.params.id);
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const canDownload = req.user.role === 'admin' ||
+      certificate.student.toString() === userId ||
+      certificate.tutor.toString() === userId;
+
+    if (!canDownload) {
+      return res.status(403).json({ message: 'Not authorized to download this certificate' });
+    }
+
+    if (!certificate.isValid) {
+      return res.status(400).json({ message: 'This certificate has been revoked' });
+    }
+
+    // Render the PDF again if it was never written or has been removed
+    if (!certificate.filePath || !fs.existsSync(certificate.filePath)) {
+      certificate.filePath = await generateCertificatePdf(certificate);
+      await certificate.save();
+    }
+
+    res.download(certificate.filePath, `certificate-${certificate.verificationCode}.pdf`);
+
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({
+      message: 'Failed to download certificate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Revoke a certificate (the course tutor or an admin)
+const revokeCertificate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const certificate = await Certificate.findById(req.params.id);
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    if (req.user.role !== 'admin' && certificate.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to revoke this certificate' });
+    }
+
+    if (!certificate.isValid) {
+      return res.status(400).json({ message: 'Certificate has already been revoked' });
+    }
+
+    await certificate.revoke(req.user._id, req.body.reason);
+
+    res.json({
+      message: 'Certificate revoked successfully',
+      certificate: certificate.toResponse()
+    });
+
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke certificate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  verifyCertificate,
+  getMyCertificates,
+  getCourseCertificates,
+  downloadCertificate,
+  revokeCertificate
+};
@@ -0,0 +1,795 @@
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const CourseSession = require('../models/CourseSession');
+const { deleteFile } = require('../middleware/upload');
+const { escapeRegExp } = require('../utils/text');
+
+// Fields a tutor is allowed to set on their own course
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'department',
+  'category',
+  'level',
+  'price',
+  'duration',
+  'maxStudents',
+  'syllabus',
+  'schedule',
+  'prerequisites',
+  'learningOutcomes',
+  'tags',
+  'startDate',
+  'endDate',
+  'meetingLink',
+  'isPublic'
+];
+
+// Fields that may arrive as JSON strings from multipart forms
+const JSON_FIELDS = ['syllabus', 'schedule'];
+
+// Fields that may arrive as comma separated strings from multipart forms
+const LIST_FIELDS = ['prerequisites', 'learningOutcomes', 'tags'];
+
+// Helper to pick and normalize course fields from the request body
+const buildCourseData = (body) => {
+  const courseData = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      courseData[field] = body[field];
+    }
+  }
+
+  for (const field of JSON_FIELDS) {
+    if (typeof courseData[field] === 'string') {
+      courseData[field] = JSON.parse(courseData[field]);
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (typeof courseData[field] === 'string') {
+      courseData[field] = courseData[field]
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+    }
+  }
+
+  return courseData;
+};
+
+// Helper to strip tutor-only data before sending a course to other users
+const toPublicCourse = (course) => {
+  const courseObject = course.toObject();
+  delete courseObject.enrolledStudents;
+  delete courseObject.waitlist;
+  delete courseObject.assignments;
+  // Resource files are only served to enrolled students through the download endpoint
+  courseObject.resources = (courseObject.resources || []).map(resource => ({
+    _id: resource._id,
+    title: resource.title,
+    type: resource.type,
+    order: resource.order
+  }));
+  return courseObject;
+};
+
+// Helper to fill free seats from the waitlist and keep User.enrolledCourses
+// and upcoming session attendees in sync
+const promoteWaitlistedStudents = async (courseId) => {
+  const promoted = await Course.promoteFromWaitlist(courseId);
+
+  if (promoted.length > 0) {
+    await User.updateMany(
+      { _id: { $in: promoted } },
+      { $addToSet: { enrolledCourses: courseId } }
+    );
+    await CourseSession.addAttendees(courseId, promoted);
+  }
+
+  return promoted;
+};
+
+// Get all public courses with filters
+const getCourses = async (req, res) => {
+  try {
+    const {
+      department,
+      category,
+      level,
+      minPrice,
+      maxPrice,
+      tags,
+      tutor,
+      search,
+      page = 1,
+      limit = 12
+    } = req.query;
+
+    const filter = {
+      status: 'published',
+      isPublic: true
+    };
+
+    if (department && ['CSE', 'EEE', 'BBA'].includes(department)) {
+      filter.department = department;
+    }
+
+    if (category) {
+      filter.category = category;
+    }
+
+    if (level) {
+      filter.level = level;
+    }
+
+    // Price range filter
+    if (minPrice || maxPrice) {
+      filter.price = {};
+      if (minPrice) filter.price.$gte = parseFloat(minPrice);
+      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+    }
+
+    // Tags filter (matches any of the given tags)
+    if (tags) {
+      const tagList = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      filter.tags = { $in: tagList };
+    }
+
+    if (tutor) {
+      filter.tutor = tutor;
+    }
+
+    if (search) {
+      const searchRegex = new RegExp(escapeRegExp(search), 'i');
+      filter.$or = [
+        { title: searchRegex },
+        { description: searchRegex },
+        { tags: { $in: [searchRegex] } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const courses = await Course.find(filter)
+      .select('-reviews')
+      .populate('tutor', 'firstName lastName profilePicture rating department')
+      .sort({ 'rating.average': -1, createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const totalCourses = await Course.countDocuments(filter);
+
+    res.json({
+      courses: courses.map(toPublicCourse),
+      totalCourses,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCourses / parseInt(limit)),
+      hasMore: skip + parseInt(limit) < totalCourses
+    });
+
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({
+      message: 'Failed to get courses',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get course details by ID
+const getCourseById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id)
+      .populate('tutor', 'firstName lastName email profilePicture rating department skillSet hourlyRate')
+      .populate('reviews.student', 'firstName lastName profilePicture');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const isOwner = req.user && course.tutor._id.toString() === req.user._id.toString();
+    const isAdmin = req.user && req.user.role === 'admin';
+
+    // Private or unpublished courses are only visible to their tutor and admins
+    if (!course.isPubliclyVisible() && !isOwner && !isAdmin) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Only the tutor and admins can see the enrolled student list and submissions
+    if (isOwner || isAdmin) {
+      return res.json({ course });
+    }
+
+    res.json({
+      course: {
+        ...toPublicCourse(course),
+        isEnrolled: req.user ? course.isStudentEnrolled(req.user._id) : false,
+        waitlistPosition: req.user ? course.getWaitlistPosition(req.user._id) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course by ID error:', error);
+    res.status(500).json({
+      message: 'Failed to get course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get courses taught by the logged in tutor
+const getMyCourses = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { tutor: req.user._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const courses = await Course.find(filter)
+      .populate('enrolledStudents.student', 'firstName lastName email profilePicture')
+      .sort({ createdAt: -1 });
+
+    res.json({ courses });
+
+  } catch (error) {
+    console.error('Get my courses error:', error);
+    res.status(500).json({
+      message: 'Failed to get courses',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create a course (approved tutors only)
+const createCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) {
+        deleteFile(req.file.path);
+      }
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let courseData;
+    try {
+      courseData = buildCourseData(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid syllabus or schedule format' });
+    }
+
+    courseData.tutor = req.user._id;
+
+    if (req.file && req.file.fieldname === 'thumbnail') {
+      courseData.thumbnail = req.file.path;
+    }
+
+    const course = new Course(courseData);
+    await course.save();
+
+    await course.populate('tutor', 'firstName lastName email profilePicture');
+
+    res.status(201).json({
+      message: 'Course created successfully',
+      course
+    });
+
+  } catch (error) {
+    console.error('Create course error:', error);
+
+    if (req.file) {
+      deleteFile(req.file.path);
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update a course (owning tutor only)
+const updateCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) {
+        deleteFile(req.file.path);
+      }
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Verify this course belongs to the tutor
+    if (course.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this course' });
+    }
+
+    let updateData;
+    try {
+      updateData = buildCourseData(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid syllabus or schedule format' });
+    }
+
+    // Can't shrink a course below its current enrollment
+    if (updateData.maxStudents !== undefined &&
+        parseInt(updateData.maxStudents) < course.enrolledStudents.length) {
+      return res.status(400).json({
+        message: `Maximum students cannot be lower than the ${course.enrolledStudents.length} students already enrolled`
+      });
+    }
+
+    const previousThumbnail = course.thumbnail;
+    if (req.file && req.file.fieldname === 'thumbnail') {
+      updateData.thumbnail = req.file.path;
+    }
+
+    course.set(updateData);
+    await course.save();
+
+    // Remove the replaced thumbnail once the new one is saved
+    if (updateData.thumbnail && previousThumbnail) {
+      deleteFile(previousThumbnail);
+    }
+
+    // Extra seats go to waitlisted students first
+    let updatedCourse = course;
+    if (updateData.maxStudents !== undefined && course.waitlist.length > 0) {
+      await promoteWaitlistedStudents(course._id);
+      updatedCourse = await Course.findById(course._id);
+    }
+
+    await updatedCourse.populate('tutor', 'firstName lastName email profilePicture');
+
+    res.json({
+      message: 'Course updated successfully',
+      course: updatedCourse
+    });
+
+  } catch (error) {
+    console.error('Update course error:', error);
+
+    if (req.file) {
+      deleteFile(req.file.path);
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete a course (owning tutor only)
+const deleteCourse = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Verify this course belongs to the tutor
+    if (course.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to delete this course' });
+    }
+
+    // Students who already enrolled must not lose their course
+    if (course.enrolledStudents.length > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a course with enrolled students. Make it private instead.'
+      });
+    }
+
+    await course.deleteOne();
+    await CourseSession.deleteMany({ course: course._id });
+
+    if (course.thumbnail) {
+      deleteFile(course.thumbnail);
+    }
+
+    res.json({ message: 'Course deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({
+      message: 'Failed to delete course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Enroll in a course, or join the waitlist when it is full (students only)
+const enrollInCourse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const studentId = req.user._id;
+
+    const course = await Course.findById(id);
+    if (!course || !course.isPubliclyVisible()) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.isStudentEnrolled(studentId)) {
+      return res.status(400).json({ message: 'You are already enrolled in this course' });
+    }
+
+    const currentPosition = course.getWaitlistPosition(studentId);
+    if (currentPosition > 0) {
+      return res.status(400).json({
+        message: `You are already on the waitlist for this course (position ${currentPosition})`
+      });
+    }
+
+    const enrolledCourse = await Course.enrollAtomically(id, studentId);
+    if (enrolledCourse) {
+      await User.updateOne({ _id: studentId }, { $addToSet: { enrolledCourses: id } });
+      await CourseSession.addAttendees(id, [studentId]);
+
+      return res.status(201).json({
+        message: 'Enrolled in course successfully',
+        enrolled: true,
+        course: toPublicCourse(enrolledCourse)
+      });
+    }
+
+    // Course is full (or others are already waiting), so join the waitlist
+    const waitlistedCourse = await Course.addToWaitlist(id, studentId);
+    if (!waitlistedCourse) {
+      return res.status(409).json({
+        message: 'You are already enrolled or waitlisted for this course'
+      });
+    }
+
+    // A seat may have opened up while we were joining the waitlist
+    const promoted = await promoteWaitlistedStudents(id);
+    if (promoted.some(student => student.toString() === studentId.toString())) {
+      const updatedCourse = await Course.findById(id);
+      return res.status(201).json({
+        message: 'Enrolled in course successfully',
+        enrolled: true,
+        course: toPublicCourse(updatedCourse)
+      });
+    }
+
+    const updatedCourse = await Course.findById(id);
+
+    res.status(202).json({
+      message: 'Course is full. You have been added to the waitlist.',
+      enrolled: false,
+      waitlistPosition: updatedCourse.getWaitlistPosition(studentId),
+      course: toPublicCourse(updatedCourse)
+    });
+
+  } catch (error) {
+    console.error('Enroll in course error:', error);
+    res.status(500).json({
+      message: 'Failed to enroll in course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Unenroll from a course (students only)
+const unenrollFromCourse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const studentId = req.user._id;
+
+    const course = await Course.unenrollStudent(id, studentId);
+    if (!course) {
+      return res.status(400).json({ message: 'You are not enrolled in this course' });
+    }
+
+    await User.updateOne({ _id: studentId }, { $pull: { enrolledCourses: course._id } });
+    await CourseSession.removeAttendee(course._id, studentId);
+
+    const promoted = await promoteWaitlistedStudents(id);
+
+    res.json({
+      message: 'Unenrolled from course successfully',
+      promotedFromWaitlist: promoted.length
+    });
+
+  } catch (error) {
+    console.error('Unenroll from course error:', error);
+    res.status(500).json({
+      message: 'Failed to unenroll from course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Leave a course waitlist (students only)
+const leaveWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.leaveWaitlist(id, req.user._id);
+    if (!course) {
+      return res.status(400).json({ message: 'You are not on the waitlist for this course' });
+    }
+
+    res.json({ message: 'Removed from waitlist successfully' });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      message: 'Failed to leave waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the waitlist of a course (owning tutor only)
+const getWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id)
+      .populate('waitlist.student', 'firstName lastName email profilePicture');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view this waitlist' });
+    }
+
+    res.json({
+      waitlist: course.waitlist.map((entry, index) => ({
+        position: index + 1,
+        student: entry.student,
+        joinedAt: entry.joinedAt
+      })),
+      availableSpots: course.availableSpots
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      message: 'Failed to get waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Remove a student from a course (owning tutor only)
+const removeStudent = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+
+    const existingCourse = await Course.findById(id).select('tutor');
+    if (!existingCourse) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (existingCourse.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to manage this course' });
+    }
+
+    const course = await Course.unenrollStudent(id, studentId);
+    if (!course) {
+      return res.status(404).json({ message: 'Student is not enrolled in this course' });
+    }
+
+    await User.updateOne({ _id: studentId }, { $pull: { enrolledCourses: course._id } });
+    await CourseSession.removeAttendee(course._id, studentId);
+
+    const promoted = await promoteWaitlistedStudents(id);
+
+    res.json({
+      message: 'Student removed from course successfully',
+      promotedFromWaitlist: promoted.length
+    });
+
+  } catch (error) {
+    console.error('Remove student error:', error);
+    res.status(500).json({
+      message: 'Failed to remove student',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Helper to apply a lifecycle transition and report invalid ones as 400s
+const applyStatusTransition = async (req, res, { toStatus, ownerOnly, successMessage }) => {
+  const { id } = req.params;
+  const { notes } = req.body;
+
+  const course = await Course.findById(id);
+  if (!course) {
+    return res.status(404).json({ message: 'Course not found' });
+  }
+
+  if (ownerOnly && course.tutor.toString() !== req.user._id.toString()) {
+    return res.status(403).json({ message: 'Not authorized to manage this course' });
+  }
+
+  try {
+    await course.transitionStatus(toStatus, req.user, notes);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  res.json({
+    message: successMessage,
+    course
+  });
+};
+
+// Submit a draft or rejected course for admin review (owning tutor only)
+const submitCourseForReview = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('syllabus');
+    if (course && course.syllabus.length === 0) {
+      return res.status(400).json({ message: 'Add at least one syllabus topic before submitting for review' });
+    }
+
+    await applyStatusTransition(req, res, {
+      toStatus: 'pending_review',
+      ownerOnly: true,
+      successMessage: 'Course submitted for review'
+    });
+
+  } catch (error) {
+    console.error('Submit course for review error:', error);
+    res.status(500).json({
+      message: 'Failed to submit course for review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Withdraw a course from review back to draft (owning tutor only)
+const withdrawCourseFromReview = async (req, res) => {
+  try {
+    await applyStatusTransition(req, res, {
+      toStatus: 'draft',
+      ownerOnly: true,
+      successMessage: 'Course moved back to draft'
+    });
+
+  } catch (error) {
+    console.error('Withdraw course error:', error);
+    res.status(500).json({
+      message: 'Failed to withdraw course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Admin: Get courses waiting for review
+const getPendingCourses = async (req, res) => {
+  try {
+    const courses = await Course.find({ status: 'pending_review' })
+      .populate('tutor', 'firstName lastName email department')
+      .sort({ updatedAt: 1 });
+
+    res.json({ courses });
+
+  } catch (error) {
+    console.error('Get pending courses error:', error);
+    res.status(500).json({
+      message: 'Failed to get pending courses',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Admin: Approve and publish a course
+const approveCourse = async (req, res) => {
+  try {
+    await applyStatusTransition(req, res, {
+      toStatus: 'published',
+      successMessage: 'Course approved and published'
+    });
+
+  } catch (error) {
+    console.error('Approve course error:', error);
+    res.status(500).json({
+      message: 'Failed to approve course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Admin: Reject a course with notes for the tutor
+const rejectCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await applyStatusTransition(req, res, {
+      toStatus: 'rejected',
+      successMessage: 'Course rejected'
+    });
+
+  } catch (error) {
+    console.error('Reject course error:', error);
+    res.status(500).json({
+      message: 'Failed to reject course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Admin: Archive a published course
+const archiveCourse = async (req, res) => {
+  try {
+    await applyStatusTransition(req, res, {
+      toStatus: 'archived',
+      successMessage: 'Course archived'
+    });
+
+  } catch (error) {
+    console.error('Archive course error:', error);
+    res.status(500).json({
+      message: 'Failed to archive course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCourses,
+  getCourseById,
+  getMyCourses,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  enrollInCourse,
+  unenrollFromCourse,
+  leaveWaitlist,
+  getWaitlist,
+  removeStudent,
+  submitCourseForReview,
+  withdrawCourseFromReview,
+  getPendingCourses,
+  approveCourse,
+  rejectCourse,
+  archiveCourse
+};
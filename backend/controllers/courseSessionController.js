@@ -0,0 +1,215 @@
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const CourseSession = require('../models/CourseSession');
+const User = require('../models/User');
+const { buildConflictChecker, generateCourseSessions } = require('../utils/courseSessions');
+const { parseTime, toDateKey, startOfDay } = require('../utils/time');
+
+// Helper to load a course and check that the logged in tutor owns it
+const findOwnedCourse = async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  if (!course) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  if (course.tutor.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this course' });
+    return null;
+  }
+
+  return course;
+};
+
+// Helper to load one session of a course owned by the logged in tutor
+const findOwnedSession = async (req, res) => {
+  const course = await findOwnedCourse(req, res);
+  if (!course) return null;
+
+  const session = await CourseSession.findOne({ _id: req.params.sessionId, course: course._id });
+  if (!session) {
+    res.status(404).json({ message: 'Session not found' });
+    return null;
+  }
+
+  return session;
+};
+
+// Generate the course's sessions from its weekly schedule (owning tutor only)
+const generateSessions = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    if (!course.startDate || !course.endDate) {
+      return res.status(400).json({ message: 'Set the course start and end dates before generating sessions' });
+    }
+
+    if (course.schedule.length === 0) {
+      return res.status(400).json({ message: 'Add at least one weekly schedule slot before generating sessions' });
+    }
+
+    if (course.endDate < new Date()) {
+      return res.status(400).json({ message: 'This course has already ended' });
+    }
+
+    const tutor = await User.findById(course.tutor);
+    const { created, skipped, existingCount } = await generateCourseSessions(course, tutor);
+
+    res.status(201).json({
+      message: `${created.length} sessions generated, ${skipped.length} skipped`,
+      sessions: created,
+      skipped,
+      existingCount
+    });
+
+  } catch (error) {
+    console.error('Generate course sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to generate sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the sessions of a course (owning tutor, admins and enrolled students)
+const getSessions = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.canAccessMaterials(req.user)) {
+      return res.status(403).json({ message: 'You must be enrolled to view course sessions' });
+    }
+
+    const { from, to, status } = req.query;
+    const filter = { course: course._id };
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (from || to) {
+      filter.sessionDate = {};
+      if (from) filter.sessionDate.$gte = startOfDay(from);
+      if (to) filter.sessionDate.$lte = startOfDay(to);
+    }
+
+    // Students don't get the class list
+    const isStudent = course.isStudentEnrolled(req.user._id);
+    const query = CourseSession.find(filter).sort({ sessionDate: 1, startTime: 1 });
+    if (isStudent) {
+      query.select('-attendees');
+    }
+
+    const sessions = await query;
+
+    res.json({ sessions });
+
+  } catch (error) {
+    console.error('Get course sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to get sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Cancel a single session without touching the rest of the series (owning tutor only)
+const cancelSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findOwnedSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled sessions can be cancelled' });
+    }
+
+    await session.cancel(req.body.reason);
+
+    res.json({
+      message: 'Session cancelled successfully',
+      session
+    });
+
+  } catch (error) {
+    console.error('Cancel course session error:', error);
+    res.status(500).json({
+      message: 'Failed to cancel session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Move a single session to another date or time (owning tutor only)
+const moveSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findOwnedSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled sessions can be moved' });
+    }
+
+    const { sessionDate, startTime, endTime, reason } = req.body;
+
+    if (parseTime(endTime) <= parseTime(startTime)) {
+      return res.status(400).json({ message: 'End time must be after start time' });
+    }
+
+    const newDate = startOfDay(sessionDate);
+    if (newDate < startOfDay(new Date())) {
+      return res.status(400).json({ message: 'Sessions cannot be moved into the past' });
+    }
+
+    const tutor = await User.findById(session.tutor);
+    const findConflict = await buildConflictChecker(tutor, newDate, newDate, session._id);
+    const conflict = findConflict(toDateKey(newDate), startTime, endTime);
+
+    if (conflict) {
+      return res.status(409).json({
+        message: `Cannot move the session: ${conflict.message}`,
+        conflict
+      });
+    }
+
+    await session.move(newDate, startTime, endTime, reason);
+
+    res.json({
+      message: 'Session moved successfully',
+      session
+    });
+
+  } catch (error) {
+    console.error('Move course session error:', error);
+    res.status(500).json({
+      message: 'Failed to move session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  generateSessions,
+  getSessions,
+  cancelSession,
+  moveSession
+};
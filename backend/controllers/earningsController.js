@@ -0,0 +1,370 @@
+const { validationResult } = require('express-validator');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const { recordPayoutRequested, recordPayoutPaid, recordPayoutReversed } = require('../utils/ledger');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { DEFAULT_TIMEZONE, toDateKey, addDays, toZonedParts, zonedTimeToUtc } = require('../utils/time');
+const { PLATFORM_COMMISSION_PERCENT, MIN_PAYOUT_AMOUNT } = require('../config/payments');
+
+// Helper to load a payout that is still waiting to be paid
+const findRequestedPayout = async (req, res) => {
+  const payout = await Payout.findById(req.params.payoutId);
+  if (!payout) {
+    res.status(404).json({ message: 'Payout not found' });
+    return null;
+  }
+
+  if (payout.status !== 'requested') {
+    res.status(400).json({ message: `This payout is already ${payout.status}` });
+    return null;
+  }
+
+  return payout;
+};
+
+// Helper to move a requested payout to a new status. Resolves null when
+// someone else changed it first.
+const closePayout = (payout, update) => {
+  return Payout.findOneAndUpdate(
+    { _id: payout._id, status: 'requested' },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Get the logged in user's earnings balance and lifetime totals
+const getBalance = async (req, res) => {
+  try {
+    const [available, pendingPayouts, totals] = await Promise.all([
+      LedgerEntry.getBalance('earnings', req.user._id),
+      LedgerEntry.getBalance('payout_pending', req.user._id),
+      LedgerEntry.getTotalsByType('earnings', req.user._id)
+    ]);
+
+    res.json({
+      currency: 'BDT',
+      available,
+      pendingPayouts,
+      minPayoutAmount: MIN_PAYOUT_AMOUNT,
+      commissionPercent: PLATFORM_COMMISSION_PERCENT,
+      totals: {
+        sessionEarnings: totals.session_earning || 0,
+        saleEarnings: totals.sale_earning || 0,
+        refunds: totals.refund || 0,
+        payouts: totals.payout || 0,
+        reversals: totals.reversal || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({
+      message: 'Failed to get balance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the logged in user's earnings statement for a date range (days on
+// their own clock, both included), as JSON or, with format=csv, as a file.
+// Defaults to the current month so far.
+const getStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const timezone = req.user.timezone || DEFAULT_TIMEZONE;
+    const today = toZonedParts(new Date(), timezone).dateKey;
+    const from = req.query.from ? toDateKey(req.query.from) : `${today.slice(0, 8)}01`;
+    const to = req.query.to ? toDateKey(req.query.to) : today;
+
+    if (from > to) {
+      return res.status(400).json({ message: 'The start date must not be after the end date' });
+    }
+
+    const rangeStart = zonedTimeToUtc(from, '00:00', timezone);
+    const rangeEnd = zonedTimeToUtc(toDateKey(addDays(to, 1)), '00:00', timezone);
+
+    const [openingBalance, entries] = await Promise.all([
+      LedgerEntry.getBalance('earnings', req.user._id, rangeStart),
+      LedgerEntry.find({
+        account: 'earnings',
+        user: req.user._id,
+        postedAt: { $gte: rangeStart, $lt: rangeEnd }
+      }).sort({ postedAt: 1, line: 1 })
+    ]);
+
+    let balance = openingBalance;
+    const lines = entries.map(entry => {
+      balance = Math.round((balance + entry.amount) * 100) / 100;
+      return {
+        date: entry.postedAt,
+        type: entry.type,
+        description: entry.description,
+        booking: entry.booking,
+        marketplaceItem: entry.marketplaceItem,
+        payout: entry.payout,
+        amount: entry.amount,
+        balance
+      };
+    });
+
+    if (req.query.format === 'csv') {
+      const headers = ['Date', 'Type', 'Description', 'Reference', 'Amount', 'Balance'];
+      const rows = [
+        [rangeStart, 'opening_balance', `Balance on ${from}`, '', '', openingBalance],
+        ...lines.map(line => [
+          line.date,
+          line.type,
+          line.description,
+          line.booking || line.marketplaceItem || line.payout || '',
+          line.amount,
+          line.balance
+        ]),
+        [rangeEnd, 'closing_balance', `Balance at the end of ${to}`, '', '', balance]
+      ];
+
+      return sendCsv(res, `statement-${from}-to-${to}.csv`, toCsv(headers, rows));
+    }
+
+    res.json({
+      from,
+      to,
+      timezone,
+      currency: 'BDT',
+      openingBalance,
+      closingBalance: balance,
+      totalIn: lines.filter(line => line.amount > 0).reduce((sum, line) => sum + line.amount, 0),
+      totalOut: lines.filter(line => line.amount < 0).reduce((sum, line) => sum + line.amount, 0),
+      lines
+    });
+
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({
+      message: 'Failed to get statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Ask for earnings to be paid out to a bKash or bank account.
+// Only one request can be open at a time.
+const requestPayout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, method, destination, note } = req.body;
+
+    const available = await LedgerEntry.getBalance('earnings', req.user._id);
+    if (amount > available) {
+      return res.status(400).json({
+        message: `You can request at most ${available} BDT`,
+        available
+      });
+    }
+
+    let payout;
+    try {
+      payout = await Payout.create({
+        user: req.user._id,
+        amount,
+        method,
+        destination,
+        note
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'You already have a payout request waiting for approval' });
+      }
+      throw error;
+    }
+
+    await recordPayoutRequested(payout);
+
+    res.status(201).json({
+      message: 'Payout requested successfully',
+      payout
+    });
+
+  } catch (error) {
+    console.error('Request payout error:', error);
+    res.status(500).json({
+      message: 'Failed to request payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get payouts, newest first: the logged in user's own, or for admins every
+// payout (the approval queue with status=requested, oldest first)
+const getPayouts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, limit = 20, skip = 0 } = req.query;
+    const isAdmin = req.user.role === 'admin';
+
+    const filter = isAdmin ? {} : { user: req.user._id };
+    if (status) filter.status = status;
+
+    const payouts = await Payout.find(filter)
+      .populate('user', 'firstName lastName email role')
+      .sort({ createdAt: isAdmin && status === 'requested' ? 1 : -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await Payout.countDocuments(filter);
+
+    res.json({ payouts, total });
+
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      message: 'Failed to get payouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Withdraw one's own payout request before it is paid
+const cancelPayout = async (req, res) => {
+  try {
+    const payout = await findRequestedPayout(req, res);
+    if (!payout) return;
+
+    if (payout.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to cancel this payout' });
+    }
+
+    const cancelled = await closePayout(payout, { status: 'cancelled' });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'This payout was changed by someone else' });
+    }
+
+    await recordPayoutReversed(cancelled);
+
+    res.json({
+      message: 'Payout request cancelled',
+      payout: cancelled
+    });
+
+  } catch (error) {
+    console.error('Cancel payout error:', error);
+    res.status(500).json({
+      message: 'Failed to cancel payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Approve a payout after sending the money, recording the transfer
+// reference (admin only)
+const approvePayout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payout = await findRequestedPayout(req, res);
+    if (!payout) return;
+
+    const now = new Date();
+    const paid = await closePayout(payout, {
+      status: 'paid',
+      transactionReference: req.body.transactionReference,
+      reviewNote: req.body.note,
+      reviewedBy: req.user._id,
+      reviewedAt: now,
+      paidAt: now
+    });
+    if (!paid) {
+      return res.status(409).json({ message: 'This payout was changed by someone else' });
+    }
+
+    await recordPayoutPaid(paid);
+
+    res.json({
+      message: 'Payout marked as paid',
+      payout: paid
+    });
+
+  } catch (error) {
+    console.error('Approve payout error:', error);
+    res.status(500).json({
+      message: 'Failed to approve payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Reject a payout, returning the amount to the user's balance (admin only)
+const rejectPayout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payout = await findRequestedPayout(req, res);
+    if (!payout) return;
+
+    const rejected = await closePayout(payout, {
+      status: 'rejected',
+      reviewNote: req.body.note,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    });
+    if (!rejected) {
+      return res.status(409).json({ message: 'This payout was changed by someone else' });
+    }
+
+    await recordPayoutReversed(rejected);
+
+    res.json({
+      message: 'Payout rejected',
+      payout: rejected
+    });
+
+  } catch (error) {
+    console.error('Reject payout error:', error);
+    res.status(500).json({
+      message: 'Failed to reject payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBalance,
+  getStatement,
+  requestPayout,
+  getPayouts,
+  cancelPayout,
+  approvePayout,
+  rejectPayout
+};
@@ -0,0 +1,81 @@
+const Course = require('../models/Course');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { buildGradebook, buildQuizColumns, gradebookToCsvRows } = require('../utils/gradebook');
+const { toCsv, sendCsv } = require('../utils/csv');
+
+// Helper to load a course with student names and check that the logged in tutor owns it
+const findOwnedCourse = async (req, res) => {
+  const course = await Course.findById(req.params.id)
+    .populate('enrolledStudents.student', 'firstName lastName email');
+
+  if (!course) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  if (course.tutor.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to view this gradebook' });
+    return null;
+  }
+
+  return course;
+};
+
+// Helper to build quiz columns for a course's published and closed quizzes
+const getQuizColumns = async (course) => {
+  const quizzes = await Quiz.findVisibleForCourse(course._id);
+  if (quizzes.length === 0) return [];
+
+  const bestAttempts = await QuizAttempt.findBestAttempts(course._id);
+  return buildQuizColumns(course, quizzes, bestAttempts);
+};
+
+// Get the gradebook for a course (owning tutor only)
+const getGradebook = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const gradebook = buildGradebook(course, await getQuizColumns(course));
+
+    res.json({
+      courseId: course._id,
+      courseTitle: course.title,
+      ...gradebook
+    });
+
+  } catch (error) {
+    console.error('Get gradebook error:', error);
+    res.status(500).json({
+      message: 'Failed to get gradebook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Export the gradebook for a course as CSV (owning tutor only)
+const exportGradebook = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const { headers, rows } = gradebookToCsvRows(buildGradebook(course, await getQuizColumns(course)));
+    const safeTitle = course.title.replace(/[^a-zA-Z0-9]/g, '_');
+    const date = new Date().toISOString().slice(0, 10);
+
+    sendCsv(res, `gradebook-${safeTitle}-${date}.csv`, toCsv(headers, rows));
+
+  } catch (error) {
+    console.error('Export gradebook error:', error);
+    res.status(500).json({
+      message: 'Failed to export gradebook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getGradebook,
+  exportGradebook
+};
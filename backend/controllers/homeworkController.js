@@ -0,0 +1,377 @@
+const fs = require('fs');
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const { deleteFile, deleteFiles } = require('../middleware/upload');
+
+// Helper to strip private storage paths before sending a homework task
+const toHomeworkResponse = (homework) => {
+  const homeworkObject = homework.toObject();
+  homeworkObject.submissions = (homeworkObject.submissions || []).map(({ filePath, ...submission }) => submission);
+  return homeworkObject;
+};
+
+// Helper to load a booking the logged in user takes part in
+const findParticipantBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found' });
+    return null;
+  }
+
+  const userId = req.user._id.toString();
+  if (booking.student.toString() !== userId && booking.tutor.toString() !== userId) {
+    res.status(403).json({ message: 'Not authorized to access this booking' });
+    return null;
+  }
+
+  return booking;
+};
+
+// Helper to load one homework task of a booking, optionally only for one side of it
+const findHomework = async (req, res, participant = null) => {
+  const booking = await findParticipantBooking(req, res);
+  if (!booking) return null;
+
+  if (participant && booking[participant].toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      message: participant === 'tutor'
+        ? 'Only the tutor can manage homework for this session'
+        : 'Only the student can work on this homework'
+    });
+    return null;
+  }
+
+  const homework = booking.homework.id(req.params.homeworkId);
+  if (!homework) {
+    res.status(404).json({ message: 'Homework not found' });
+    return null;
+  }
+
+  return { booking, homework };
+};
+
+// Get the homework of a booking (student or tutor)
+const getBookingHomework = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    res.json({ homework: booking.homework.map(toHomeworkResponse) });
+
+  } catch (error) {
+    console.error('Get booking homework error:', error);
+    res.status(500).json({
+      message: 'Failed to get homework',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Attach a homework task to a session (tutor only)
+const addHomework = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (booking.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the tutor can manage homework for this session' });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({ message: 'Homework cannot be added to a cancelled booking' });
+    }
+
+    const { task, description, dueDate } = req.body;
+    booking.homework.push({ task, description, dueDate });
+    await booking.save();
+
+    res.status(201).json({
+      message: 'Homework added successfully',
+      homework: toHomeworkResponse(booking.homework[booking.homework.length - 1])
+    });
+
+  } catch (error) {
+    console.error('Add homework error:', error);
+    res.status(500).json({
+      message: 'Failed to add homework',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update a homework task (tutor only)
+const updateHomework = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await findHomework(req, res, 'tutor');
+    if (!found) return;
+    const { booking, homework } = found;
+
+    const { task, description, dueDate } = req.body;
+    if (task !== undefined) homework.task = task;
+    if (description !== undefined) homework.description = description;
+    if (dueDate !== undefined) homework.dueDate = dueDate;
+
+    await booking.save();
+
+    res.json({
+      message: 'Homework updated successfully',
+      homework: toHomeworkResponse(homework)
+    });
+
+  } catch (error) {
+    console.error('Update homework error:', error);
+    res.status(500).json({
+      message: 'Failed to update homework',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete a homework task and any work uploaded for it (tutor only)
+const deleteHomework = async (req, res) => {
+  try {
+    const found = await findHomework(req, res, 'tutor');
+    if (!found) return;
+    const { booking, homework } = found;
+
+    const filePaths = homework.submissions.map(submission => submission.filePath);
+
+    homework.deleteOne();
+    await booking.save();
+
+    deleteFiles(filePaths);
+
+    res.json({ message: 'Homework deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete homework error:', error);
+    res.status(500).json({
+      message: 'Failed to delete homework',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Mark a homework task as done, or not done again (student only)
+const setHomeworkCompleted = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await findHomework(req, res, 'student');
+    if (!found) return;
+    const { booking, homework } = found;
+
+    const completed = req.body.completed !== false;
+    homework.completed = completed;
+    homework.completedAt = completed ? new Date() : undefined;
+    if (req.body.note !== undefined) {
+      homework.submissionNote = req.body.note;
+    }
+
+    await booking.save();
+
+    res.json({
+      message: completed ? 'Homework marked as done' : 'Homework marked as not done',
+      homework: toHomeworkResponse(homework)
+    });
+
+  } catch (error) {
+    console.error('Set homework completed error:', error);
+    res.status(500).json({
+      message: 'Failed to update homework',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Upload work for a homework task (student only)
+const submitHomework = async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'At least one homework file is required' });
+    }
+
+    const found = await findHomework(req, res, 'student');
+    if (!found) return;
+    const { booking, homework } = found;
+
+    for (const file of files) {
+      homework.submissions.push({
+        filePath: file.path,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user._id
+      });
+    }
+
+    if (req.body.note !== undefined) {
+      homework.submissionNote = req.body.note;
+    }
+
+    await booking.save();
+
+    res.status(201).json({
+      message: 'Homework submitted successfully',
+      homework: toHomeworkResponse(homework)
+    });
+
+  } catch (error) {
+    console.error('Submit homework error:', error);
+
+    if (req.files) {
+      deleteFiles(req.files.map(file => file.path));
+    }
+
+    res.status(500).json({
+      message: 'Failed to submit homework',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete one uploaded file from a homework task (student only)
+const deleteHomeworkSubmission = async (req, res) => {
+  try {
+    const found = await findHomework(req, res, 'student');
+    if (!found) return;
+    const { booking, homework } = found;
+
+    const submission = homework.submissions.id(req.params.fileId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Homework file not found' });
+    }
+
+    const { filePath } = submission;
+    submission.deleteOne();
+    await booking.save();
+
+    deleteFile(filePath);
+
+    res.json({
+      message: 'Homework file deleted successfully',
+      homework: toHomeworkResponse(homework)
+    });
+
+  } catch (error) {
+    console.error('Delete homework submission error:', error);
+    res.status(500).json({
+      message: 'Failed to delete homework file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Download a file uploaded for a homework task (student or tutor)
+const downloadHomeworkSubmission = async (req, res) => {
+  try {
+    const found = await findHomework(req, res);
+    if (!found) return;
+
+    const submission = found.homework.submissions.id(req.params.fileId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Homework file not found' });
+    }
+
+    if (!fs.existsSync(submission.filePath)) {
+      return res.status(404).json({ message: 'Homework file is no longer available' });
+    }
+
+    res.download(submission.filePath, submission.fileName);
+
+  } catch (error) {
+    console.error('Download homework submission error:', error);
+    res.status(500).json({
+      message: 'Failed to download homework file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the logged in user's open homework across all their sessions, soonest
+// due first (tasks without a due date come last)
+const getOpenHomework = async (req, res) => {
+  try {
+    const participant = req.user.role === 'tutor' ? 'tutor' : 'student';
+
+    const bookings = await Booking.find({
+      [participant]: req.user._id,
+      status: { $ne: 'cancelled' },
+      'homework.completed': false
+    })
+      .populate('student', 'firstName lastName profilePicture')
+      .populate('tutor', 'firstName lastName profilePicture')
+      .populate('course', 'title');
+
+    const homework = bookings
+      .flatMap(booking => booking.homework
+        .filter(task => !task.completed)
+        .map(task => ({
+          ...toHomeworkResponse(task),
+          booking: {
+            _id: booking._id,
+            sessionDate: booking.sessionDate,
+            startTime: booking.startTime,
+            startAt: booking.startAt,
+            course: booking.course,
+            student: booking.student,
+            tutor: booking.tutor
+          }
+        })))
+      .sort((a, b) => {
+        if (!a.dueDate) return b.dueDate ? 1 : 0;
+        if (!b.dueDate) return -1;
+        return a.dueDate - b.dueDate;
+      });
+
+    const now = new Date();
+
+    res.json({
+      homework,
+      total: homework.length,
+      overdue: homework.filter(task => task.dueDate && task.dueDate < now).length
+    });
+
+  } catch (error) {
+    console.error('Get open homework error:', error);
+    res.status(500).json({
+      message: 'Failed to get open homework',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBookingHomework,
+  addHomework,
+  updateHomework,
+  deleteHomework,
+  setHomeworkCompleted,
+  submitHomework,
+  deleteHomeworkSubmission,
+  downloadHomeworkSubmission,
+  getOpenHomework
+};
@@ -0,0 +1,129 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Marketplace = require('../models/Marketplace');
+const Payment = require('../models/Payment');
+const {
+  issueInvoice,
+  buildInvoiceView,
+  renderInvoiceHtml,
+  writeInvoicePdf
+} = require('../utils/invoices');
+
+// Payment statuses that have an invoice; refunds are shown on it
+const INVOICED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Helper to send the invoice of a payment as a PDF download or an HTML page.
+// The invoice is issued here if that failed when the payment was settled.
+const sendInvoice = async (req, res, payment) => {
+  const invoice = await issueInvoice(payment);
+  if (!invoice.number) {
+    return res.status(409).json({ message: 'The invoice is still being issued. Please try again in a moment.' });
+  }
+
+  const view = buildInvoiceView(invoice, payment);
+
+  if (req.query.format === 'html') {
+    return res.type('html').send(renderInvoiceHtml(view));
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.number}.pdf"`);
+  writeInvoicePdf(view, res);
+};
+
+// Download the invoice of a paid booking (its student, tutor or an admin)
+const downloadBookingInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId).select('student tutor');
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const canDownload = req.user.role === 'admin' ||
+      booking.student.toString() === userId ||
+      booking.tutor.toString() === userId;
+
+    if (!canDownload) {
+      return res.status(403).json({ message: 'Not authorized to access this booking' });
+    }
+
+    const payment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: INVOICED_STATUSES }
+    }).sort({ paidAt: -1 });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'This booking has not been paid online, so it has no invoice' });
+    }
+
+    await sendInvoice(req, res, payment);
+
+  } catch (error) {
+    console.error('Download booking invoice error:', error);
+    res.status(500).json({
+      message: 'Failed to get invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Download the invoice of a marketplace purchase (its buyer, the seller or an admin)
+const downloadPurchaseInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Marketplace.findById(req.params.itemId).select('seller purchases');
+    const purchase = item && item.purchases.id(req.params.purchaseId);
+    if (!purchase) {
+      return res.status(404).json({ message: 'Purchase not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const canDownload = req.user.role === 'admin' ||
+      purchase.buyer.toString() === userId ||
+      item.seller.toString() === userId;
+
+    if (!canDownload) {
+      return res.status(403).json({ message: 'Not authorized to access this purchase' });
+    }
+
+    const payment = await Payment.findOne({
+      marketplaceItem: item._id,
+      purchase: purchase._id,
+      status: { $in: INVOICED_STATUSES }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'This purchase has not been paid, so it has no invoice' });
+    }
+
+    await sendInvoice(req, res, payment);
+
+  } catch (error) {
+    console.error('Download purchase invoice error:', error);
+    res.status(500).json({
+      message: 'Failed to get invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  downloadBookingInvoice,
+  downloadPurchaseInvoice
+};
@@ -0,0 +1,473 @@
+const { validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Marketplace = require('../models/Marketplace');
+const { getGateway } = require('../payments');
+const { settlePayment, expirePayment, refundUnmatchedPayment } = require('../utils/payments');
+const { requestRefund } = require('../utils/refunds');
+const { PAYMENT_GATEWAY_MODE, PAYMENT_SESSION_MINUTES, API_URL } = require('../config/payments');
+
+// Helper to check the user can see a payment
+const canViewPayment = (payment, user) => {
+  return user.role === 'admin' || payment.payer.toString() === user._id.toString();
+};
+
+// Helper to start a gateway session and save the payment for it
+const startPayment = async (details) => {
+  const gateway = getGateway(details.method);
+  const { gatewayPaymentId, redirectUrl } = await gateway.initiate({
+    amount: details.amount,
+    currency: details.currency,
+    reference: (details.booking || details.purchase).toString()
+  });
+
+  return Payment.create({
+    ...details,
+    gateway: gateway.name,
+    gatewayPaymentId,
+    redirectUrl,
+    expiresAt: new Date(Date.now() + PAYMENT_SESSION_MINUTES * 60 * 1000)
+  });
+};
+
+// Helper to find a started payment the payer can still finish
+const findOpenPayment = (filter) => {
+  return Payment.findOne({
+    ...filter,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Start paying for a booking (students only).
+// A booking has one payment in progress at a time, whatever its method:
+// asking again while it is still open returns that same payment.
+const payForBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the student can pay for this booking' });
+    }
+
+    if (['cancelled', 'completed', 'no-show'].includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot pay for a ${booking.status} booking` });
+    }
+
+    if (!['pending', 'failed'].includes(booking.paymentStatus)) {
+      return res.status(400).json({ message: 'This booking has already been paid' });
+    }
+
+    const { method } = req.body;
+
+    const pendingPayment = await Payment.findOne({ booking: booking._id, status: 'pending' });
+    if (pendingPayment && pendingPayment.expiresAt > new Date()) {
+      return res.json({
+        message: pendingPayment.method === method
+          ? 'Payment already started'
+          : `A payment via ${pendingPayment.method} is already in progress for this booking`,
+        payment: pendingPayment
+      });
+    }
+
+    // Close a lapsed payment before starting another; the gateway is asked
+    // first in case it went through
+    if (pendingPayment) {
+      const { payment: expired } = await expirePayment(pendingPayment);
+      if (expired.status === 'paid') {
+        return res.status(400).json({ message: 'This booking has already been paid' });
+      }
+    }
+
+    let payment;
+    try {
+      payment = await startPayment({
+        payer: req.user._id,
+        purpose: 'booking',
+        booking: booking._id,
+        amount: booking.totalAmount,
+        currency: booking.currency,
+        method
+      });
+    } catch (error) {
+      // Another request started or finished a payment for the booking first
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'A payment for this booking is already in progress' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Payment started. Complete it at the redirect URL.',
+      payment
+    });
+
+  } catch (error) {
+    console.error('Pay for booking error:', error);
+    res.status(500).json({
+      message: 'Failed to start payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Buy a marketplace item and start paying for it.
+// Asking again while a payment is still open returns that same payment.
+const payForMarketplaceItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Marketplace.findById(req.params.itemId);
+    if (!item || !item.isActive) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (item.seller.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot buy your own item' });
+    }
+
+    const { method } = req.body;
+
+    const openPayment = await findOpenPayment({
+      payer: req.user._id,
+      marketplaceItem: item._id,
+      method
+    });
+    if (openPayment) {
+      return res.json({
+        message: 'Payment already started',
+        payment: openPayment
+      });
+    }
+
+    const purchase = await item.addPurchase(req.user._id, item.price, method);
+    if (!purchase) {
+      return res.status(400).json({ message: 'This item is not available' });
+    }
+
+    let payment;
+    try {
+      payment = await startPayment({
+        payer: req.user._id,
+        purpose: 'marketplace',
+        marketplaceItem: item._id,
+        purchase: purchase._id,
+        amount: item.price,
+        currency: item.currency,
+        method
+      });
+    } catch (error) {
+      // Undo the purchase so the item is not left sold without a payment
+      await Marketplace.updateOne(
+        { _id: item._id },
+        {
+          $pull: { purchases: { _id: purchase._id } },
+          ...(item.itemType === 'physical' && { $set: { availability: 'available' } })
+        }
+      );
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Payment started. Complete it at the redirect URL.',
+      payment
+    });
+
+  } catch (error) {
+    console.error('Pay for marketplace item error:', error);
+    res.status(500).json({
+      message: 'Failed to start payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Handle a gateway callback. Gateways send a browser redirect (GET) and may
+// also call back server to server (POST), sometimes more than once; every
+// callback is logged but only the first one that finds the payment finished
+// changes anything.
+const handlePaymentCallback = async (req, res) => {
+  try {
+    const { method } = req.params;
+
+    let gatewayPaymentId;
+    try {
+      ({ gatewayPaymentId } = getGateway(method).parseCallback({ ...req.query, ...req.body }));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const payment = await Payment.findOne({ gatewayPaymentId, method });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const { payment: settled, changed } = await settlePayment(payment);
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $push: { callbacks: { status: settled.status, duplicate: !changed } } }
+    );
+
+    if (req.method === 'GET') {
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+      return res.redirect(`${clientUrl}/payments/${settled._id}?status=${settled.status}`);
+    }
+
+    res.json({
+      received: true,
+      paymentId: settled._id,
+      status: settled.status
+    });
+
+  } catch (error) {
+    console.error('Payment callback error:', error);
+    res.status(500).json({
+      message: 'Failed to process payment callback',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Checkout page of the mock gateways. Without an outcome it describes the
+// payment; with outcome=success or outcome=failure it finishes the payment
+// and sends the browser back through the callback, like a real gateway.
+const mockCheckout = async (req, res) => {
+  try {
+    if (PAYMENT_GATEWAY_MODE !== 'mock') {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const { method, gatewayPaymentId } = req.params;
+    const { outcome } = req.query;
+    const gateway = getGateway(method);
+
+    if (!outcome) {
+      const payment = await Payment.findOne({ gatewayPaymentId, method }).select('amount currency status');
+      if (!payment) {
+        return res.status(404).json({ message: 'Payment not found' });
+      }
+
+      const checkoutUrl = `${API_URL}/api/payments/mock/${method}/${gatewayPaymentId}`;
+      return res.json({
+        gateway: gateway.name,
+        gatewayPaymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        pay: `${checkoutUrl}?outcome=success`,
+        fail: `${checkoutUrl}?outcome=failure`
+      });
+    }
+
+    // A failed or expired session cannot be paid any more; what it held has been freed
+    const payment = await Payment.findOne({ gatewayPaymentId, method }).select('status expiresAt');
+    const expired = payment && payment.status === 'pending' && payment.expiresAt <= new Date();
+    if (expired || (payment && payment.status === 'failed')) {
+      return res.status(400).json({ message: 'This payment session has expired' });
+    }
+
+    const callback = gateway.complete(gatewayPaymentId, outcome);
+    if (!callback) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.redirect(`${API_URL}/api/payments/callback/${method}?${new URLSearchParams(callback)}`);
+
+  } catch (error) {
+    console.error('Mock checkout error:', error);
+    res.status(500).json({
+      message: 'Failed to process mock checkout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the logged in user's payments, newest first
+const getMyPayments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, limit = 20, skip = 0 } = req.query;
+
+    const filter = { payer: req.user._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const payments = await Payment.find(filter)
+      .select('-callbacks')
+      .populate('booking', 'sessionDate startTime startAt status')
+      .populate('marketplaceItem', 'title')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await Payment.countDocuments(filter);
+
+    res.json({ payments, total });
+
+  } catch (error) {
+    console.error('Get my payments error:', error);
+    res.status(500).json({
+      message: 'Failed to get payments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get one payment (payer or admin). A pending payment is checked with the
+// gateway first, in case its callback never arrived.
+const getPaymentById = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (!canViewPayment(payment, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this payment' });
+    }
+
+    const { payment: settled } = await settlePayment(payment);
+
+    res.json({ payment: settled });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      message: 'Failed to get payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Refund some or all of a paid payment (admin only). The refund is recorded
+// like any other and sent through the gateway straight away.
+const refundPaymentById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const { amount, reason } = req.body;
+
+    let refund;
+    try {
+      refund = await requestRefund({ payment, amount, reason, source: 'admin', requestedBy: req.user._id });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(201).json({
+      message: refund.status === 'processed' ? 'Refund processed' : 'Refund failed at the gateway',
+      refund
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({
+      message: 'Failed to refund payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the payments the gateway took the wrong amount for (admin only),
+// oldest first
+const getPaymentsForReview = async (req, res) => {
+  try {
+    const payments = await Payment.find({ status: 'needs_review' })
+      .select('-callbacks')
+      .populate('payer', 'firstName lastName email')
+      .sort({ updatedAt: 1 });
+
+    res.json({ payments });
+
+  } catch (error) {
+    console.error('Get payments for review error:', error);
+    res.status(500).json({
+      message: 'Failed to get payments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Send back everything the gateway took for a payment held for review and
+// close it as failed (admin only)
+const refundPaymentUnderReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const refunded = await refundUnmatchedPayment(payment, req.body.reason, req.user._id);
+    if (!refunded) {
+      return res.status(400).json({ message: 'This payment is not waiting for review' });
+    }
+
+    res.json({
+      message: 'Payment refunded',
+      payment: refunded
+    });
+
+  } catch (error) {
+    console.error('Refund payment under review error:', error);
+    res.status(500).json({
+      message: 'Failed to refund payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  payForBooking,
+  payForMarketplaceItem,
+  handlePaymentCallback,
+  mockCheckout,
+  getMyPayments,
+  getPaymentById,
+  refundPaymentById,
+  getPaymentsForReview,
+  refundPaymentUnderReview
+};
@@ -0,0 +1,194 @@
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const { issueCertificateIfComplete } = require('../utils/certificates');
+
+// Helper to describe a student's progress through a course syllabus
+const buildProgressReport = (course, enrollment) => {
+  const completedTopics = new Map(
+    enrollment.completedTopics.map(entry => [entry.topic.toString(), entry])
+  );
+
+  return {
+    courseId: course._id,
+    courseTitle: course.title,
+    progress: enrollment.progress,
+    completedSessions: enrollment.completedSessions,
+    lastAccessed: enrollment.lastAccessed,
+    topics: course.syllabus.map(topic => ({
+      _id: topic._id,
+      topic: topic.topic,
+      estimatedHours: topic.estimatedHours,
+      completed: completedTopics.has(topic._id.toString()),
+      completedAt: completedTopics.has(topic._id.toString())
+        ? completedTopics.get(topic._id.toString()).completedAt
+        : null,
+      verified: completedTopics.has(topic._id.toString()) && completedTopics.get(topic._id.toString()).verified
+    }))
+  };
+};
+
+// Get the logged in student's progress in a course
+const getMyProgress = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const enrollment = course.getEnrollment(req.user._id);
+    if (!enrollment) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    res.json(buildProgressReport(course, enrollment));
+
+  } catch (error) {
+    console.error('Get my progress error:', error);
+    res.status(500).json({
+      message: 'Failed to get progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Mark a syllabus topic complete or incomplete for the logged in student.
+// This tracks their own progress only; a certificate needs every topic
+// verified by the tutor, a completed session or a passed quiz.
+const updateMyTopic = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, topicId } = req.params;
+    const { completed = true } = req.body;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.isStudentEnrolled(req.user._id)) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    if (!course.syllabus.id(topicId)) {
+      return res.status(404).json({ message: 'Syllabus topic not found' });
+    }
+
+    const markCompleted = completed === true || completed === 'true';
+    const entry = course.getEnrollment(req.user._id).completedTopics
+      .find(completedTopic => completedTopic.topic.toString() === topicId);
+
+    // Students can only undo their own unverified entries
+    if (!markCompleted && entry && entry.verified) {
+      return res.status(400).json({ message: 'This topic was verified and can only be marked incomplete by your tutor' });
+    }
+
+    await course.setTopicsCompleted(req.user._id, [topicId], markCompleted);
+
+    res.json({
+      message: 'Progress updated successfully',
+      ...buildProgressReport(course, course.getEnrollment(req.user._id))
+    });
+
+  } catch (error) {
+    console.error('Update topic progress error:', error);
+    res.status(500).json({
+      message: 'Failed to update progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get a student's progress in a course (owning tutor only)
+const getStudentProgress = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view this student\'s progress' });
+    }
+
+    const enrollment = course.getEnrollment(studentId);
+    if (!enrollment) {
+      return res.status(404).json({ message: 'Student is not enrolled in this course' });
+    }
+
+    res.json(buildProgressReport(course, enrollment));
+
+  } catch (error) {
+    console.error('Get student progress error:', error);
+    res.status(500).json({
+      message: 'Failed to get progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Mark a syllabus topic complete or incomplete for a student (owning tutor only)
+const updateStudentTopic = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, studentId, topicId } = req.params;
+    const { completed = true } = req.body;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this student\'s progress' });
+    }
+
+    if (!course.isStudentEnrolled(studentId)) {
+      return res.status(404).json({ message: 'Student is not enrolled in this course' });
+    }
+
+    if (!course.syllabus.id(topicId)) {
+      return res.status(404).json({ message: 'Syllabus topic not found' });
+    }
+
+    await course.setTopicsCompleted(studentId, [topicId], completed === true || completed === 'true', true);
+    const certificate = await issueCertificateIfComplete(course, studentId);
+
+    res.json({
+      message: certificate
+        ? 'Progress updated successfully. Course completed, certificate issued!'
+        : 'Progress updated successfully',
+      ...buildProgressReport(course, course.getEnrollment(studentId)),
+      certificate: certificate ? certificate.toResponse() : null
+    });
+
+  } catch (error) {
+    console.error('Update student topic progress error:', error);
+    res.status(500).json({
+      message: 'Failed to update progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getMyProgress,
+  updateMyTopic,
+  getStudentProgress,
+  updateStudentTopic
+};
@@ -0,0 +1,549 @@
+const { validationResult } = require('express-validator');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Course = require('../models/Course');
+const { issueCertificateIfComplete } = require('../utils/certificates');
+
+// Fields a tutor is allowed to set on a quiz
+const QUIZ_FIELDS = [
+  'title',
+  'description',
+  'questions',
+  'timeLimit',
+  'maxAttempts',
+  'randomizeQuestions',
+  'passingScore',
+  'weight',
+  'syllabusTopic',
+  'availableFrom',
+  'availableUntil',
+  'status'
+];
+
+// Helper to pick quiz fields from the request body
+const buildQuizData = (body) => {
+  const quizData = {};
+
+  for (const field of QUIZ_FIELDS) {
+    if (body[field] !== undefined) {
+      quizData[field] = body[field];
+    }
+  }
+
+  return quizData;
+};
+
+// Helper to shuffle question IDs (Fisher-Yates)
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Helper to mark the quiz's syllabus topic complete for a student who passed
+const applyQuizResultToProgress = async (quiz, attempt) => {
+  if (!quiz.syllabusTopic || !attempt.passed) return;
+
+  const course = await Course.findById(quiz.course);
+  if (course && course.isStudentEnrolled(attempt.student) && course.syllabus.id(quiz.syllabusTopic)) {
+    await course.setTopicsCompleted(attempt.student, [quiz.syllabusTopic], true, true);
+    await issueCertificateIfComplete(course, attempt.student);
+  }
+};
+
+// Helper to load a quiz and check that the logged in tutor owns it
+const findOwnedQuiz = async (req, res) => {
+  const quiz = await Quiz.findById(req.params.quizId);
+  if (!quiz) {
+    res.status(404).json({ message: 'Quiz not found' });
+    return null;
+  }
+
+  if (quiz.tutor.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this quiz' });
+    return null;
+  }
+
+  return quiz;
+};
+
+// Get quizzes for a course (owning tutor sees all, enrolled students see published ones)
+const getCourseQuizzes = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const userId = req.user._id;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.tutor.toString() === userId.toString()) {
+      const quizzes = await Quiz.find({ course: courseId }).sort({ createdAt: -1 });
+      return res.json({ quizzes });
+    }
+
+    if (!course.isStudentEnrolled(userId)) {
+      return res.status(403).json({ message: 'You must be enrolled to view quizzes' });
+    }
+
+    const quizzes = await Quiz.findVisibleForCourse(courseId);
+    const attempts = await QuizAttempt.find({ course: courseId, student: userId })
+      .select('quiz attemptNumber status score maxScore percentage passed submittedAt');
+
+    res.json({
+      quizzes: quizzes.map(quiz => {
+        const myAttempts = attempts.filter(attempt => attempt.quiz.toString() === quiz._id.toString());
+        const { questions, ...quizData } = quiz.toStudentView();
+        return {
+          ...quizData,
+          questionCount: questions.length,
+          isOpen: quiz.isOpen(),
+          attemptsUsed: myAttempts.length,
+          myAttempts
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get course quizzes error:', error);
+    res.status(500).json({
+      message: 'Failed to get quizzes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create a quiz (owning tutor only)
+const createQuiz = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.body.courseId);
+    if (!course || course.tutor.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Course not found or does not belong to you' });
+    }
+
+    const quizData = buildQuizData(req.body);
+    if (quizData.syllabusTopic && !course.syllabus.id(quizData.syllabusTopic)) {
+      return res.status(400).json({ message: 'Syllabus topic not found in this course' });
+    }
+
+    const quiz = new Quiz({
+      ...quizData,
+      course: course._id,
+      tutor: req.user._id
+    });
+    await quiz.save();
+
+    res.status(201).json({
+      message: 'Quiz created successfully',
+      quiz
+    });
+
+  } catch (error) {
+    console.error('Create quiz error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create quiz',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get a quiz (owning tutor sees answer keys, enrolled students don't)
+const getQuiz = async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (quiz.tutor.toString() === req.user._id.toString()) {
+      return res.json({ quiz });
+    }
+
+    const course = await Course.findById(quiz.course);
+    if (!course || !course.isStudentEnrolled(req.user._id) || quiz.status === 'draft') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const { questions, ...quizData } = quiz.toStudentView();
+
+    res.json({
+      quiz: {
+        ...quizData,
+        questionCount: questions.length,
+        isOpen: quiz.isOpen()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(500).json({
+      message: 'Failed to get quiz',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update a quiz (owning tutor only)
+const updateQuiz = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quiz = await findOwnedQuiz(req, res);
+    if (!quiz) return;
+
+    const updateData = buildQuizData(req.body);
+
+    // Changing questions after students have attempted would invalidate their scores
+    if (updateData.questions !== undefined) {
+      const attemptCount = await QuizAttempt.countDocuments({ quiz: quiz._id });
+      if (attemptCount > 0) {
+        return res.status(400).json({
+          message: 'Questions cannot be changed after students have attempted the quiz'
+        });
+      }
+    }
+
+    if (updateData.syllabusTopic) {
+      const course = await Course.findById(quiz.course);
+      if (!course.syllabus.id(updateData.syllabusTopic)) {
+        return res.status(400).json({ message: 'Syllabus topic not found in this course' });
+      }
+    }
+
+    quiz.set(updateData);
+    await quiz.save();
+
+    res.json({
+      message: 'Quiz updated successfully',
+      quiz
+    });
+
+  } catch (error) {
+    console.error('Update quiz error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update quiz',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete a quiz without attempts (owning tutor only)
+const deleteQuiz = async (req, res) => {
+  try {
+    const quiz = await findOwnedQuiz(req, res);
+    if (!quiz) return;
+
+    const attemptCount = await QuizAttempt.countDocuments({ quiz: quiz._id });
+    if (attemptCount > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a quiz that has attempts. Close it instead.'
+      });
+    }
+
+    await quiz.deleteOne();
+
+    res.json({ message: 'Quiz deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete quiz error:', error);
+    res.status(500).json({
+      message: 'Failed to delete quiz',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Start an attempt, or resume the one in progress (enrolled students only)
+const startAttempt = async (req, res) => {
+  try {
+    const studentId = req.user._id;
+
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz || quiz.status === 'draft') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const course = await Course.findById(quiz.course);
+    if (!course || !course.isStudentEnrolled(studentId)) {
+      return res.status(403).json({ message: 'You must be enrolled to attempt this quiz' });
+    }
+
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, student: studentId })
+      .sort({ attemptNumber: 1 });
+
+    // Resume an unfinished attempt while its time remains
+    const current = attempts.find(attempt => attempt.status === 'in-progress');
+    if (current) {
+      if (!current.isPastDeadline()) {
+        return res.json({
+          message: 'Resuming your attempt',
+          attempt: current,
+          quiz: quiz.toStudentView(current.questionOrder)
+        });
+      }
+      await current.expire(quiz);
+    }
+
+    if (!quiz.isOpen()) {
+      return res.status(400).json({ message: 'This quiz is not open for attempts' });
+    }
+
+    if (attempts.length >= quiz.maxAttempts) {
+      return res.status(400).json({
+        message: `You have used all ${quiz.maxAttempts} attempts for this quiz`
+      });
+    }
+
+    const questionIds = quiz.questions.map(question => question._id);
+    const now = new Date();
+
+    const attempt = new QuizAttempt({
+      quiz: quiz._id,
+      course: quiz.course,
+      student: studentId,
+      attemptNumber: attempts.length + 1,
+      questionOrder: quiz.randomizeQuestions ? shuffle(questionIds) : questionIds,
+      startedAt: now,
+      expiresAt: quiz.timeLimit ? new Date(now.getTime() + quiz.timeLimit * 60 * 1000) : undefined
+    });
+
+    try {
+      await attempt.save();
+    } catch (error) {
+      // A concurrent request already started this attempt number
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'An attempt is already being started for this quiz' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Quiz attempt started',
+      attempt,
+      quiz: quiz.toStudentView(attempt.questionOrder)
+    });
+
+  } catch (error) {
+    console.error('Start quiz attempt error:', error);
+    res.status(500).json({
+      message: 'Failed to start quiz attempt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Submit answers for an attempt (owning student only)
+const submitAttempt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const attempt = await QuizAttempt.findById(req.params.attemptId);
+    if (!attempt || attempt.student.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (attempt.status !== 'in-progress') {
+      return res.status(400).json({ message: 'This attempt has already been submitted' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+
+    if (attempt.isPastDeadline()) {
+      await attempt.expire(quiz);
+      await applyQuizResultToProgress(quiz, attempt);
+      return res.status(400).json({
+        message: 'The time limit for this attempt has passed',
+        attempt
+      });
+    }
+
+    await attempt.submit(quiz, req.body.answers);
+    await applyQuizResultToProgress(quiz, attempt);
+
+    res.json({
+      message: attempt.status === 'pending-review'
+        ? 'Quiz submitted. Some answers will be graded by your tutor.'
+        : 'Quiz submitted and graded',
+      attempt
+    });
+
+  } catch (error) {
+    console.error('Submit quiz attempt error:', error);
+    res.status(500).json({
+      message: 'Failed to submit quiz attempt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get an attempt (the student who made it, or the quiz's tutor)
+const getAttempt = async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findById(req.params.attemptId)
+      .populate('student', 'firstName lastName email');
+    if (!attempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    const isStudent = attempt.student._id.toString() === req.user._id.toString();
+    const isTutor = quiz.tutor.toString() === req.user._id.toString();
+
+    if (!isStudent && !isTutor) {
+      return res.status(403).json({ message: 'Not authorized to view this attempt' });
+    }
+
+    // Answer keys stay hidden from students until the quiz is closed
+    const showAnswers = isTutor || quiz.status === 'closed';
+
+    res.json({
+      attempt,
+      quiz: showAnswers ? quiz : quiz.toStudentView(attempt.questionOrder)
+    });
+
+  } catch (error) {
+    console.error('Get quiz attempt error:', error);
+    res.status(500).json({
+      message: 'Failed to get quiz attempt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get all attempts for a quiz (owning tutor only)
+const getQuizAttempts = async (req, res) => {
+  try {
+    const quiz = await findOwnedQuiz(req, res);
+    if (!quiz) return;
+
+    const filter = { quiz: quiz._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const attempts = await QuizAttempt.find(filter)
+      .populate('student', 'firstName lastName email')
+      .sort({ submittedAt: -1 });
+
+    res.json({ attempts });
+
+  } catch (error) {
+    console.error('Get quiz attempts error:', error);
+    res.status(500).json({
+      message: 'Failed to get quiz attempts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Grade a short answer that needs review (owning tutor only)
+const gradeAnswer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const attempt = await QuizAttempt.findById(req.params.attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (quiz.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to grade this attempt' });
+    }
+
+    const answer = attempt.answers.id(req.params.answerId);
+    if (!answer) {
+      return res.status(404).json({ message: 'Answer not found' });
+    }
+
+    const question = quiz.questions.id(answer.question);
+    const points = parseFloat(req.body.points);
+    if (points > question.points) {
+      return res.status(400).json({
+        message: `Points cannot be more than the question's ${question.points} points`
+      });
+    }
+
+    answer.pointsAwarded = points;
+    answer.isCorrect = points === question.points;
+    answer.needsReview = false;
+    answer.feedback = req.body.feedback;
+
+    attempt.calculateScore(quiz);
+    await attempt.save();
+    await applyQuizResultToProgress(quiz, attempt);
+
+    res.json({
+      message: 'Answer graded successfully',
+      attempt
+    });
+
+  } catch (error) {
+    console.error('Grade quiz answer error:', error);
+    res.status(500).json({
+      message: 'Failed to grade answer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCourseQuizzes,
+  createQuiz,
+  getQuiz,
+  updateQuiz,
+  deleteQuiz,
+  startAttempt,
+  submitAttempt,
+  getAttempt,
+  getQuizAttempts,
+  gradeAnswer
+};
@@ -0,0 +1,229 @@
+const { validationResult } = require('express-validator');
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const { requestRefund, processRefund, reviewRefund, reopenFailedRefund } = require('../utils/refunds');
+
+// Helper to load a refund for an admin action
+const findRefund = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const refund = await Refund.findById(req.params.refundId);
+  if (!refund) {
+    res.status(404).json({ message: 'Refund not found' });
+    return null;
+  }
+
+  return refund;
+};
+
+// Dispute a payment and ask for money back (payer only). Disputes always
+// wait for an admin to approve them.
+const requestDisputeRefund = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentId, amount, reason } = req.body;
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.payer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the payer can dispute this payment' });
+    }
+
+    let refund;
+    try {
+      refund = await requestRefund({ payment, amount, reason, source: 'dispute', requestedBy: req.user._id });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(201).json({
+      message: 'Refund requested. An admin will review it.',
+      refund
+    });
+
+  } catch (error) {
+    console.error('Request dispute refund error:', error);
+    res.status(500).json({
+      message: 'Failed to request refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get refunds, oldest first: every refund for admins (the approval queue
+// with status=requested), otherwise the logged in user's own
+const getRefunds = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, source, limit = 20, skip = 0 } = req.query;
+
+    const filter = req.user.role === 'admin' ? {} : { payer: req.user._id };
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+
+    const refunds = await Refund.find(filter)
+      .populate('payer', 'firstName lastName email')
+      .populate('booking', 'sessionDate startTime startAt status')
+      .populate('marketplaceItem', 'title')
+      .sort({ createdAt: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await Refund.countDocuments(filter);
+
+    res.json({ refunds, total });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      message: 'Failed to get refunds',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get one refund (payer or admin)
+const getRefundById = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.refundId)
+      .populate('payment', 'amount refundedAmount status method transactionId');
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    if (req.user.role !== 'admin' && refund.payer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view this refund' });
+    }
+
+    res.json({ refund });
+
+  } catch (error) {
+    console.error('Get refund error:', error);
+    res.status(500).json({
+      message: 'Failed to get refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Approve a requested refund and send it (admin only)
+const approveRefund = async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    const approved = await reviewRefund(refund, 'approved', req.user._id, req.body.note);
+    if (!approved) {
+      return res.status(400).json({ message: 'This refund is no longer waiting for review' });
+    }
+
+    const processed = await processRefund(approved);
+
+    res.json({
+      message: processed.status === 'processed' ? 'Refund approved and processed' : 'Refund approved but failed at the gateway',
+      refund: processed
+    });
+
+  } catch (error) {
+    console.error('Approve refund error:', error);
+    res.status(500).json({
+      message: 'Failed to approve refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Reject a requested refund (admin only)
+const rejectRefund = async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    const rejected = await reviewRefund(refund, 'rejected', req.user._id, req.body.note);
+    if (!rejected) {
+      return res.status(400).json({ message: 'This refund is no longer waiting for review' });
+    }
+
+    res.json({
+      message: 'Refund rejected',
+      refund: rejected
+    });
+
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    res.status(500).json({
+      message: 'Failed to reject refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Send a failed refund through the gateway again (admin only)
+const retryRefund = async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    if (refund.status !== 'failed') {
+      return res.status(400).json({ message: 'Only failed refunds can be retried' });
+    }
+
+    let reopened;
+    try {
+      reopened = await reopenFailedRefund(refund, req.user._id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!reopened) {
+      return res.status(400).json({ message: 'Only failed refunds can be retried' });
+    }
+
+    const processed = await processRefund(reopened);
+
+    res.json({
+      message: processed.status === 'processed' ? 'Refund processed' : 'Refund failed again at the gateway',
+      refund: processed
+    });
+
+  } catch (error) {
+    console.error('Retry refund error:', error);
+    res.status(500).json({
+      message: 'Failed to retry refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  requestDisputeRefund,
+  getRefunds,
+  getRefundById,
+  approveRefund,
+  rejectRefund,
+  retryRefund
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const { deleteFile } = require('../middleware/upload');
+
+// Helper to work out a resource type from an uploaded file
+const getFileResourceType = (file) => {
+  return path.extname(file.originalname).toLowerCase() === '.pdf' ? 'pdf' : 'document';
+};
+
+// Helper to strip private storage paths before sending a resource
+const toResourceResponse = (resource) => {
+  const resourceObject = resource.toObject();
+  delete resourceObject.filePath;
+  resourceObject.hasFile = Boolean(resource.filePath);
+  resourceObject.versions = (resourceObject.versions || []).map(({ filePath, ...version }) => version);
+  return resourceObject;
+};
+
+// Helper to load a course and check that the logged in tutor owns it
+const findOwnedCourse = async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  if (!course) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  if (course.tutor.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this course' });
+    return null;
+  }
+
+  return course;
+};
+
+// Get the resources of a course (owning tutor, admins and enrolled students)
+const getResources = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.canAccessMaterials(req.user)) {
+      return res.status(403).json({ message: 'You must be enrolled to view course resources' });
+    }
+
+    const resources = [...course.resources]
+      .sort((a, b) => a.order - b.order)
+      .map(toResourceResponse);
+
+    res.json({ resources });
+
+  } catch (error) {
+    console.error('Get resources error:', error);
+    res.status(500).json({
+      message: 'Failed to get resources',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Add resources to a course (owning tutor only).
+// Uploaded files become pdf/document resources; without files a video or
+// link resource is created from the title, type and url in the body.
+const addResources = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const { title, description, type, url } = req.body;
+    const files = (req.files && req.files.resources) || [];
+    const thumbnail = req.files && req.files.thumbnail && req.files.thumbnail[0];
+
+    let nextOrder = course.resources.reduce((max, resource) => Math.max(max, resource.order), -1) + 1;
+    const added = [];
+
+    if (files.length > 0) {
+      for (const file of files) {
+        course.resources.push({
+          title: files.length === 1 && title ? title : file.originalname,
+          description,
+          type: getFileResourceType(file),
+          filePath: file.path,
+          fileName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          order: nextOrder++,
+          uploadedBy: req.user._id
+        });
+        added.push(course.resources[course.resources.length - 1]);
+      }
+    } else if (!thumbnail) {
+      if (!['video', 'link'].includes(type) || !url || !title) {
+        return res.status(400).json({
+          message: 'Upload a file, or provide a title, url and a type of video or link'
+        });
+      }
+
+      course.resources.push({
+        title,
+        description,
+        type,
+        url,
+        order: nextOrder,
+        uploadedBy: req.user._id
+      });
+      added.push(course.resources[course.resources.length - 1]);
+    }
+
+    // courseFiles also accepts a new course thumbnail
+    const previousThumbnail = course.thumbnail;
+    if (thumbnail) {
+      course.thumbnail = thumbnail.path;
+    }
+
+    await course.save();
+
+    if (thumbnail && previousThumbnail) {
+      deleteFile(previousThumbnail);
+    }
+
+    res.status(201).json({
+      message: 'Resources added successfully',
+      resources: added.map(toResourceResponse),
+      thumbnail: course.thumbnail
+    });
+
+  } catch (error) {
+    console.error('Add resources error:', error);
+    res.status(500).json({
+      message: 'Failed to add resources',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update resource details (owning tutor only)
+const updateResource = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const resource = course.resources.id(req.params.resourceId);
+    if (!resource) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    const { title, description, url } = req.body;
+
+    if (title !== undefined) resource.title = title;
+    if (description !== undefined) resource.description = description;
+
+    if (url !== undefined) {
+      if (resource.filePath) {
+        return res.status(400).json({ message: 'Uploaded file resources cannot have a url' });
+      }
+      resource.url = url;
+    }
+
+    await course.save();
+
+    res.json({
+      message: 'Resource updated successfully',
+      resource: toResourceResponse(resource)
+    });
+
+  } catch (error) {
+    console.error('Update resource error:', error);
+    res.status(500).json({
+      message: 'Failed to update resource',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Replace a resource file, keeping the previous file as an earlier version (owning tutor only)
+const replaceResourceFile = async (req, res) => {
+  try {
+    if (!req.file || req.file.fieldname !== 'resources') {
+      return res.status(400).json({ message: 'Resource file is required' });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const resource = course.resources.id(req.params.resourceId);
+    if (!resource) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (!resource.filePath) {
+      return res.status(400).json({ message: 'Only uploaded file resources can be replaced' });
+    }
+
+    resource.versions.push({
+      version: resource.version,
+      filePath: resource.filePath,
+      fileName: resource.fileName,
+      mimeType: resource.mimeType,
+      size: resource.size,
+      uploadedAt: resource.uploadedAt,
+      uploadedBy: resource.uploadedBy
+    });
+
+    resource.version += 1;
+    resource.filePath = req.file.path;
+    resource.fileName = req.file.originalname;
+    resource.mimeType = req.file.mimetype;
+    resource.size = req.file.size;
+    resource.type = getFileResourceType(req.file);
+    resource.uploadedAt = new Date();
+    resource.uploadedBy = req.user._id;
+
+    await course.save();
+
+    res.json({
+      message: `Resource updated to version ${resource.version}`,
+      resource: toResourceResponse(resource)
+    });
+
+  } catch (error) {
+    console.error('Replace resource file error:', error);
+
+    if (req.file) {
+      deleteFile(req.file.path);
+    }
+
+    res.status(500).json({
+      message: 'Failed to replace resource file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Reorder course resources (owning tutor only)
+const reorderResources = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const { order } = req.body;
+
+    // The new order must list every resource exactly once
+    const currentIds = course.resources.map(resource => resource._id.toString()).sort();
+    const requestedIds = [...order].map(String).sort();
+    if (currentIds.length !== requestedIds.length ||
+        currentIds.some((resourceId, index) => resourceId !== requestedIds[index])) {
+      return res.status(400).json({ message: 'Order must list every resource of the course exactly once' });
+    }
+
+    order.forEach((resourceId, index) => {
+      course.resources.id(resourceId).order = index;
+    });
+
+    await course.save();
+
+    res.json({
+      message: 'Resources reordered successfully',
+      resources: [...course.resources]
+        .sort((a, b) => a.order - b.order)
+        .map(toResourceResponse)
+    });
+
+  } catch (error) {
+    console.error('Reorder resources error:', error);
+    res.status(500).json({
+      message: 'Failed to reorder resources',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete a resource and all of its file versions (owning tutor only)
+const deleteResource = async (req, res) => {
+  try {
+    const course = await findOwnedCourse(req, res);
+    if (!course) return;
+
+    const resource = course.resources.id(req.params.resourceId);
+    if (!resource) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    const filePaths = [resource.filePath, ...resource.versions.map(version => version.filePath)]
+      .filter(Boolean);
+
+    resource.deleteOne();
+    await course.save();
+
+    filePaths.forEach(deleteFile);
+
+    res.json({ message: 'Resource deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete resource error:', error);
+    res.status(500).json({
+      message: 'Failed to delete resource',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Download a resource file (owning tutor, admins and enrolled students)
+const downloadResource = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.canAccessMaterials(req.user)) {
+      return res.status(403).json({ message: 'You must be enrolled to download course resources' });
+    }
+
+    const resource = course.resources.id(req.params.resourceId);
+    if (!resource) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (!resource.filePath) {
+      return res.json({ url: resource.url });
+    }
+
+    // Earlier versions can be requested with ?version=N
+    let file = resource;
+    if (req.query.version && parseInt(req.query.version) !== resource.version) {
+      file = resource.versions.find(version => version.version === parseInt(req.query.version));
+      if (!file) {
+        return res.status(404).json({ message: 'Resource version not found' });
+      }
+    }
+
+    if (!fs.existsSync(file.filePath)) {
+      return res.status(404).json({ message: 'Resource file is no longer available' });
+    }
+
+    res.download(file.filePath, file.fileName);
+
+  } catch (error) {
+    console.error('Download resource error:', error);
+    res.status(500).json({
+      message: 'Failed to download resource',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getResources,
+  addResources,
+  updateResource,
+  replaceResourceFile,
+  reorderResources,
+  deleteResource,
+  downloadResource
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const { deleteFile, deleteFiles } = require('../middleware/upload');
+const { escapeRegExp } = require('../utils/text');
+
+// Helper to load a booking the logged in user takes part in
+const findParticipantBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found' });
+    return null;
+  }
+
+  const userId = req.user._id.toString();
+  if (booking.student.toString() !== userId && booking.tutor.toString() !== userId) {
+    res.status(403).json({ message: 'Not authorized to access this booking' });
+    return null;
+  }
+
+  return booking;
+};
+
+// Get the materials of a session (student or tutor)
+const getSessionMaterials = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    res.json({ materials: booking.sessionMaterials });
+
+  } catch (error) {
+    console.error('Get session materials error:', error);
+    res.status(500).json({
+      message: 'Failed to get session materials',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Upload slides or files for a session (tutor only)
+const addSessionMaterials = async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'At least one material file is required' });
+    }
+
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (booking.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the tutor can upload session materials' });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({ message: 'Materials cannot be added to a cancelled booking' });
+    }
+
+    const { title } = req.body;
+    const added = files.map(file => booking.sessionMaterials.create({
+      title: files.length === 1 && title ? title : file.originalname,
+      filePath: file.path,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy: req.user._id
+    }));
+    booking.sessionMaterials.push(...added);
+
+    await booking.save();
+
+    res.status(201).json({
+      message: 'Session materials uploaded successfully',
+      materials: added
+    });
+
+  } catch (error) {
+    console.error('Add session materials error:', error);
+
+    if (req.files) {
+      deleteFiles(req.files.map(file => file.path));
+    }
+
+    res.status(500).json({
+      message: 'Failed to upload session materials',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete a session material (tutor only)
+const deleteSessionMaterial = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (booking.tutor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the tutor can delete session materials' });
+    }
+
+    const material = booking.sessionMaterials.id(req.params.materialId);
+    if (!material) {
+      return res.status(404).json({ message: 'Material not found' });
+    }
+
+    const { filePath } = material;
+    material.deleteOne();
+    await booking.save();
+
+    deleteFile(filePath);
+
+    res.json({ message: 'Material deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete session material error:', error);
+    res.status(500).json({
+      message: 'Failed to delete material',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Download a session material (student or tutor)
+const downloadSessionMaterial = async (req, res) => {
+  try {
+    const booking = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    const material = booking.sessionMaterials.id(req.params.materialId);
+    if (!material) {
+      return res.status(404).json({ message: 'Material not found' });
+    }
+
+    if (!fs.existsSync(material.filePath)) {
+      return res.status(404).json({ message: 'Material file is no longer available' });
+    }
+
+    res.download(material.filePath, material.fileName);
+
+  } catch (error) {
+    console.error('Download session material error:', error);
+    res.status(500).json({
+      message: 'Failed to download material',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Search the materials of all the logged in user's sessions, newest first.
+// Matches the material title or file name; can be narrowed to one course.
+const searchSessionMaterials = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, courseId, limit = 20, skip = 0 } = req.query;
+    const participant = req.user.role === 'tutor' ? 'tutor' : 'student';
+
+    const filter = {
+      [participant]: req.user._id,
+      'sessionMaterials.0': { $exists: true }
+    };
+    if (courseId) {
+      filter.course = courseId;
+    }
+
+    const bookings = await Booking.find(filter)
+      .select('sessionDate startTime startAt course student tutor sessionSummary sessionMaterials')
+      .populate('course', 'title')
+      .populate('tutor', 'firstName lastName')
+      .populate('student', 'firstName lastName');
+
+    const pattern = search ? new RegExp(escapeRegExp(search), 'i') : null;
+
+    const materials = bookings
+      .flatMap(booking => booking.sessionMaterials
+        .filter(material => !pattern || pattern.test(material.title) || pattern.test(material.fileName))
+        .map(material => ({
+          ...material.toJSON(),
+          booking: {
+            _id: booking._id,
+            sessionDate: booking.sessionDate,
+            startTime: booking.startTime,
+            startAt: booking.startAt,
+            course: booking.course,
+            tutor: booking.tutor,
+            student: booking.student,
+            sessionSummary: booking.sessionSummary
+          }
+        })))
+      .sort((a, b) => b.uploadedAt - a.uploadedAt);
+
+    res.json({
+      materials: materials.slice(parseInt(skip), parseInt(skip) + parseInt(limit)),
+      total: materials.length
+    });
+
+  } catch (error) {
+    console.error('Search session materials error:', error);
+    res.status(500).json({
+      message: 'Failed to search session materials',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSessionMaterials,
+  addSessionMaterials,
+  deleteSessionMaterial,
+  downloadSessionMaterial,
+  searchSessionMaterials
+};
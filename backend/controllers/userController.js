@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Review = require('../models/Review');
+const { escapeRegExp } = require('../utils/text');
 
 // Get all approved tutors (public)
 const getApprovedTutors = async (req, res) => {
@@ -46,7 +47,7 @@ const getApprovedTutors = async (req, res) => {
 
     // Search filter (name, skills, or work experience)
     if (search) {
-      const searchRegex = new RegExp(search, 'i');
+      const searchRegex = new RegExp(escapeRegExp(search), 'i');
       filter.$or = [
         { firstName: searchRegex },
         { lastName: searchRegex },
@@ -180,7 +181,7 @@ const getAllUsers = async (req, res) => {
     if (isActive !== undefined) filter.isActive = isActive === 'true';
 
     if (search) {
-      const searchRegex = new RegExp(search, 'i');
+      const searchRegex = new RegExp(escapeRegExp(search), 'i');
       filter.$or = [
         { firstName: searchRegex },
         { lastName: searchRegex },
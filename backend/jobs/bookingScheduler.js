@@ -0,0 +1,214 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { requestBookingRefund } = require('../utils/refunds');
+const { expirePayment } = require('../utils/payments');
+const { BOOKING_SCHEDULER_INTERVAL_SECONDS, NO_SHOW_GRACE_MINUTES } = require('../config/booking');
+
+// Helper to send a booking event to the socket rooms of the given users
+const notify = (io, userIds, event, booking, message) => {
+  for (const userId of userIds) {
+    io.to(userId.toString()).emit(event, {
+      bookingId: booking._id,
+      status: booking.status,
+      startAt: booking.startAt,
+      message
+    });
+  }
+};
+
+// Cancel pending bookings the tutor did not confirm before their slot hold
+// lapsed or the session was due to start
+const expirePendingBookings = async (io, now) => {
+  const bookings = await Booking.find({
+    status: 'pending',
+    $or: [
+      { holdExpiresAt: { $lte: now } },
+      { startAt: { $lte: now } }
+    ]
+  });
+
+  let count = 0;
+  for (const pending of bookings) {
+    try {
+      const policy = await CancellationPolicy.getForTutor(pending.tutor);
+      const quote = policy.quote(pending, 'system', now);
+      const booking = await Booking.transition(
+        pending._id,
+        'pending',
+        Booking.getCancellationUpdate('Not confirmed by the tutor in time', quote)
+      );
+      if (!booking) continue;
+
+      count += 1;
+      await requestBookingRefund(booking, quote.refundAmount, 'Not confirmed by the tutor in time', 'cancellation');
+      notify(io, [booking.student, booking.tutor], 'booking_expired', booking,
+        'The booking was cancelled because the tutor did not confirm it in time');
+    } catch (error) {
+      console.error(`Expire booking ${pending._id} error:`, error);
+    }
+  }
+
+  return count;
+};
+
+// Move confirmed bookings to in-progress once their start time arrives
+const startDueBookings = async (io, now) => {
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    startAt: { $lte: now }
+  });
+
+  let count = 0;
+  for (const confirmed of bookings) {
+    try {
+      const booking = await Booking.transition(confirmed._id, 'confirmed', { status: 'in-progress' });
+      if (!booking) continue;
+
+      count += 1;
+      notify(io, [booking.student, booking.tutor], 'booking_started', booking,
+        'Your session has started');
+    } catch (error) {
+      console.error(`Start booking ${confirmed._id} error:`, error);
+    }
+  }
+
+  return count;
+};
+
+// Mark sessions as no-show when a participant has not joined within the
+// grace period, using the join flags in Booking.attendance
+const markNoShows = async (io, now) => {
+  const graceCutoff = new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * 60 * 1000);
+  const bookings = await Booking.find({
+    status: 'in-progress',
+    startAt: { $lte: graceCutoff },
+    $or: [
+      { 'attendance.studentJoined': { $ne: true } },
+      { 'attendance.tutorJoined': { $ne: true } }
+    ]
+  });
+
+  let count = 0;
+  for (const inProgress of bookings) {
+    try {
+      const { studentJoined, tutorJoined } = inProgress.attendance;
+      const noShowBy = !studentJoined && !tutorJoined ? 'both' : (studentJoined ? 'tutor' : 'student');
+
+      const booking = await Booking.transition(inProgress._id, 'in-progress', {
+        status: 'no-show',
+        'attendance.noShowBy': noShowBy
+      });
+      if (!booking) continue;
+
+      count += 1;
+      if (noShowBy !== 'student') {
+        await requestBookingRefund(booking, booking.totalAmount, 'Tutor did not attend the session', 'no-show');
+      }
+      notify(io, [booking.student, booking.tutor], 'booking_no_show', booking,
+        noShowBy === 'both'
+          ? 'Neither participant joined the session'
+          : `The ${noShowBy} did not join the session`);
+    } catch (error) {
+      console.error(`Mark no-show booking ${inProgress._id} error:`, error);
+    }
+  }
+
+  return count;
+};
+
+// Tell tutors once about sessions that have ended but were never completed
+const flagOverdueSessions = async (io, now) => {
+  const bookings = await Booking.find({
+    status: { $in: ['confirmed', 'in-progress'] },
+    endAt: { $lte: now },
+    overdueNotifiedAt: { $exists: false }
+  });
+
+  let count = 0;
+  for (const overdue of bookings) {
+    try {
+      // Only the run that sets the flag sends the notification
+      const booking = await Booking.findOneAndUpdate(
+        { _id: overdue._id, overdueNotifiedAt: { $exists: false } },
+        { $set: { overdueNotifiedAt: now } },
+        { new: true }
+      );
+      if (!booking) continue;
+
+      count += 1;
+      notify(io, [booking.tutor], 'booking_overdue', booking,
+        'This session has ended. Please mark it as completed.');
+    } catch (error) {
+      console.error(`Flag overdue booking ${overdue._id} error:`, error);
+    }
+  }
+
+  return count;
+};
+
+// Fail payments left pending past their session, which puts a physical
+// marketplace item back on sale
+const expireStalePayments = async (now) => {
+  const payments = await Payment.find({
+    status: 'pending',
+    expiresAt: { $lte: now }
+  });
+
+  let count = 0;
+  for (const payment of payments) {
+    try {
+      const { changed } = await expirePayment(payment);
+      if (changed) count += 1;
+    } catch (error) {
+      console.error(`Expire payment ${payment._id} error:`, error);
+    }
+  }
+
+  return count;
+};
+
+// Run every booking lifecycle job once, in order, and report what changed
+const runBookingJobs = async (io, now = new Date()) => {
+  return {
+    expired: await expirePendingBookings(io, now),
+    started: await startDueBookings(io, now),
+    noShows: await markNoShows(io, now),
+    overdue: await flagOverdueSessions(io, now),
+    expiredPayments: await expireStalePayments(now)
+  };
+};
+
+// Start running the booking jobs every BOOKING_SCHEDULER_INTERVAL_SECONDS.
+// A run is skipped while the previous one is still going.
+// Returns a function that stops the scheduler.
+const startBookingScheduler = (io) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const counts = await runBookingJobs(io);
+      const changed = Object.entries(counts).filter(([, count]) => count > 0);
+      if (changed.length > 0) {
+        console.log('Booking scheduler:', changed.map(([job, count]) => `${count} ${job}`).join(', '));
+      }
+    } catch (error) {
+      console.error('Booking scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, BOOKING_SCHEDULER_INTERVAL_SECONDS * 1000);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runBookingJobs,
+  startBookingScheduler
+};
@@ -9,13 +9,27 @@ const ensureDirectoryExists = (dirPath) => {
   }
 };
 
+// Private storage root. Unlike uploads/, it is not served statically, so
+// files stored here can only be sent through access-checked endpoints.
+const privateStoragePath = path.join(__dirname, '../storage');
+
+// Fields whose files go to private storage, and their sub-folders
+const privateFields = {
+  resources: 'resources',
+  homeworkSubmission: 'homework',
+  sessionMaterials: 'session-materials',
+  assignmentSubmission: 'assignments'
+};
+
 // Configure multer storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     let uploadPath = path.join(__dirname, '../uploads');
     
     // Organize uploads by type
-    if (file.fieldname === 'cv') {
+    if (privateFields[file.fieldname]) {
+      uploadPath = path.join(privateStoragePath, privateFields[file.fieldname]);
+    } else if (file.fieldname === 'cv') {
       uploadPath = path.join(uploadPath, 'cvs');
     } else if (file.fieldname === 'profilePicture') {
       uploadPath = path.join(uploadPath, 'profiles');
@@ -51,7 +65,11 @@ const fileFilter = (req, file, cb) => {
     courseImage: ['.jpg', '.jpeg', '.png'],
     thumbnail: ['.jpg', '.jpeg', '.png'],
     marketplaceImages: ['.jpg', '.jpeg', '.png'],
-    marketplaceFiles: ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.zip', '.rar', '.txt']
+    marketplaceFiles: ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.zip', '.rar', '.txt'],
+    assignmentSubmission: ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.zip', '.rar', '.txt'],
+    resources: ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.txt', '.zip'],
+    homeworkSubmission: ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.txt', '.zip', '.jpg', '.jpeg', '.png'],
+    sessionMaterials: ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.txt', '.zip', '.jpg', '.jpeg', '.png']
   };
   
   const fileExtension = path.extname(file.originalname).toLowerCase();
@@ -81,10 +99,14 @@ const uploadConfig = {
   profilePicture: upload.single('profilePicture'),
   courseImage: upload.single('courseImage'),
   thumbnail: upload.single('thumbnail'),
+  assignmentSubmission: upload.single('assignmentSubmission'),
+  courseResource: upload.single('resources'),
   
   // Multiple file uploads
   marketplaceImages: upload.array('marketplaceImages', 5),
   marketplaceFiles: upload.array('marketplaceFiles', 3),
+  homeworkSubmission: upload.array('homeworkSubmission', 5),
+  sessionMaterials: upload.array('sessionMaterials', 5),
   
   // Mixed uploads
   courseFiles: upload.fields([
@@ -212,6 +234,8 @@ const validateFileRequirements = (requirements) => {
 };
 
 module.exports = {
+  privateStoragePath,
+  ensureDirectoryExists,
   upload,
   uploadConfig,
   handleUploadError,
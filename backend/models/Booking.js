@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const SlotLock = require('./SlotLock');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc } = require('../utils/time');
+const { PUNCTUALITY_GRACE_MINUTES } = require('../config/booking');
+
+// Statuses after which a booking no longer needs the tutor's time
+const RELEASED_STATUSES = ['completed', 'cancelled', 'no-show'];
+
+// A file kept in private storage; its path is never sent to clients, who
+// download it through an access-checked endpoint instead
+const storedFileSchema = new mongoose.Schema({
+  title: String,
+  filePath: String,
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.filePath;
+      return ret;
+    }
+  }
+});
 
 const bookingSchema = new mongoose.Schema({
   student: {
@@ -16,6 +44,12 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  series: { // Set when the booking is one occurrence of a recurring booking
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  // sessionDate, startTime and endTime are the wall-clock slot in the tutor's
+  // timezone; startAt and endAt are the same slot as absolute instants
   sessionDate: {
     type: Date,
     required: [true, 'Session date is required']
@@ -28,6 +62,13 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: [true, 'End time is required']
   },
+  timezone: { // Tutor's timezone when the booking was made
+    type: String,
+    default: DEFAULT_TIMEZONE
+  },
+  startAt: Date,
+  endAt: Date,
+  holdExpiresAt: Date, // A pending booking keeps its slot (see SlotLock) until this time
   duration: {
     type: Number, // Duration in minutes
     required: [true, 'Duration is required'],
@@ -49,7 +90,7 @@ const bookingSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -61,13 +102,28 @@ const bookingSchema = new mongoose.Schema({
   meetingLink: String, // Google Meet or other video conferencing link
   meetingId: String,
   notes: String, // Special instructions or notes from student
-  tutorNotes: String, // Notes from tutor about the session
+  tutorNotes: { // Tutor's private notes about the session; never sent to the student
+    type: String,
+    select: false
+  },
+  sessionSummary: String, // Summary of the session shared with the student
+  summaryUpdatedAt: Date,
   sessionObjectives: [String], // What the student wants to learn
-  sessionMaterials: [String], // Materials/resources used in the session
+  syllabusTopics: [mongoose.Schema.Types.ObjectId], // Course syllabus topics covered in the session
+  sessionMaterials: [storedFileSchema], // Slides and files the tutor shared for the session
   homework: [{
-    task: String,
+    task: {
+      type: String,
+      required: [true, 'Homework task is required'],
+      maxlength: [200, 'Homework task cannot be more than 200 characters']
+    },
+    description: String,
     dueDate: Date,
-    completed: { type: Boolean, default: false }
+    assignedAt: { type: Date, default: Date.now },
+    completed: { type: Boolean, default: false },
+    completedAt: Date,
+    submissionNote: String, // Student's note about their work
+    submissions: [storedFileSchema] // Files the student uploaded
   }],
   feedback: {
     studentFeedback: {
@@ -84,10 +140,17 @@ const bookingSchema = new mongoose.Schema({
   attendance: {
     studentJoined: { type: Boolean, default: false },
     tutorJoined: { type: Boolean, default: false },
-    studentJoinTime: Date,
+    studentJoinTime: Date, // First check-in
     tutorJoinTime: Date,
-    sessionEndTime: Date
+    studentLeaveTime: Date, // Latest check-out; cleared when they join again
+    tutorLeaveTime: Date,
+    sessionEndTime: Date,
+    noShowBy: { // Who missed the session when it was marked as a no-show
+      type: String,
+      enum: ['student', 'tutor', 'both']
+    }
   },
+  overdueNotifiedAt: Date, // When the tutor was told the session ended without being completed
   rescheduleHistory: [{
     oldDate: Date,
     newDate: Date,
@@ -100,8 +163,45 @@ const bookingSchema = new mongoose.Schema({
     },
     requestedAt: { type: Date, default: Date.now }
   }],
+  rescheduleRequest: { // Latest proposal to move the session, awaiting the other party
+    newDate: Date,
+    newStartTime: String,
+    newEndTime: String,
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn']
+    },
+    respondedAt: Date,
+    responseNote: String
+  },
   cancellationReason: String,
-  refundAmount: { type: Number, default: 0 },
+  // The cancellation policy as it was applied when the booking was cancelled
+  cancellation: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    policyName: String,
+    tiers: [{
+      _id: false,
+      minHoursBefore: Number,
+      refundPercent: Number
+    }],
+    cancelledBy: {
+      type: String,
+      enum: ['student', 'tutor', 'system']
+    },
+    cancelledAt: Date,
+    hoursBefore: Number,
+    refundPercent: Number
+  },
+  refundAmount: { type: Number, default: 0 }, // Amount actually sent back to the student so far
   refundReason: String,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -118,30 +218,42 @@ bookingSchema.virtual('durationHours').get(function() {
 
 // Virtual for is session upcoming
 bookingSchema.virtual('isUpcoming').get(function() {
-  const now = new Date();
-  const sessionDateTime = new Date(this.sessionDate);
-  const [hours, minutes] = this.startTime.split(':');
-  sessionDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  
-  return sessionDateTime > now && this.status !== 'cancelled' && this.status !== 'completed';
+  return this.startAt > new Date() && this.status !== 'cancelled' && this.status !== 'completed';
 });
 
 // Virtual for is session overdue
 bookingSchema.virtual('isOverdue').get(function() {
-  const now = new Date();
-  const sessionDateTime = new Date(this.sessionDate);
-  const [hours, minutes] = this.endTime.split(':');
-  sessionDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  
-  return sessionDateTime < now && this.status === 'confirmed';
+  return this.endAt < new Date() && (this.status === 'confirmed' || this.status === 'in-progress');
+});
+
+// Pre-validate middleware to keep the start and end instants in step with the
+// wall-clock slot, including for reschedules and bookings made before instants
+bookingSchema.pre('validate', function(next) {
+  const slotChanged = this.isModified('sessionDate') || this.isModified('startTime') ||
+    this.isModified('endTime') || this.isModified('timezone');
+
+  if (this.sessionDate && this.startTime && this.endTime && (slotChanged || !this.startAt || !this.endAt)) {
+    const timezone = this.timezone || DEFAULT_TIMEZONE;
+    this.startAt = zonedTimeToUtc(this.sessionDate, this.startTime, timezone);
+    this.endAt = zonedTimeToUtc(this.sessionDate, this.endTime, timezone);
+  }
+  next();
 });
 
 // Pre-save middleware to update timestamp
 bookingSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.$locals.releaseSlot = this.isModified('status') && RELEASED_STATUSES.includes(this.status);
   next();
 });
 
+// Post-save middleware to free the slot locks of finished or cancelled bookings
+bookingSchema.post('save', async function() {
+  if (this.$locals.releaseSlot) {
+    await SlotLock.release(this._id);
+  }
+});
+
 // Method to calculate total amount based on duration and tutor's hourly rate
 bookingSchema.methods.calculateAmount = async function() {
   await this.populate('tutor');
@@ -157,23 +269,25 @@ bookingSchema.methods.confirm = function() {
     throw new Error('Only pending bookings can be confirmed');
   }
   this.status = 'confirmed';
+  this.holdExpiresAt = undefined;
   return this.save();
 };
 
-// Method to cancel booking
-bookingSchema.methods.cancel = function(reason, refundAmount = 0) {
-  if (this.status === 'completed' || this.status === 'cancelled') {
-    throw new Error('Cannot cancel completed or already cancelled bookings');
-  }
-  
-  this.status = 'cancelled';
-  this.cancellationReason = reason;
-  
-  if (refundAmount > 0) {
-    this.refundAmount = refundAmount;
-    this.paymentStatus = 'refunded';
+// Method to check the booking can still be cancelled: only before the
+// session has started, so a missed or running session cannot be refunded
+bookingSchema.methods.canBeCancelled = function() {
+  return this.status === 'pending' || this.status === 'confirmed';
+};
+
+// Method to cancel booking, recording the refund quote from
+// CancellationPolicy.quote when one was worked out. Any refund is paid out
+// separately as a Refund; paymentStatus and refundAmount follow the payment.
+bookingSchema.methods.cancel = function(reason, quote = null) {
+  if (!this.canBeCancelled()) {
+    throw new Error('Only pending or confirmed bookings can be cancelled');
   }
   
+  this.set(this.constructor.getCancellationUpdate(reason, quote));
   return this.save();
 };
 
@@ -201,14 +315,120 @@ bookingSchema.methods.reschedule = function(newDate, newStartTime, newEndTime, r
   return this.save();
 };
 
+// Method to propose moving the session; the other party must accept it
+bookingSchema.methods.requestReschedule = function(newDate, newStartTime, newEndTime, reason, requestedBy) {
+  if (this.status !== 'pending' && this.status !== 'confirmed') {
+    throw new Error('Only pending or confirmed bookings can be rescheduled');
+  }
+
+  if (this.rescheduleRequest && this.rescheduleRequest.status === 'pending') {
+    throw new Error('A reschedule request is already waiting for a response');
+  }
+
+  this.rescheduleRequest = {
+    newDate,
+    newStartTime,
+    newEndTime,
+    reason,
+    requestedBy,
+    requestedAt: new Date(),
+    status: 'pending'
+  };
+
+  return this.save();
+};
+
+// Method to answer a pending reschedule request.
+// Accepting moves the booking; declining or withdrawing leaves it in place.
+bookingSchema.methods.resolveRescheduleRequest = function(status, responseNote) {
+  const request = this.rescheduleRequest;
+  if (!request || request.status !== 'pending') {
+    throw new Error('There is no pending reschedule request');
+  }
+
+  request.status = status;
+  request.respondedAt = new Date();
+  request.responseNote = responseNote;
+
+  if (status === 'accepted') {
+    return this.reschedule(
+      request.newDate,
+      request.newStartTime,
+      request.newEndTime,
+      request.reason,
+      request.requestedBy
+    );
+  }
+
+  return this.save();
+};
+
+// Method to mark a confirmed session as started
+bookingSchema.methods.start = function() {
+  if (this.status !== 'confirmed') {
+    throw new Error('Only confirmed sessions can be started');
+  }
+
+  this.status = 'in-progress';
+  return this.save();
+};
+
+// Method to mark a session as missed by the student, the tutor or both.
+// The student is owed their payment back when the tutor did not turn up;
+// the scheduler requests that refund.
+bookingSchema.methods.markNoShow = function(noShowBy) {
+  if (this.status !== 'confirmed' && this.status !== 'in-progress') {
+    throw new Error('Only confirmed or in-progress sessions can be marked as no-show');
+  }
+
+  this.status = 'no-show';
+  this.attendance.noShowBy = noShowBy;
+
+  return this.save();
+};
+
+// Method to record a participant ('student' or 'tutor') joining the session.
+// The first join time is kept so lateness is measured from it.
+bookingSchema.methods.checkIn = function(participant, now = new Date()) {
+  if (this.status !== 'confirmed' && this.status !== 'in-progress') {
+    throw new Error('Only confirmed or in-progress sessions can be joined');
+  }
+
+  if (!this.attendance[`${participant}Joined`]) {
+    this.attendance[`${participant}Joined`] = true;
+    this.attendance[`${participant}JoinTime`] = now;
+  }
+  this.attendance[`${participant}LeaveTime`] = undefined;
+
+  return this.save();
+};
+
+// Method to record a participant leaving the session
+bookingSchema.methods.checkOut = function(participant, now = new Date()) {
+  if (!this.attendance[`${participant}Joined`]) {
+    throw new Error('You have not joined this session');
+  }
+
+  this.attendance[`${participant}LeaveTime`] = now;
+  return this.save();
+};
+
 // Method to mark session as completed
 bookingSchema.methods.complete = function() {
   if (this.status !== 'confirmed' && this.status !== 'in-progress') {
     throw new Error('Only confirmed or in-progress sessions can be completed');
   }
+
+  if (!this.attendance.studentJoined || !this.attendance.tutorJoined) {
+    throw new Error('Both participants must join a session before it can be completed');
+  }
   
+  // The session ended when the last participant left, or now if someone is still in it
+  const { studentLeaveTime, tutorLeaveTime } = this.attendance;
   this.status = 'completed';
-  this.attendance.sessionEndTime = new Date();
+  this.attendance.sessionEndTime = studentLeaveTime && tutorLeaveTime
+    ? new Date(Math.max(studentLeaveTime, tutorLeaveTime))
+    : new Date();
   
   return this.save();
 };
@@ -241,14 +461,14 @@ bookingSchema.statics.findUpcoming = function(userId, userRole) {
   const filter = {
     [userRole]: userId,
     status: { $in: ['confirmed', 'in-progress'] },
-    sessionDate: { $gte: new Date() }
+    endAt: { $gte: new Date() }
   };
   
   return this.find(filter)
     .populate('student', 'firstName lastName email profilePicture')
     .populate('tutor', 'firstName lastName email profilePicture')
     .populate('course', 'title')
-    .sort({ sessionDate: 1, startTime: 1 });
+    .sort({ startAt: 1 });
 };
 
 // Static method to find booking history
@@ -259,14 +479,104 @@ bookingSchema.statics.findHistory = function(userId, userRole, limit = 50) {
     .populate('student', 'firstName lastName email profilePicture')
     .populate('tutor', 'firstName lastName email profilePicture')
     .populate('course', 'title')
-    .sort({ sessionDate: -1, startTime: -1 })
+    .sort({ startAt: -1 })
     .limit(limit);
 };
 
+// Static method to summarise how punctual a tutor is, from their check-ins on
+// sessions that have started
+bookingSchema.statics.getPunctualityStats = async function(tutorId) {
+  const bookings = await this.find({
+    tutor: tutorId,
+    status: { $in: ['in-progress', 'completed', 'no-show'] }
+  }).select('startAt status attendance');
+
+  const minutesLate = bookings
+    .filter(booking => booking.attendance.tutorJoinTime)
+    .map(booking => Math.max(0, (booking.attendance.tutorJoinTime - booking.startAt) / (60 * 1000)));
+  const onTime = minutesLate.filter(minutes => minutes <= PUNCTUALITY_GRACE_MINUTES).length;
+  const missed = bookings.filter(booking =>
+    booking.status === 'no-show' && booking.attendance.noShowBy !== 'student'
+  ).length;
+
+  return {
+    sessions: bookings.length,
+    attended: minutesLate.length,
+    missed,
+    onTime,
+    onTimeRate: minutesLate.length > 0 ? Math.round((onTime / minutesLate.length) * 100) : null,
+    averageMinutesLate: minutesLate.length > 0
+      ? Math.round((minutesLate.reduce((sum, minutes) => sum + minutes, 0) / minutesLate.length) * 10) / 10
+      : null
+  };
+};
+
+// Static method to build the fields that cancel a booking, recording the
+// cancellation policy quote the refund was worked out from
+bookingSchema.statics.getCancellationUpdate = function(reason, quote = null) {
+  const update = {
+    status: 'cancelled',
+    cancellationReason: reason
+  };
+
+  if (quote) {
+    update.cancellation = {
+      policy: quote.policy,
+      policyName: quote.name,
+      tiers: quote.tiers,
+      cancelledBy: quote.cancelledBy,
+      cancelledAt: new Date(),
+      hoursBefore: quote.hoursBefore,
+      refundPercent: quote.refundPercent
+    };
+  }
+
+  return update;
+};
+
+// Static method to change a booking only if it still has the expected
+// status, in one conditional update, so overlapping scheduler runs or
+// several servers cannot both move the same booking on.
+// Resolves the updated booking, or null if it had already changed.
+bookingSchema.statics.transition = async function(bookingId, fromStatus, update) {
+  const booking = await this.findOneAndUpdate(
+    { _id: bookingId, status: fromStatus },
+    { $set: { ...update, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+
+  if (booking && RELEASED_STATUSES.includes(booking.status)) {
+    await SlotLock.release(booking._id);
+  }
+
+  return booking;
+};
+
+// Static method to fill in start/end instants for bookings saved before they existed.
+// A booking that cannot be saved is logged and skipped. Resolves how many were filled in.
+bookingSchema.statics.backfillInstants = async function() {
+  const bookings = await this.find({ startAt: { $exists: false } });
+  let count = 0;
+  for (const booking of bookings) {
+    try {
+      await booking.save();
+      count += 1;
+    } catch (error) {
+      console.error(`Backfill booking ${booking._id} error:`, error);
+    }
+  }
+  return count;
+};
+
 // Index for better query performance
 bookingSchema.index({ student: 1, sessionDate: 1 });
 bookingSchema.index({ tutor: 1, sessionDate: 1 });
+bookingSchema.index({ tutor: 1, startAt: 1, endAt: 1 });
 bookingSchema.index({ status: 1, sessionDate: 1 });
 bookingSchema.index({ course: 1 });
+bookingSchema.index({ series: 1, sessionDate: 1 });
+bookingSchema.index({ student: 1, 'homework.completed': 1 });
+bookingSchema.index({ tutor: 1, 'homework.completed': 1 });
+bookingSchema.index({ student: 1, 'sessionMaterials.uploadedAt': -1 });
 
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE } = require('../utils/time');
+
+// A weekly recurring booking request. Each occurrence is a normal Booking
+// linked back through Booking.series, so it can be managed on its own.
+const bookingSeriesSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tutor is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // dayOfWeek, startTime and endTime are on the student's clock, in timezone;
+  // each occurrence stores its own slot on the tutor's clock
+  dayOfWeek: {
+    type: String,
+    enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
+  },
+  duration: {
+    type: Number, // Duration in minutes
+    required: [true, 'Duration is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  weeks: {
+    type: Number,
+    required: [true, 'Number of weeks is required'],
+    min: [2, 'A recurring booking needs at least 2 weeks']
+  },
+  failedDates: [{ // Occurrences that could not be booked when the series was requested
+    date: Date,
+    reason: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled'],
+    default: 'pending'
+  },
+  cancellationReason: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the occurrences of the series
+bookingSeriesSchema.virtual('bookings', {
+  ref: 'Booking',
+  localField: '_id',
+  foreignField: 'series'
+});
+
+// Pre-save middleware to update timestamp
+bookingSeriesSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to check if a user is the student or tutor of the series
+bookingSeriesSchema.methods.isParticipant = function(userId) {
+  return this.student.toString() === userId.toString() ||
+    this.tutor.toString() === userId.toString();
+};
+
+// Index for better query performance
+bookingSeriesSchema.index({ student: 1, status: 1 });
+bookingSeriesSchema.index({ tutor: 1, status: 1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
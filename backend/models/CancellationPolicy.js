@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CANCELLATION_TIERS } = require('../config/booking');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One refund step: cancelling more than minHoursBefore hours before the
+// session starts refunds refundPercent of the booking amount
+const tierSchema = new mongoose.Schema({
+  minHoursBefore: {
+    type: Number,
+    required: true,
+    min: [0, 'Notice cannot be negative']
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund percent cannot be negative'],
+    max: [100, 'Refund percent cannot be more than 100']
+  }
+}, { _id: false });
+
+// How much a student gets back when they cancel a booking. A tutor can save
+// their own policy; bookings with tutors who have not fall back to the
+// platform policy (the one without a tutor), and then to the built-in tiers.
+const cancellationPolicySchema = new mongoose.Schema({
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  tiers: {
+    type: [tierSchema],
+    validate: [
+      {
+        validator: tiers => tiers.length > 0,
+        message: 'A cancellation policy needs at least one refund tier'
+      },
+      {
+        validator: tiers => new Set(tiers.map(tier => tier.minHoursBefore)).size === tiers.length,
+        message: 'Refund tiers must have different notice periods'
+      }
+    ]
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the tiers ordered from the longest notice to the shortest
+cancellationPolicySchema.pre('save', function(next) {
+  this.tiers.sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+  next();
+});
+
+// Static method to get the policy that applies to a tutor's bookings.
+// Without a tutor this gets the platform policy.
+cancellationPolicySchema.statics.getForTutor = async function(tutorId) {
+  const policies = await this.find({ tutor: { $in: [tutorId, null] } });
+  const policy = policies.find(candidate => tutorId && candidate.tutor && candidate.tutor.toString() === tutorId.toString())
+    || policies.find(candidate => !candidate.tutor);
+
+  return policy || new this({
+    name: 'Standard cancellation policy',
+    tiers: DEFAULT_CANCELLATION_TIERS
+  });
+};
+
+// Method to work out the refund for cancelling a booking now.
+// Tutors and the system always give a full refund; a student's refund
+// depends on how long before the start time they cancel.
+cancellationPolicySchema.methods.quote = function(booking, cancelledBy, now = new Date()) {
+  const hoursBefore = (booking.startAt - now) / HOUR_MS;
+
+  let refundPercent = 100;
+  if (cancelledBy === 'student') {
+    const tier = [...this.tiers]
+      .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+      .find(candidate => hoursBefore > candidate.minHoursBefore);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    policy: this.isNew ? undefined : this._id,
+    name: this.name,
+    tiers: this.tiers.map(({ minHoursBefore, refundPercent: percent }) => ({ minHoursBefore, refundPercent: percent })),
+    cancelledBy,
+    hoursBefore: Math.round(hoursBefore * 100) / 100,
+    refundPercent,
+    refundAmount: Math.round(booking.totalAmount * refundPercent) / 100
+  };
+};
+
+// Index for better query performance. Only one policy per tutor, and only
+// one platform policy (tutor: null).
+cancellationPolicySchema.index({ tutor: 1 }, { unique: true });
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const certificateSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tutor is required']
+  },
+  verificationCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  // Names are copied at issue time so the certificate reads the same later
+  studentName: { type: String, required: true },
+  courseTitle: { type: String, required: true },
+  tutorName: { type: String, required: true },
+  completionDate: { type: Date, required: true },
+  filePath: String, // Generated PDF in private storage
+  status: {
+    type: String,
+    enum: ['issued', 'revoked'],
+    default: 'issued'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: {
+    type: String,
+    maxlength: [500, 'Revocation reason cannot be more than 500 characters']
+  },
+  issuedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the certificate is still valid
+certificateSchema.virtual('isValid').get(function() {
+  return this.status === 'issued';
+});
+
+// Pre-validate middleware to generate a verification code for new certificates
+certificateSchema.pre('validate', function(next) {
+  if (!this.verificationCode) {
+    // 10 random bytes as hex, grouped for readability: XXXX-XXXX-XXXX-XXXX-XXXX
+    this.verificationCode = crypto.randomBytes(10).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+  }
+  next();
+});
+
+// Pre-save middleware to update timestamp
+certificateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to revoke the certificate
+certificateSchema.methods.revoke = function(userId, reason) {
+  if (this.status === 'revoked') {
+    throw new Error('Certificate has already been revoked');
+  }
+
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  this.revocationReason = reason;
+
+  return this.save();
+};
+
+// Method to get the certificate without its private file path
+certificateSchema.methods.toResponse = function() {
+  const certificateObject = this.toObject();
+  delete certificateObject.filePath;
+  return certificateObject;
+};
+
+// Method to get the public verification details
+certificateSchema.methods.toVerification = function() {
+  return {
+    verificationCode: this.verificationCode,
+    valid: this.isValid,
+    status: this.status,
+    studentName: this.studentName,
+    courseTitle: this.courseTitle,
+    tutorName: this.tutorName,
+    completionDate: this.completionDate,
+    issuedAt: this.issuedAt,
+    revokedAt: this.revokedAt,
+    revocationReason: this.revocationReason
+  };
+};
+
+// Index for better query performance
+certificateSchema.index({ student: 1, course: 1 }, { unique: true });
+certificateSchema.index({ course: 1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A named sequence, e.g. for invoice numbers. Each call to next() gets the
+// following number, also when several requests ask at the same time.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to get the next number of a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
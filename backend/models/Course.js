@@ -82,8 +82,20 @@ const courseSchema = new mongoose.Schema({
       max: 100
     },
     completedSessions: { type: Number, default: 0 },
+    completedTopics: [{
+      topic: mongoose.Schema.Types.ObjectId, // _id of a syllabus item
+      completedAt: { type: Date, default: Date.now },
+      verified: { type: Boolean, default: false } // Set by the tutor, a completed session or a passed quiz, not just the student
+    }],
     lastAccessed: Date
   }],
+  waitlist: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: { type: Date, default: Date.now }
+  }],
   syllabus: [{
     topic: { type: String, required: true },
     description: String,
@@ -93,7 +105,11 @@ const courseSchema = new mongoose.Schema({
   schedule: [{
     day: {
       type: String,
-      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+      required: [true, 'Schedule day is required'],
+      enum: {
+        values: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+        message: 'Schedule day must be a day of the week, e.g. Monday'
+      }
     },
     startTime: String,
     endTime: String,
@@ -101,11 +117,34 @@ const courseSchema = new mongoose.Schema({
   }],
   resources: [{
     title: String,
+    description: String,
     type: {
       type: String,
       enum: ['pdf', 'video', 'link', 'document']
     },
-    url: String,
+    url: String, // External URL for video and link resources
+    filePath: String, // Private storage path for uploaded files
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    version: { type: Number, default: 1 },
+    versions: [{ // Earlier files replaced by newer uploads
+      version: Number,
+      filePath: String,
+      fileName: String,
+      mimeType: String,
+      size: Number,
+      uploadedAt: Date,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    order: { type: Number, default: 0 },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: { type: Date, default: Date.now }
   }],
   assignments: [{
@@ -113,16 +152,30 @@ const courseSchema = new mongoose.Schema({
     description: String,
     dueDate: Date,
     maxMarks: { type: Number, default: 100 },
+    weight: { type: Number, default: 1, min: 0 }, // Relative weight in the gradebook
+    allowLateSubmissions: { type: Boolean, default: true },
+    allowResubmission: { type: Boolean, default: false },
+    maxAttempts: { type: Number, default: 1, min: 1 },
+    createdAt: { type: Date, default: Date.now },
     submissions: [{
       student: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
-      fileUrl: String,
+      filePath: String, // Private storage path of the submitted file
+      fileUrl: String, // Public upload path of submissions made before private storage
+      fileName: String,
+      attempt: { type: Number, default: 1 },
+      isLate: { type: Boolean, default: false },
       submittedAt: { type: Date, default: Date.now },
       marks: Number,
       feedback: String,
-      graded: { type: Boolean, default: false }
+      graded: { type: Boolean, default: false },
+      gradedAt: Date,
+      gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
     }]
   }],
   rating: {
@@ -144,9 +197,20 @@ const courseSchema = new mongoose.Schema({
   thumbnail: String, // Course thumbnail image URL
   status: {
     type: String,
-    enum: ['active', 'inactive', 'completed', 'cancelled'],
-    default: 'active'
+    enum: ['draft', 'pending_review', 'published', 'rejected', 'archived'],
+    default: 'draft'
   },
+  reviewNotes: String, // Admin notes from the latest review decision
+  statusHistory: [{
+    fromStatus: String,
+    toStatus: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
   startDate: Date,
   endDate: Date,
   meetingLink: String, // Google Meet or other video conferencing link
@@ -159,6 +223,23 @@ const courseSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Allowed status transitions and the role that may perform each one
+const STATUS_TRANSITIONS = {
+  draft: { pending_review: 'tutor' },
+  pending_review: { published: 'admin', rejected: 'admin', draft: 'tutor' },
+  rejected: { pending_review: 'tutor', draft: 'tutor' },
+  published: { archived: 'admin' },
+  archived: {}
+};
+
+// Statuses courses had before course review, and what each one becomes
+const LEGACY_STATUSES = {
+  active: 'published',
+  inactive: 'draft',
+  completed: 'archived',
+  cancelled: 'archived'
+};
+
 // Virtual for enrollment count
 courseSchema.virtual('enrollmentCount').get(function() {
   return this.enrolledStudents.length;
@@ -169,10 +250,18 @@ courseSchema.virtual('availableSpots').get(function() {
   return this.maxStudents - this.enrolledStudents.length;
 });
 
-// Virtual for average progress
+// Virtual for waitlist length
+courseSchema.virtual('waitlistCount').get(function() {
+  return this.waitlist ? this.waitlist.length : 0;
+});
+
+// Virtual for average progress, computed from each student's completed topics
 courseSchema.virtual('averageProgress').get(function() {
-  if (this.enrolledStudents.length === 0) return 0;
-  const totalProgress = this.enrolledStudents.reduce((sum, student) => sum + student.progress, 0);
+  if (!this.enrolledStudents || this.enrolledStudents.length === 0) return 0;
+  const totalProgress = this.enrolledStudents.reduce(
+    (sum, enrollment) => sum + this.calculateProgress(enrollment),
+    0
+  );
   return Math.round(totalProgress / this.enrolledStudents.length);
 });
 
@@ -182,6 +271,50 @@ courseSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to keep stored progress in line with syllabus changes
+courseSchema.pre('save', function(next) {
+  if (this.isModified('syllabus')) {
+    for (const enrollment of this.enrolledStudents) {
+      enrollment.progress = this.calculateProgress(enrollment);
+    }
+  }
+  next();
+});
+
+// Method to check if the course is visible in public listings
+courseSchema.methods.isPubliclyVisible = function() {
+  return this.status === 'published' && this.isPublic;
+};
+
+// Method to move the course through its publishing lifecycle
+courseSchema.methods.transitionStatus = function(toStatus, user, notes) {
+  const allowed = STATUS_TRANSITIONS[this.status] || {};
+  const requiredRole = allowed[toStatus];
+
+  if (!requiredRole) {
+    throw new Error(`Cannot change course status from ${this.status} to ${toStatus}`);
+  }
+  if (user.role !== requiredRole) {
+    throw new Error(`Only a ${requiredRole} can change course status from ${this.status} to ${toStatus}`);
+  }
+
+  this.statusHistory.push({
+    fromStatus: this.status,
+    toStatus: toStatus,
+    changedBy: user._id,
+    notes: notes,
+    changedAt: new Date()
+  });
+
+  if (toStatus === 'published' || toStatus === 'rejected') {
+    this.reviewNotes = notes;
+  }
+
+  this.status = toStatus;
+
+  return this.save();
+};
+
 // Method to check if student is enrolled
 courseSchema.methods.isStudentEnrolled = function(studentId) {
   return this.enrolledStudents.some(enrollment => 
@@ -206,22 +339,130 @@ courseSchema.methods.enrollStudent = function(studentId) {
   return this.save();
 };
 
-// Method to update student progress
-courseSchema.methods.updateStudentProgress = function(studentId, progress) {
-  const enrollment = this.enrolledStudents.find(e => 
-    e.student.toString() === studentId.toString()
+// Method to check if a user may access course materials
+// (the owning tutor, admins and enrolled students)
+courseSchema.methods.canAccessMaterials = function(user) {
+  if (user.role === 'admin') return true;
+  if (this.tutor.toString() === user._id.toString()) return true;
+  return this.isStudentEnrolled(user._id);
+};
+
+// Method to get a student's position on the waitlist (1-based, 0 if not waitlisted)
+courseSchema.methods.getWaitlistPosition = function(studentId) {
+  const index = this.waitlist.findIndex(entry =>
+    entry.student.toString() === studentId.toString()
+  );
+  return index + 1;
+};
+
+// Method to get a student's submissions for an assignment, oldest first
+courseSchema.methods.getStudentSubmissions = function(assignment, studentId) {
+  return assignment.submissions
+    .filter(submission => submission.student.toString() === studentId.toString())
+    .sort((a, b) => a.attempt - b.attempt);
+};
+
+// Method to get the submission that counts for a student (their latest attempt)
+courseSchema.methods.getLatestSubmission = function(assignment, studentId) {
+  const submissions = this.getStudentSubmissions(assignment, studentId);
+  return submissions.length > 0 ? submissions[submissions.length - 1] : null;
+};
+
+// Method to find a student's enrollment
+courseSchema.methods.getEnrollment = function(studentId) {
+  return this.enrolledStudents.find(e => 
+    (e.student._id || e.student).toString() === studentId.toString()
+  );
+};
+
+// Method to calculate an enrollment's progress from its completed syllabus topics.
+// Each topic is weighted by its estimatedHours; if no topic has hours set,
+// every topic counts equally.
+courseSchema.methods.calculateProgress = function(enrollment) {
+  if (this.syllabus.length === 0) return 0;
+
+  const completedIds = new Set(
+    (enrollment.completedTopics || []).map(entry => entry.topic.toString())
   );
+  const totalHours = this.syllabus.reduce((sum, topic) => sum + (topic.estimatedHours || 0), 0);
+
+  let completedWeight = 0;
+  for (const topic of this.syllabus) {
+    if (completedIds.has(topic._id.toString())) {
+      completedWeight += totalHours > 0 ? (topic.estimatedHours || 0) : 1;
+    }
+  }
+
+  const totalWeight = totalHours > 0 ? totalHours : this.syllabus.length;
+  return Math.round((completedWeight / totalWeight) * 100);
+};
+
+// Method to mark syllabus topics complete or incomplete for a student
+// and recalculate their progress
+courseSchema.methods.setTopicsCompleted = function(studentId, topicIds, completed = true, verified = false) {
+  const enrollment = this.getEnrollment(studentId);
+  
+  if (!enrollment) {
+    throw new Error('Student is not enrolled in this course');
+  }
+
+  for (const topicId of topicIds) {
+    if (!this.syllabus.id(topicId)) {
+      throw new Error('Syllabus topic not found in this course');
+    }
+
+    const index = enrollment.completedTopics.findIndex(entry =>
+      entry.topic.toString() === topicId.toString()
+    );
+
+    if (completed && index === -1) {
+      enrollment.completedTopics.push({ topic: topicId, completedAt: new Date(), verified });
+    } else if (completed && verified && !enrollment.completedTopics[index].verified) {
+      enrollment.completedTopics[index].verified = true;
+    } else if (!completed && index > -1) {
+      // Only a verified source (the tutor) can undo a verified completion
+      if (enrollment.completedTopics[index].verified && !verified) {
+        throw new Error('A verified topic can only be marked incomplete by the tutor');
+      }
+      enrollment.completedTopics.splice(index, 1);
+    }
+  }
+
+  enrollment.progress = this.calculateProgress(enrollment);
+  enrollment.lastAccessed = new Date();
+  
+  return this.save();
+};
+
+// Method to recalculate a student's stored progress from their completed topics
+courseSchema.methods.updateStudentProgress = function(studentId) {
+  const enrollment = this.getEnrollment(studentId);
   
   if (!enrollment) {
     throw new Error('Student is not enrolled in this course');
   }
   
-  enrollment.progress = Math.max(0, Math.min(100, progress));
+  enrollment.progress = this.calculateProgress(enrollment);
   enrollment.lastAccessed = new Date();
   
   return this.save();
 };
 
+// Method to record a completed one-on-one session for a student,
+// marking any syllabus topics the session covered as done
+courseSchema.methods.recordCompletedSession = function(studentId, topicIds = []) {
+  const enrollment = this.getEnrollment(studentId);
+  
+  if (!enrollment) {
+    throw new Error('Student is not enrolled in this course');
+  }
+
+  enrollment.completedSessions += 1;
+
+  const validTopicIds = topicIds.filter(topicId => this.syllabus.id(topicId));
+  return this.setTopicsCompleted(studentId, validTopicIds, true, true);
+};
+
 // Method to add review
 courseSchema.methods.addReview = function(studentId, rating, comment) {
   // Check if student already reviewed
@@ -248,11 +489,102 @@ courseSchema.methods.addReview = function(studentId, rating, comment) {
   return this.save();
 };
 
+// Static method to enroll a student only while a seat is free.
+// The capacity check and the push happen in a single update, so concurrent
+// requests can never push enrolledStudents past maxStudents. Students can't
+// jump the queue: while anyone is waitlisted only the head of the waitlist
+// may take a seat.
+courseSchema.statics.enrollAtomically = function(courseId, studentId) {
+  return this.findOneAndUpdate(
+    {
+      _id: courseId,
+      'enrolledStudents.student': { $ne: studentId },
+      $or: [
+        { waitlist: { $size: 0 } },
+        { 'waitlist.0.student': studentId }
+      ],
+      $expr: { $lt: [{ $size: '$enrolledStudents' }, '$maxStudents'] }
+    },
+    {
+      $push: { enrolledStudents: { student: studentId, enrolledAt: new Date() } },
+      $pull: { waitlist: { student: studentId } }
+    },
+    { new: true }
+  );
+};
+
+// Static method to append a student to the end of the waitlist
+courseSchema.statics.addToWaitlist = function(courseId, studentId) {
+  return this.findOneAndUpdate(
+    {
+      _id: courseId,
+      'enrolledStudents.student': { $ne: studentId },
+      'waitlist.student': { $ne: studentId }
+    },
+    { $push: { waitlist: { student: studentId, joinedAt: new Date() } } },
+    { new: true }
+  );
+};
+
+// Static method to remove an enrolled student
+courseSchema.statics.unenrollStudent = function(courseId, studentId) {
+  return this.findOneAndUpdate(
+    { _id: courseId, 'enrolledStudents.student': studentId },
+    { $pull: { enrolledStudents: { student: studentId } } },
+    { new: true }
+  );
+};
+
+// Static method to remove a student from the waitlist
+courseSchema.statics.leaveWaitlist = function(courseId, studentId) {
+  return this.findOneAndUpdate(
+    { _id: courseId, 'waitlist.student': studentId },
+    { $pull: { waitlist: { student: studentId } } },
+    { new: true }
+  );
+};
+
+// Static method to move waitlisted students into free seats in join order.
+// Each promotion only applies if the head of the waitlist and the free seat
+// are unchanged, otherwise the course is re-read and the promotion retried.
+// Returns the IDs of the promoted students.
+courseSchema.statics.promoteFromWaitlist = async function(courseId) {
+  const promoted = [];
+
+  for (;;) {
+    const course = await this.findById(courseId).select('enrolledStudents waitlist maxStudents');
+    if (!course || course.waitlist.length === 0 ||
+        course.enrolledStudents.length >= course.maxStudents) {
+      break;
+    }
+
+    const next = course.waitlist[0];
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: courseId,
+        'waitlist.0._id': next._id,
+        $expr: { $lt: [{ $size: '$enrolledStudents' }, '$maxStudents'] }
+      },
+      {
+        $pop: { waitlist: -1 },
+        $push: { enrolledStudents: { student: next.student, enrolledAt: new Date() } }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      promoted.push(next.student);
+    }
+  }
+
+  return promoted;
+};
+
 // Static method to find courses by department
 courseSchema.statics.findByDepartment = function(department, filters = {}) {
   return this.find({ 
     department, 
-    status: 'active', 
+    status: 'published', 
     isPublic: true,
     ...filters 
   }).populate('tutor', 'firstName lastName rating');
@@ -261,7 +593,7 @@ courseSchema.statics.findByDepartment = function(department, filters = {}) {
 // Static method to find popular courses
 courseSchema.statics.findPopular = function(limit = 10) {
   return this.find({ 
-    status: 'active', 
+    status: 'published', 
     isPublic: true 
   })
   .sort({ 'rating.average': -1, enrollmentCount: -1 })
@@ -269,6 +601,32 @@ courseSchema.statics.findPopular = function(limit = 10) {
   .populate('tutor', 'firstName lastName rating');
 };
 
+// Static method to move courses saved with the statuses used before course
+// review onto the current ones. Live courses stay published, paused ones go
+// back to draft and finished or cancelled ones are archived.
+// Resolves how many courses were changed.
+courseSchema.statics.migrateLegacyStatuses = async function() {
+  let count = 0;
+  for (const [fromStatus, toStatus] of Object.entries(LEGACY_STATUSES)) {
+    const result = await this.updateMany(
+      { status: fromStatus },
+      {
+        $set: { status: toStatus },
+        $push: {
+          statusHistory: {
+            fromStatus,
+            toStatus,
+            notes: 'Moved from a status used before course review',
+            changedAt: new Date()
+          }
+        }
+      }
+    );
+    count += result.modifiedCount;
+  }
+  return count;
+};
+
 // Index for better query performance
 courseSchema.index({ tutor: 1, status: 1 });
 courseSchema.index({ department: 1, category: 1 });
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { startOfDay } = require('../utils/time');
+
+// A single group session of a course, generated from one of its weekly schedule slots
+const courseSessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tutor is required']
+  },
+  scheduleSlot: { // The Course.schedule entry this occurrence came from
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  occurrenceDate: { // The date the series placed it on; never changes when moved
+    type: Date,
+    required: true
+  },
+  sessionDate: {
+    type: Date,
+    required: [true, 'Session date is required']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  attendees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'completed'],
+    default: 'scheduled'
+  },
+  meetingLink: String,
+  cancellationReason: String,
+  cancelledAt: Date,
+  moveHistory: [{
+    oldDate: Date,
+    newDate: Date,
+    oldStartTime: String,
+    newStartTime: String,
+    reason: String,
+    movedAt: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the occurrence was moved away from its series date or time
+courseSessionSchema.virtual('isMoved').get(function() {
+  return this.moveHistory && this.moveHistory.length > 0;
+});
+
+// Pre-save middleware to update timestamp
+courseSessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to cancel this occurrence only
+courseSessionSchema.methods.cancel = function(reason) {
+  if (this.status !== 'scheduled') {
+    throw new Error('Only scheduled sessions can be cancelled');
+  }
+
+  this.status = 'cancelled';
+  this.cancellationReason = reason;
+  this.cancelledAt = new Date();
+
+  return this.save();
+};
+
+// Method to move this occurrence only
+courseSessionSchema.methods.move = function(newDate, newStartTime, newEndTime, reason) {
+  if (this.status !== 'scheduled') {
+    throw new Error('Only scheduled sessions can be moved');
+  }
+
+  this.moveHistory.push({
+    oldDate: this.sessionDate,
+    newDate,
+    oldStartTime: this.startTime,
+    newStartTime,
+    reason
+  });
+
+  this.sessionDate = newDate;
+  this.startTime = newStartTime;
+  this.endTime = newEndTime;
+
+  return this.save();
+};
+
+// Static method to add students to a course's upcoming sessions
+courseSessionSchema.statics.addAttendees = function(courseId, studentIds) {
+  return this.updateMany(
+    { course: courseId, status: 'scheduled', sessionDate: { $gte: startOfDay(new Date()) } },
+    { $addToSet: { attendees: { $each: studentIds } } }
+  );
+};
+
+// Static method to remove a student from a course's upcoming sessions
+courseSessionSchema.statics.removeAttendee = function(courseId, studentId) {
+  return this.updateMany(
+    { course: courseId, status: 'scheduled', sessionDate: { $gte: startOfDay(new Date()) } },
+    { $pull: { attendees: studentId } }
+  );
+};
+
+// Index for better query performance
+courseSessionSchema.index({ course: 1, scheduleSlot: 1, occurrenceDate: 1 }, { unique: true });
+courseSessionSchema.index({ course: 1, sessionDate: 1 });
+courseSessionSchema.index({ tutor: 1, sessionDate: 1, status: 1 });
+courseSessionSchema.index({ attendees: 1, sessionDate: 1 });
+
+module.exports = mongoose.model('CourseSession', courseSessionSchema);
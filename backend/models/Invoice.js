@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Who an invoice is from or to, as they were named when it was issued
+const partySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  email: String
+}, { _id: false });
+
+// The receipt for one paid payment. Everything shown on it is copied here
+// when it is issued, so later changes to names, rates or items do not
+// change it; refunds are shown as adjustments read from the payment.
+const invoiceSchema = new mongoose.Schema({
+  number: String, // e.g. "INV-2025-000042"; set just after the invoice is created
+  numberingStartedAt: Date, // When a request claimed the invoice to give it its number
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['booking', 'marketplace'],
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  marketplaceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Marketplace'
+  },
+  purchase: mongoose.Schema.Types.ObjectId,
+  customer: partySchema, // The student or buyer
+  issuer: partySchema, // The tutor or seller
+  lineItems: [{
+    _id: false,
+    description: String,
+    quantity: Number,
+    unit: String, // "hour" or "item"
+    unitPrice: Number,
+    amount: Number
+  }],
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'BDT'
+  },
+  paymentMethod: String,
+  paymentReference: String,
+  paidAt: Date,
+  issuedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance. One invoice per payment.
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+invoiceSchema.index({ payment: 1 }, { unique: true });
+invoiceSchema.index({ booking: 1 });
+invoiceSchema.index({ marketplaceItem: 1, purchase: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
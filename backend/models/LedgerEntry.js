@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// Accounts money moves between. Amounts are signed from the account's point
+// of view: positive adds to it, negative takes from it.
+//   gateway         - money held at the payment gateways (goes negative as
+//                     payments come in and back up as money is paid out)
+//   customer_funds  - payments received for sessions or items not yet earned
+//   earnings        - what the platform owes a tutor or seller (per user)
+//   commission      - the platform's share
+//   payout_pending  - earnings a user has asked to be paid out (per user)
+//   unreconciled    - money the gateway took that did not match the amount
+//                     due, until an admin sends it back
+const ACCOUNTS = ['gateway', 'customer_funds', 'earnings', 'commission', 'payout_pending', 'unreconciled'];
+
+// One line of a ledger transaction. Every transaction is a set of lines that
+// add up to zero, so money is only ever moved between accounts, never
+// created or lost. Lines are never changed; mistakes are undone by posting
+// a reversal.
+const ledgerEntrySchema = new mongoose.Schema({
+  // Names the event being recorded, e.g. "booking:<id>:earning". Together
+  // with line it is unique, so an event can only be posted once.
+  transactionKey: {
+    type: String,
+    required: true
+  },
+  line: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'session_earning', 'sale_earning', 'refund', 'payout', 'reversal'],
+    required: true
+  },
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  user: { // Whose account, for earnings and payout_pending
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'BDT'
+  },
+  description: String,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  marketplaceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Marketplace'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  postedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Helper to round an amount to the paisa, the same way for credits and debits
+const roundAmount = (amount) => Math.sign(amount) * Math.round(Math.abs(amount) * 100) / 100;
+
+// Static method to post a transaction. lines is a list of
+// { account, user, amount }; details (type, description and references) are
+// copied to every line. Resolves false, posting nothing, when the
+// transaction was already posted.
+ledgerEntrySchema.statics.post = async function(transactionKey, details, lines) {
+  const entries = lines
+    .map(line => ({ ...line, amount: roundAmount(line.amount) }))
+    .filter(line => line.amount !== 0);
+
+  const total = roundAmount(entries.reduce((sum, line) => sum + line.amount, 0));
+  if (total !== 0) {
+    throw new Error(`Ledger transaction ${transactionKey} does not balance (off by ${total})`);
+  }
+
+  if (entries.length === 0) {
+    return false;
+  }
+
+  const postedAt = new Date();
+  try {
+    await this.insertMany(entries.map((line, index) => ({
+      ...details,
+      ...line,
+      transactionKey,
+      line: index,
+      postedAt
+    })), { ordered: true });
+    return true;
+  } catch (error) {
+    // Line 0 of the transaction is already there: it was posted before
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to check whether a transaction has been posted
+ledgerEntrySchema.statics.isPosted = async function(transactionKey) {
+  return Boolean(await this.exists({ transactionKey }));
+};
+
+// Static method to get the balance of an account, optionally for one user
+// and only counting lines posted before a date
+ledgerEntrySchema.statics.getBalance = async function(account, userId = null, before = null) {
+  const match = { account };
+  if (userId) match.user = new mongoose.Types.ObjectId(userId.toString());
+  if (before) match.postedAt = { $lt: before };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+
+  return result ? roundAmount(result.balance) : 0;
+};
+
+// Static method to total a user's lines of an account by transaction type
+ledgerEntrySchema.statics.getTotalsByType = async function(account, userId) {
+  const results = await this.aggregate([
+    { $match: { account, user: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: '$type', total: { $sum: '$amount' } } }
+  ]);
+
+  return results.reduce((totals, result) => {
+    totals[result._id] = roundAmount(result.total);
+    return totals;
+  }, {});
+};
+
+// Index for better query performance
+ledgerEntrySchema.index({ transactionKey: 1, line: 1 }, { unique: true });
+ledgerEntrySchema.index({ account: 1, user: 1, postedAt: 1 });
+ledgerEntrySchema.index({ booking: 1 });
+ledgerEntrySchema.index({ payment: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
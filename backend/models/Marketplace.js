@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { escapeRegExp } = require('../utils/text');
 
 const marketplaceSchema = new mongoose.Schema({
   title: {
@@ -107,7 +108,7 @@ const marketplaceSchema = new mongoose.Schema({
     amount: Number,
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'needs_review'],
       default: 'pending'
     },
     paymentMethod: {
@@ -226,20 +227,34 @@ marketplaceSchema.methods.isLikedBy = function(userId) {
   return this.likes.some(like => like.user.toString() === userId.toString());
 };
 
-// Method to add purchase
-marketplaceSchema.methods.addPurchase = function(buyerId, amount, paymentMethod) {
-  this.purchases.push({
-    buyer: buyerId,
-    amount: amount,
-    paymentMethod: paymentMethod
-  });
+// Method to add purchase. It is one conditional update on the item still
+// being available, which also marks a physical item sold, so of two buyers
+// racing for the same item only one gets it.
+// Resolves the new purchase, or null if the item is no longer available.
+marketplaceSchema.methods.addPurchase = async function(buyerId, amount, paymentMethod) {
+  const purchaseId = new mongoose.Types.ObjectId();
+  const update = {
+    $push: {
+      purchases: {
+        _id: purchaseId,
+        buyer: buyerId,
+        amount: amount,
+        paymentMethod: paymentMethod
+      }
+    }
+  };
   
-  // Mark as sold if it's a physical item or single-use digital item
   if (this.itemType === 'physical') {
-    this.availability = 'sold';
+    update.$set = { availability: 'sold' };
   }
   
-  return this.save();
+  const item = await this.constructor.findOneAndUpdate(
+    { _id: this._id, availability: 'available' },
+    update,
+    { new: true }
+  );
+  
+  return item ? item.purchases.id(purchaseId) : null;
 };
 
 // Method to add review
@@ -305,7 +320,7 @@ marketplaceSchema.statics.findByDepartment = function(department, filters = {})
 
 // Static method to search items
 marketplaceSchema.statics.searchItems = function(searchTerm, filters = {}) {
-  const searchRegex = new RegExp(searchTerm, 'i');
+  const searchRegex = new RegExp(escapeRegExp(searchTerm), 'i');
   
   return this.find({
     $and: [
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay for a booking or a marketplace purchase through a
+// payment gateway. The gateway reports the outcome through a callback; the
+// status only moves pending -> paid or failed, and paid -> refunded. A
+// payment the gateway took a different amount for needs an admin's review.
+const paymentSchema = new mongoose.Schema({
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Payer is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['booking', 'marketplace'],
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  marketplaceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Marketplace'
+  },
+  purchase: mongoose.Schema.Types.ObjectId, // _id of the entry in Marketplace.purchases
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'BDT'
+  },
+  method: {
+    type: String,
+    enum: ['bkash', 'nagad', 'rocket'],
+    required: [true, 'Payment method is required']
+  },
+  gateway: String, // Name of the adapter that handled the payment, e.g. "mock-bkash"
+  gatewayPaymentId: String, // The gateway's id for the payment session
+  transactionId: String, // The gateway's transaction id once paid
+  redirectUrl: String, // Where the payer completes the payment
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'needs_review'],
+    default: 'pending'
+  },
+  paidAmount: Number, // What the gateway took, when it differs from amount
+  reviewReason: String,
+  expiresAt: Date,
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  refundedAmount: { type: Number, default: 0 },
+  refundedClaimed: { type: Number, default: 0 }, // Refunded or set aside for an open refund
+  refundedAt: Date,
+  refunds: [{
+    gatewayRefundId: String,
+    amount: Number,
+    reason: String,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Every callback the gateway sent, including repeats
+  callbacks: [{
+    status: String,
+    duplicate: Boolean,
+    receivedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// Virtual for the amount that can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  return ['paid', 'partially_refunded'].includes(this.status) ? this.amount - this.refundedAmount : 0;
+});
+
+// Virtual for the amount no refund has claimed yet
+paymentSchema.virtual('unclaimedAmount').get(function() {
+  return Math.max(0, Math.round((this.amount - (this.refundedClaimed || 0)) * 100) / 100);
+});
+
+// Static method to set aside part of a paid payment for a refund. The check
+// and the update are one step, so refunds requested side by side cannot
+// together claim more than was paid. Resolves the updated payment, or null
+// when not that much is left.
+paymentSchema.statics.claimRefund = function(paymentId, amount) {
+  return this.findOneAndUpdate(
+    {
+      _id: paymentId,
+      status: { $in: ['paid', 'partially_refunded'] },
+      $expr: {
+        $lte: [{ $add: [{ $ifNull: ['$refundedClaimed', 0] }, amount] }, { $add: ['$amount', 0.005] }]
+      }
+    },
+    { $inc: { refundedClaimed: amount } },
+    { new: true }
+  );
+};
+
+// Static method to give back what a failed or rejected refund set aside
+paymentSchema.statics.releaseRefund = function(paymentId, amount) {
+  return this.updateOne({ _id: paymentId }, { $inc: { refundedClaimed: -amount } });
+};
+
+// Index for better query performance
+paymentSchema.index({ gatewayPaymentId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ payer: 1, createdAt: -1 });
+paymentSchema.index({ booking: 1, status: 1 });
+
+// A booking can have only one payment in progress or paid at a time, so it
+// cannot be paid twice through two methods ($in here needs MongoDB 6.0+)
+paymentSchema.index({ booking: 1 }, {
+  unique: true,
+  partialFilterExpression: {
+    booking: { $exists: true },
+    status: { $in: ['pending', 'paid'] }
+  }
+});
+paymentSchema.index({ marketplaceItem: 1, purchase: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A tutor's or seller's request to be paid their earnings. Requesting moves
+// the amount out of their earnings into payout_pending in the ledger; an
+// admin then marks it paid once the money is sent, or rejects it, which
+// puts the amount back.
+const payoutSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Payout amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'BDT'
+  },
+  method: {
+    type: String,
+    enum: ['bkash', 'bank_transfer'],
+    required: [true, 'Payout method is required']
+  },
+  // Where to send the money, as given with the request
+  destination: {
+    accountName: {
+      type: String,
+      required: [true, 'Account name is required']
+    },
+    accountNumber: {
+      type: String,
+      required: [true, 'Account number is required']
+    },
+    bankName: String,
+    branchName: String,
+    routingNumber: String
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'paid', 'rejected', 'cancelled'],
+    default: 'requested'
+  },
+  note: String, // From the user
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+  transactionReference: String, // bKash TrxID or bank reference of the transfer
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance. A user can only have one open
+// request, which also stops two requests racing past the balance check.
+payoutSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'requested' } }
+);
+payoutSchema.index({ user: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
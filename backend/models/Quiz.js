@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+const quizSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tutor is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Quiz title is required'],
+    trim: true,
+    maxlength: [100, 'Quiz title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  questions: [{
+    type: {
+      type: String,
+      enum: ['mcq', 'multi_select', 'short_answer', 'numeric'],
+      required: [true, 'Question type is required']
+    },
+    prompt: {
+      type: String,
+      required: [true, 'Question prompt is required'],
+      maxlength: [2000, 'Question prompt cannot be more than 2000 characters']
+    },
+    options: [{ // For mcq and multi_select questions
+      text: String,
+      isCorrect: { type: Boolean, default: false }
+    }],
+    acceptedAnswers: [String], // For short_answer; empty means the tutor grades it
+    caseSensitive: { type: Boolean, default: false },
+    correctValue: Number, // For numeric questions
+    tolerance: { type: Number, default: 0, min: 0 },
+    points: { type: Number, default: 1, min: 0 }
+  }],
+  timeLimit: { // In minutes, no limit when empty
+    type: Number,
+    min: [1, 'Time limit must be at least 1 minute']
+  },
+  maxAttempts: { type: Number, default: 1, min: 1 },
+  randomizeQuestions: { type: Boolean, default: false },
+  passingScore: { type: Number, default: 50, min: 0, max: 100 }, // Percentage
+  weight: { type: Number, default: 1, min: 0 }, // Relative weight in the gradebook
+  syllabusTopic: mongoose.Schema.Types.ObjectId, // Completed for a student who passes
+  availableFrom: Date,
+  availableUntil: Date,
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'closed'],
+    default: 'draft'
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for total points
+quizSchema.virtual('totalPoints').get(function() {
+  if (!this.questions) return 0;
+  return this.questions.reduce((sum, question) => sum + question.points, 0);
+});
+
+// Pre-save middleware to update timestamp
+quizSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Validation middleware to check that objective questions have answer keys
+quizSchema.pre('validate', function(next) {
+  this.questions.forEach((question, index) => {
+    const correctCount = question.options.filter(option => option.isCorrect).length;
+    const path = `questions.${index}`;
+
+    if (question.type === 'mcq' && (question.options.length < 2 || correctCount !== 1)) {
+      this.invalidate(path, `MCQ "${question.prompt}" needs at least 2 options and exactly one correct option`);
+    }
+    if (question.type === 'multi_select' && (question.options.length < 2 || correctCount < 1)) {
+      this.invalidate(path, `Multi-select "${question.prompt}" needs at least 2 options and one or more correct options`);
+    }
+    if (question.type === 'numeric' && typeof question.correctValue !== 'number') {
+      this.invalidate(path, `Numeric question "${question.prompt}" needs a correct value`);
+    }
+  });
+  next();
+});
+
+// Method to check if the quiz is open for attempts
+quizSchema.methods.isOpen = function(now = new Date()) {
+  if (this.status !== 'published') return false;
+  if (this.availableFrom && now < this.availableFrom) return false;
+  if (this.availableUntil && now > this.availableUntil) return false;
+  return true;
+};
+
+// Method to auto-grade one answer.
+// Returns { isCorrect, pointsAwarded, needsReview }.
+quizSchema.methods.gradeAnswer = function(question, answer) {
+  const noAnswer = { isCorrect: false, pointsAwarded: 0, needsReview: false };
+  if (!answer) return noAnswer;
+
+  const correctOptionIds = question.options
+    .filter(option => option.isCorrect)
+    .map(option => option._id.toString())
+    .sort();
+  const selected = (answer.selectedOptions || []).map(String).sort();
+
+  let isCorrect = false;
+
+  if (question.type === 'mcq') {
+    isCorrect = selected.length === 1 && selected[0] === correctOptionIds[0];
+  } else if (question.type === 'multi_select') {
+    // All-or-nothing: the selection must match the correct options exactly
+    isCorrect = selected.length === correctOptionIds.length &&
+      selected.every((optionId, index) => optionId === correctOptionIds[index]);
+  } else if (question.type === 'numeric') {
+    const value = parseFloat(answer.numericAnswer);
+    isCorrect = !Number.isNaN(value) && Math.abs(value - question.correctValue) <= question.tolerance;
+  } else if (question.type === 'short_answer') {
+    if (question.acceptedAnswers.length === 0) {
+      return { isCorrect: false, pointsAwarded: 0, needsReview: Boolean(answer.textAnswer) };
+    }
+
+    const normalize = (text) => {
+      const trimmed = String(text || '').trim().replace(/\s+/g, ' ');
+      return question.caseSensitive ? trimmed : trimmed.toLowerCase();
+    };
+    const given = normalize(answer.textAnswer);
+    isCorrect = given !== '' && question.acceptedAnswers.some(accepted => normalize(accepted) === given);
+  }
+
+  return {
+    isCorrect,
+    pointsAwarded: isCorrect ? question.points : 0,
+    needsReview: false
+  };
+};
+
+// Method to get the quiz without answer keys, for students
+quizSchema.methods.toStudentView = function(questionOrder) {
+  const quizObject = this.toObject();
+
+  let questions = quizObject.questions;
+  if (questionOrder) {
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+    questions = questionOrder.map(questionId => byId.get(questionId.toString())).filter(Boolean);
+  }
+
+  quizObject.questions = questions.map(question => ({
+    _id: question._id,
+    type: question.type,
+    prompt: question.prompt,
+    points: question.points,
+    options: question.options.map(option => ({ _id: option._id, text: option.text }))
+  }));
+
+  return quizObject;
+};
+
+// Static method to find quizzes students can see for a course
+quizSchema.statics.findVisibleForCourse = function(courseId) {
+  return this.find({
+    course: courseId,
+    status: { $in: ['published', 'closed'] }
+  }).sort({ availableFrom: 1, createdAt: 1 });
+};
+
+// Index for better query performance
+quizSchema.index({ course: 1, status: 1 });
+quizSchema.index({ tutor: 1 });
+
+module.exports = mongoose.model('Quiz', quizSchema);
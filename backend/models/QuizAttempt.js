@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Extra time allowed after a time limit ends, to absorb network delays
+const SUBMISSION_GRACE_MS = 60 * 1000;
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: [true, 'Quiz is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  attemptNumber: { type: Number, required: true },
+  questionOrder: [mongoose.Schema.Types.ObjectId], // Order the questions were shown in
+  startedAt: { type: Date, default: Date.now },
+  expiresAt: Date, // Set when the quiz has a time limit
+  submittedAt: Date,
+  status: {
+    type: String,
+    enum: ['in-progress', 'pending-review', 'graded', 'expired'],
+    default: 'in-progress'
+  },
+  answers: [{
+    question: mongoose.Schema.Types.ObjectId,
+    selectedOptions: [mongoose.Schema.Types.ObjectId],
+    textAnswer: String,
+    numericAnswer: Number,
+    isCorrect: Boolean,
+    pointsAwarded: { type: Number, default: 0 },
+    needsReview: { type: Boolean, default: false },
+    feedback: String
+  }],
+  score: { type: Number, default: 0 },
+  maxScore: { type: Number, default: 0 },
+  percentage: { type: Number, default: 0 },
+  passed: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for time remaining in seconds (null without a time limit)
+quizAttemptSchema.virtual('timeRemaining').get(function() {
+  if (!this.expiresAt || this.status !== 'in-progress') return null;
+  return Math.max(0, Math.round((this.expiresAt - Date.now()) / 1000));
+});
+
+// Pre-save middleware to update timestamp
+quizAttemptSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to check if the time limit (plus grace period) has passed
+quizAttemptSchema.methods.isPastDeadline = function(now = new Date()) {
+  return Boolean(this.expiresAt) && now.getTime() > this.expiresAt.getTime() + SUBMISSION_GRACE_MS;
+};
+
+// Method to recalculate the score from the graded answers
+quizAttemptSchema.methods.calculateScore = function(quiz) {
+  this.score = this.answers.reduce((sum, answer) => sum + (answer.pointsAwarded || 0), 0);
+  this.maxScore = quiz.totalPoints;
+  this.percentage = this.maxScore > 0
+    ? Math.round((this.score / this.maxScore) * 10000) / 100
+    : 0;
+  this.passed = this.percentage >= quiz.passingScore;
+  this.status = this.answers.some(answer => answer.needsReview) ? 'pending-review' : 'graded';
+};
+
+// Method to auto-grade submitted answers and close the attempt
+quizAttemptSchema.methods.submit = function(quiz, submittedAnswers = []) {
+  if (this.status !== 'in-progress') {
+    throw new Error('This attempt has already been submitted');
+  }
+
+  const answersByQuestion = new Map(
+    submittedAnswers.map(answer => [String(answer.question), answer])
+  );
+
+  this.answers = quiz.questions.map(question => {
+    const answer = answersByQuestion.get(question._id.toString());
+    const result = quiz.gradeAnswer(question, answer);
+
+    return {
+      question: question._id,
+      selectedOptions: answer && Array.isArray(answer.selectedOptions) ? answer.selectedOptions : [],
+      textAnswer: answer ? answer.textAnswer : undefined,
+      numericAnswer: answer && answer.numericAnswer !== undefined && answer.numericAnswer !== ''
+        ? parseFloat(answer.numericAnswer)
+        : undefined,
+      ...result
+    };
+  });
+
+  this.submittedAt = new Date();
+  this.calculateScore(quiz);
+
+  return this.save();
+};
+
+// Method to close an attempt whose time ran out without a submission
+quizAttemptSchema.methods.expire = function(quiz) {
+  this.answers = [];
+  this.submittedAt = new Date();
+  this.calculateScore(quiz);
+  this.status = 'expired';
+  return this.save();
+};
+
+// Static method to find a student's best finished attempt per quiz for a course
+quizAttemptSchema.statics.findBestAttempts = function(courseId) {
+  return this.aggregate([
+    {
+      $match: {
+        course: new mongoose.Types.ObjectId(courseId),
+        status: { $in: ['graded', 'pending-review', 'expired'] }
+      }
+    },
+    { $sort: { score: -1, submittedAt: 1 } },
+    {
+      $group: {
+        _id: { quiz: '$quiz', student: '$student' },
+        attempt: { $first: '$$ROOT' }
+      }
+    },
+    { $replaceRoot: { newRoot: '$attempt' } }
+  ]);
+};
+
+// Index for better query performance
+quizAttemptSchema.index({ quiz: 1, student: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ course: 1, student: 1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Money to send back from a payment. A refund is requested (by a
+// cancellation, a missed session, a dispute or an admin), approved
+// automatically or by an admin, and then processed through the payment's
+// gateway. A processed refund is the only thing that changes what the
+// booking or purchase shows as refunded.
+const refundSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment is required']
+  },
+  // Copied from the payment so refunds can be listed by what they are for
+  purpose: {
+    type: String,
+    enum: ['booking', 'marketplace'],
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  marketplaceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Marketplace'
+  },
+  purchase: mongoose.Schema.Types.ObjectId,
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be more than 0']
+  },
+  currency: {
+    type: String,
+    default: 'BDT'
+  },
+  source: {
+    type: String,
+    enum: ['cancellation', 'no-show', 'dispute', 'admin'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'processed', 'failed'],
+    default: 'requested'
+  },
+  requiresApproval: { type: Boolean, default: false },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+  processingStartedAt: Date, // Set while the gateway call is running, so it only runs once
+  processedAt: Date,
+  gatewayRefundId: String,
+  failureReason: String,
+  attempts: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+refundSchema.index({ payment: 1, status: 1 });
+refundSchema.index({ status: 1, createdAt: 1 });
+refundSchema.index({ payer: 1, createdAt: -1 });
+refundSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
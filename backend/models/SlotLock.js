@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Length of one lock block. Booking times fall on 5-minute marks.
+const BLOCK_MINUTES = 5;
+const BLOCK_MS = BLOCK_MINUTES * 60 * 1000;
+
+// One block of a tutor's time held by a booking. The unique index on
+// (tutor, blockStart) is what stops two bookings from taking the same time:
+// inserting a block another booking holds fails with a duplicate key error,
+// so of two requests racing for a slot exactly one gets all of its blocks.
+const slotLockSchema = new mongoose.Schema({
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockStart: {
+    type: Date,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  expiresAt: { // Pending bookings hold the time until here; confirmed ones until the session ends
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Helper to list the blocks covering a time range
+const getBlockStarts = (startAt, endAt) => {
+  const blocks = [];
+  const first = Math.floor(new Date(startAt).getTime() / BLOCK_MS) * BLOCK_MS;
+  for (let blockStart = first; blockStart < new Date(endAt).getTime(); blockStart += BLOCK_MS) {
+    blocks.push(new Date(blockStart));
+  }
+  return blocks;
+};
+
+// Static method to hold a tutor's time for a booking until expiresAt. The
+// hold runs on past endAt by the tutor's buffer, so the next booking cannot
+// start inside it. Resolves true when every block was taken, or false when
+// another booking already holds part of the range; the booking then keeps
+// exactly the blocks it held before. On success any blocks the booking held
+// outside the range are given back, so this also moves a booking's hold.
+slotLockSchema.statics.acquire = async function(tutorId, bookingId, startAt, endAt, expiresAt, bufferMinutes = 0) {
+  const blocks = getBlockStarts(startAt, new Date(endAt).getTime() + bufferMinutes * 60 * 1000);
+
+  // The TTL monitor only runs about once a minute, so clear lapsed holds first
+  await this.deleteMany({
+    tutor: tutorId,
+    blockStart: { $in: blocks },
+    expiresAt: { $lte: new Date() }
+  });
+
+  const held = await this.find({ booking: bookingId, blockStart: { $in: blocks } }).select('blockStart');
+  const heldTimes = new Set(held.map(lock => lock.blockStart.getTime()));
+  const missing = blocks.filter(blockStart => !heldTimes.has(blockStart.getTime()));
+
+  try {
+    await this.insertMany(missing.map(blockStart => ({
+      tutor: tutorId,
+      blockStart,
+      booking: bookingId,
+      expiresAt
+    })));
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Give back the blocks inserted before the clash
+    await this.deleteMany({ booking: bookingId, blockStart: { $in: missing } });
+    return false;
+  }
+
+  await this.deleteMany({ booking: bookingId, blockStart: { $nin: blocks } });
+  await this.updateMany({ booking: bookingId }, { $set: { expiresAt } });
+  return true;
+};
+
+// Static method to keep a booking's held time until a new expiry, taking it
+// again if the earlier hold lapsed. Resolves false if the time was lost.
+slotLockSchema.statics.extend = function(booking, expiresAt, bufferMinutes = 0) {
+  return this.acquire(booking.tutor, booking._id, booking.startAt, booking.endAt, expiresAt, bufferMinutes);
+};
+
+// Static method to free all the time held by a booking
+slotLockSchema.statics.release = function(bookingId) {
+  return this.deleteMany({ booking: bookingId });
+};
+
+// Index for better query performance
+slotLockSchema.index({ tutor: 1, blockStart: 1 }, { unique: true });
+slotLockSchema.index({ booking: 1 });
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotLock', slotLockSchema);
@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimezone, parseTime, getDayName } = require('../utils/time');
+const {
+  DEFAULT_SLOT_MINUTES,
+  DEFAULT_MIN_NOTICE_HOURS,
+  DEFAULT_MAX_ADVANCE_DAYS
+} = require('../config/booking');
+
+// Check that "HH:MM" windows end after they start and do not overlap each other
+const windowsAreValid = (windows) => {
+  const sorted = windows
+    .filter(window => window.startTime && window.endTime)
+    .sort((a, b) => parseTime(a.startTime) - parseTime(b.startTime));
+  return sorted.every((window, index) =>
+    parseTime(window.endTime) > parseTime(window.startTime) &&
+    (index === 0 || parseTime(window.startTime) >= parseTime(sorted[index - 1].endTime))
+  );
+};
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -90,13 +107,95 @@ const userSchema = new mongoose.Schema({
       return this.role === 'tutor';
     }
   },
-  availableHours: [{
-    day: {
-      type: String,
-      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+  timezone: { // IANA name; availableHours, extraHours and blackoutDates are in this timezone
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Timezone must be a valid IANA timezone such as Asia/Dhaka'
+    }
+  },
+  availableHours: { // Weekly windows; a day can have several (e.g. morning and evening)
+    type: [{
+      day: {
+        type: String,
+        enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+      },
+      startTime: String,
+      endTime: String
+    }],
+    validate: {
+      validator: function(hours) {
+        const days = new Set(hours.map(window => window.day));
+        return [...days].every(day => windowsAreValid(hours.filter(window => window.day === day)));
+      },
+      message: 'Available hours must end after they start and must not overlap on the same day'
+    }
+  },
+  extraHours: { // One-off windows on a specific date, on top of the weekly hours
+    type: [{
+      date: { type: Date, required: true },
+      startTime: { type: String, required: true },
+      endTime: { type: String, required: true },
+      reason: String
+    }],
+    validate: {
+      validator: function(hours) {
+        const dateKeys = new Set(hours.map(window => window.date.toISOString().slice(0, 10)));
+        return [...dateKeys].every(dateKey => windowsAreValid(
+          hours.filter(window => window.date.toISOString().slice(0, 10) === dateKey)
+        ));
+      },
+      message: 'Extra hours must end after they start and must not overlap on the same date'
+    }
+  },
+  bookingSettings: { // How far ahead and in what units students can book the tutor
+    slotMinutes: {
+      type: Number,
+      default: DEFAULT_SLOT_MINUTES,
+      min: [15, 'Slot length must be at least 15 minutes'],
+      max: [240, 'Slot length cannot be more than 240 minutes'],
+      validate: {
+        validator: value => value % 5 === 0,
+        message: 'Slot length must be a multiple of 5 minutes'
+      }
+    },
+    bufferMinutes: { // Free time kept between two sessions
+      type: Number,
+      default: 0,
+      min: [0, 'Buffer cannot be negative'],
+      max: [120, 'Buffer cannot be more than 120 minutes']
+    },
+    minNoticeHours: {
+      type: Number,
+      default: DEFAULT_MIN_NOTICE_HOURS,
+      min: [0, 'Minimum notice cannot be negative'],
+      max: [168, 'Minimum notice cannot be more than 168 hours']
+    },
+    maxAdvanceDays: {
+      type: Number,
+      default: DEFAULT_MAX_ADVANCE_DAYS,
+      min: [1, 'Booking horizon must be at least 1 day'],
+      max: [365, 'Booking horizon cannot be more than 365 days']
+    },
+    maxSessionsPerDay: { // Unset means no limit
+      type: Number,
+      min: [1, 'Daily session limit must be at least 1']
+    }
+  },
+  blackoutDates: [{ // Days the tutor is unavailable (holidays, exams, travel)
+    startDate: { type: Date, required: true },
+    endDate: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function(value) {
+          return !this.startDate || value >= this.startDate;
+        },
+        message: 'Blackout end date cannot be before its start date'
+      }
     },
-    startTime: String,
-    endTime: String
+    reason: String
   }],
   cv: {
     type: String, // File path
@@ -205,6 +304,44 @@ userSchema.methods.getPublicProfile = function() {
   return userObject;
 };
 
+// Method to find the blackout period covering a day ("YYYY-MM-DD"), if any
+userSchema.methods.getBlackout = function(dateKey) {
+  return this.blackoutDates.find(blackout =>
+    blackout.startDate.toISOString().slice(0, 10) <= dateKey &&
+    blackout.endDate.toISOString().slice(0, 10) >= dateKey
+  ) || null;
+};
+
+// Method to get the windows a tutor can teach in on a day ("YYYY-MM-DD"):
+// the weekly hours for that weekday plus any extra hours on that date, with
+// touching or overlapping windows merged. A blackout leaves no windows.
+userSchema.methods.getAvailabilityForDate = function(dateKey) {
+  if (this.getBlackout(dateKey)) {
+    return [];
+  }
+
+  const dayName = getDayName(dateKey);
+  const windows = [
+    ...this.availableHours.filter(window => window.day === dayName),
+    ...(this.extraHours || []).filter(window => window.date.toISOString().slice(0, 10) === dateKey)
+  ]
+    .filter(window => window.startTime && window.endTime)
+    .map(window => ({ startTime: window.startTime, endTime: window.endTime }))
+    .sort((a, b) => parseTime(a.startTime) - parseTime(b.startTime));
+
+  return windows.reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && parseTime(window.startTime) <= parseTime(last.endTime)) {
+      if (parseTime(window.endTime) > parseTime(last.endTime)) {
+        last.endTime = window.endTime;
+      }
+    } else {
+      merged.push(window);
+    }
+    return merged;
+  }, []);
+};
+
 // Static method to find tutors
 userSchema.statics.findApprovedTutors = function(filters = {}) {
   return this.find({ 
@@ -0,0 +1,39 @@
+const { PAYMENT_GATEWAY_MODE, GATEWAY_PAYMENT_METHODS } = require('../config/payments');
+const { createMockGateway } = require('./mockGateway');
+
+// Gateway adapters by payment method. Every adapter has the same shape:
+//   name                                  - stored on the payment
+//   initiate({ amount, currency, reference })
+//                                         -> { gatewayPaymentId, redirectUrl }
+//   parseCallback(payload)                -> { gatewayPaymentId }, throws if forged
+//   verify(gatewayPaymentId)              -> { status: 'pending' | 'paid' | 'failed',
+//                                              transactionId, amount }
+//   refund(gatewayPaymentId, amount)      -> { gatewayRefundId }
+// A callback is never trusted on its own: the payment is always verified
+// with the gateway before its status changes.
+const gateways = {};
+
+// Use an adapter for a payment method, e.g. a live bKash client
+const registerGateway = (method, gateway) => {
+  gateways[method] = gateway;
+};
+
+// Get the adapter for a payment method
+const getGateway = (method) => {
+  const gateway = gateways[method];
+  if (!gateway) {
+    throw new Error(`No payment gateway is configured for ${method}`);
+  }
+  return gateway;
+};
+
+if (PAYMENT_GATEWAY_MODE === 'mock') {
+  for (const method of GATEWAY_PAYMENT_METHODS) {
+    registerGateway(method, createMockGateway(method));
+  }
+}
+
+module.exports = {
+  registerGateway,
+  getGateway
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { PAYMENT_CALLBACK_SECRET, API_URL } = require('../config/payments');
+
+// Prefixes that make mock ids look like the provider's own
+const ID_PREFIXES = {
+  bkash: 'TR0011',
+  nagad: 'NG',
+  rocket: 'RK'
+};
+
+// Payment sessions of every mock provider, kept in memory. They are lost on
+// restart, which is fine for local testing.
+const sessions = new Map();
+
+// Helper to sign the fields of a callback
+const sign = (gatewayPaymentId, status) => {
+  return crypto
+    .createHmac('sha256', PAYMENT_CALLBACK_SECRET)
+    .update(`${gatewayPaymentId}|${status}`)
+    .digest('hex');
+};
+
+// Create a local stand-in for one provider. It behaves like the real
+// gateways: a session is started, the payer finishes it on the gateway's
+// checkout page, the gateway calls back, and the result is then verified.
+const createMockGateway = (provider) => {
+  const prefix = ID_PREFIXES[provider] || provider.toUpperCase();
+  const newId = () => `${prefix}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+  return {
+    name: `mock-${provider}`,
+
+    // Start a payment session and get the checkout page for the payer
+    async initiate({ amount, currency, reference }) {
+      const gatewayPaymentId = newId();
+      sessions.set(gatewayPaymentId, {
+        provider,
+        amount,
+        currency,
+        reference,
+        status: 'pending',
+        refundedAmount: 0
+      });
+
+      return {
+        gatewayPaymentId,
+        redirectUrl: `${API_URL}/api/payments/mock/${provider}/${gatewayPaymentId}`
+      };
+    },
+
+    // Stand-in for the payer finishing on the checkout page. Returns the
+    // callback the gateway would send, or null for an unknown session.
+    complete(gatewayPaymentId, outcome) {
+      const session = sessions.get(gatewayPaymentId);
+      if (!session || session.provider !== provider) {
+        return null;
+      }
+
+      if (session.status === 'pending') {
+        session.status = outcome === 'success' ? 'paid' : 'failed';
+        if (session.status === 'paid') {
+          session.transactionId = newId();
+        }
+      }
+
+      return {
+        paymentID: gatewayPaymentId,
+        status: session.status,
+        signature: sign(gatewayPaymentId, session.status)
+      };
+    },
+
+    // Read the payment session a callback is about, rejecting forged ones
+    parseCallback(payload) {
+      const { paymentID, status, signature } = payload;
+      if (!paymentID || !status || signature !== sign(paymentID, status)) {
+        throw new Error('Invalid payment callback signature');
+      }
+      return { gatewayPaymentId: paymentID };
+    },
+
+    // Ask the gateway for the current state of a payment session
+    async verify(gatewayPaymentId) {
+      const session = sessions.get(gatewayPaymentId);
+      if (!session || session.provider !== provider) {
+        return { status: 'pending' };
+      }
+
+      return {
+        status: session.status === 'refunded' ? 'paid' : session.status,
+        transactionId: session.transactionId,
+        amount: session.amount
+      };
+    },
+
+    // Send money back for a paid session
+    async refund(gatewayPaymentId, amount) {
+      const session = sessions.get(gatewayPaymentId);
+      if (!session || session.provider !== provider || !['paid', 'refunded'].includes(session.status)) {
+        throw new Error('Only paid payments can be refunded');
+      }
+      if (session.refundedAmount + amount > session.amount) {
+        throw new Error('Refund is larger than the amount paid');
+      }
+
+      session.refundedAmount += amount;
+      if (session.refundedAmount >= session.amount) {
+        session.status = 'refunded';
+      }
+
+      return { gatewayRefundId: newId() };
+    }
+  };
+};
+
+module.exports = {
+  createMockGateway
+};
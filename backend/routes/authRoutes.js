@@ -3,6 +3,7 @@ const { body } = require('express-validator');
 const authController = require('../controllers/authController');
 const { authenticate, rateLimit } = require('../middleware/auth');
 const { uploadConfig, handleUploadError, cleanupOnError } = require('../middleware/upload');
+const { isValidTimezone } = require('../utils/time');
 
 const router = express.Router();
 
@@ -62,7 +63,12 @@ const registerValidation = [
   body('phone')
     .optional()
     .isMobilePhone()
-    .withMessage('Please enter a valid phone number')
+    .withMessage('Please enter a valid phone number'),
+  
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone such as Asia/Dhaka')
 ];
 
 const loginValidation = [
@@ -102,7 +108,69 @@ const updateProfileValidation = [
   body('hourlyRate')
     .optional()
     .isFloat({ min: 100 })
-    .withMessage('Hourly rate must be at least 100 BDT')
+    .withMessage('Hourly rate must be at least 100 BDT'),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone such as Asia/Dhaka'),
+
+  body('blackoutDates.*.startDate')
+    .isISO8601()
+    .withMessage('Blackout start date must be a valid date'),
+
+  body('blackoutDates.*.endDate')
+    .isISO8601()
+    .withMessage('Blackout end date must be a valid date')
+    .custom((value, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      if (new Date(value) < new Date(req.body.blackoutDates[index].startDate)) {
+        throw new Error('Blackout end date cannot be before its start date');
+      }
+      return true;
+    }),
+
+  body('availableHours.*.day')
+    .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Available hours day must be a day of the week'),
+
+  body(['availableHours.*.startTime', 'availableHours.*.endTime'])
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Available hours times must be in HH:MM format'),
+
+  body('extraHours.*.date')
+    .isISO8601()
+    .withMessage('Extra hours date must be a valid date'),
+
+  body(['extraHours.*.startTime', 'extraHours.*.endTime'])
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Extra hours times must be in HH:MM format'),
+
+  body('bookingSettings.slotMinutes')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .custom(value => value % 5 === 0)
+    .withMessage('Slot length must be a multiple of 5 between 15 and 240 minutes'),
+
+  body('bookingSettings.bufferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Buffer must be between 0 and 120 minutes'),
+
+  body('bookingSettings.minNoticeHours')
+    .optional()
+    .isInt({ min: 0, max: 168 })
+    .withMessage('Minimum notice must be between 0 and 168 hours'),
+
+  body('bookingSettings.maxAdvanceDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Booking horizon must be between 1 and 365 days'),
+
+  body('bookingSettings.maxSessionsPerDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Daily session limit must be at least 1')
 ];
 
 const changePasswordValidation = [
@@ -1,7 +1,16 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticate, authorize } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
 const bookingController = require('../controllers/bookingController');
+const homeworkController = require('../controllers/homeworkController');
+const sessionMaterialController = require('../controllers/sessionMaterialController');
+const cancellationPolicyController = require('../controllers/cancellationPolicyController');
+const paymentController = require('../controllers/paymentController');
+const invoiceController = require('../controllers/invoiceController');
+const { uploadConfig, handleUploadError, cleanupOnError } = require('../middleware/upload');
+const { MAX_RECURRING_WEEKS } = require('../config/booking');
+const { GATEWAY_PAYMENT_METHODS } = require('../config/payments');
+const { isValidTimezone } = require('../utils/time');
 
 const router = express.Router();
 
@@ -27,6 +36,16 @@ const createBookingValidation = [
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Valid end time is required (HH:MM format)'),
   
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone'),
+  
+  query('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone'),
+  
   body('duration')
     .isInt({ min: 30 })
     .withMessage('Duration must be at least 30 minutes'),
@@ -44,7 +63,82 @@ const createBookingValidation = [
   body('sessionObjectives')
     .optional()
     .isArray()
-    .withMessage('Session objectives must be an array')
+    .withMessage('Session objectives must be an array'),
+  
+  body('syllabusTopics')
+    .optional()
+    .isArray()
+    .withMessage('Syllabus topics must be an array'),
+  
+  body('syllabusTopics.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid syllabus topic ID')
+];
+
+const recurringBookingValidation = [
+  body('tutorId')
+    .isMongoId()
+    .withMessage('Valid tutor ID is required'),
+  
+  body('courseId')
+    .isMongoId()
+    .withMessage('Valid course ID is required'),
+  
+  body('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required (YYYY-MM-DD format)'),
+  
+  body('startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid start time is required (HH:MM format)'),
+  
+  body('endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid end time is required (HH:MM format)'),
+  
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone'),
+  
+  query('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone'),
+  
+  body('duration')
+    .isInt({ min: 30 })
+    .withMessage('Duration must be at least 30 minutes'),
+  
+  body('weeks')
+    .isInt({ min: 2, max: MAX_RECURRING_WEEKS })
+    .withMessage(`Weeks must be between 2 and ${MAX_RECURRING_WEEKS}`),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn(['cash', 'bkash', 'nagad', 'rocket', 'bank_transfer'])
+    .withMessage('Invalid payment method'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters'),
+  
+  body('sessionObjectives')
+    .optional()
+    .isArray()
+    .withMessage('Session objectives must be an array'),
+  
+  body('syllabusTopics')
+    .optional()
+    .isArray()
+    .withMessage('Syllabus topics must be an array'),
+  
+  body('syllabusTopics.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid syllabus topic ID')
 ];
 
 const feedbackValidation = [
@@ -58,8 +152,137 @@ const feedbackValidation = [
     .withMessage('Comment cannot be more than 1000 characters')
 ];
 
-// Public route to check tutor availability
-router.get('/availability/:tutorId', bookingController.getTutorAvailability);
+const rescheduleValidation = [
+  body('sessionDate')
+    .isISO8601()
+    .withMessage('Valid session date is required (YYYY-MM-DD format)'),
+  
+  body('startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid start time is required (HH:MM format)'),
+  
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone'),
+  
+  query('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone'),
+  
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+];
+
+const homeworkValidation = [
+  body('task')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Task must be between 1 and 200 characters'),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot be more than 2000 characters'),
+  
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+];
+
+const updateHomeworkValidation = [
+  body('task')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Task must be between 1 and 200 characters'),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot be more than 2000 characters'),
+  
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+];
+
+const homeworkCompletedValidation = [
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be true or false'),
+  
+  body('note')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters')
+];
+
+const sessionNotesValidation = [
+  body('tutorNotes')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Notes cannot be more than 5000 characters'),
+  
+  body('sessionSummary')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Summary cannot be more than 5000 characters')
+];
+
+const materialSearchValidation = [
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters'),
+  
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const cancellationPolicyValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Policy name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('tiers')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Tiers must be a list of 1 to 10 refund tiers'),
+  
+  body('tiers.*.minHoursBefore')
+    .isFloat({ min: 0, max: 24 * 365 })
+    .withMessage('Each tier needs a notice period in hours of 0 or more'),
+  
+  body('tiers.*.refundPercent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Each tier needs a refund percent between 0 and 100')
+];
+
+// Public route to check tutor availability; signed in users get times in their own timezone
+router.get('/availability/:tutorId', optionalAuth, bookingController.getTutorAvailability);
+
+// Public route to see how punctual a tutor is
+router.get('/punctuality/:tutorId', bookingController.getTutorPunctuality);
+
+// Public routes to see the cancellation policy that applies before booking
+router.get('/cancellation-policy/platform', cancellationPolicyController.getPlatformCancellationPolicy);
+router.get('/cancellation-policy/tutor/:tutorId', cancellationPolicyController.getTutorCancellationPolicy);
 
 // All other routes require authentication
 router.use(authenticate);
@@ -70,6 +293,31 @@ router.get('/', bookingController.getUserBookings);
 // Get upcoming bookings
 router.get('/upcoming', bookingController.getUpcomingBookings);
 
+// Open homework across all of the user's sessions, soonest due first
+router.get('/homework/open', homeworkController.getOpenHomework);
+
+// Materials across all of the user's sessions, searchable by title or file name
+router.get('/materials', materialSearchValidation, sessionMaterialController.searchSessionMaterials);
+
+// Cancellation policy management
+router.get('/cancellation-policy', authorize('tutor'), cancellationPolicyController.getMyCancellationPolicy);
+router.put(
+  '/cancellation-policy',
+  authorize('tutor'),
+  cancellationPolicyValidation,
+  cancellationPolicyController.updateMyCancellationPolicy
+);
+router.delete('/cancellation-policy', authorize('tutor'), cancellationPolicyController.deleteMyCancellationPolicy);
+router.put(
+  '/cancellation-policy/platform',
+  authorize('admin'),
+  cancellationPolicyValidation,
+  cancellationPolicyController.updatePlatformCancellationPolicy
+);
+
+// Get one booking (student or tutor)
+router.get('/:bookingId', bookingController.getBookingById);
+
 // Create a booking (students only)
 router.post(
   '/', 
@@ -78,6 +326,24 @@ router.post(
   bookingController.createBooking
 );
 
+// Create a weekly recurring booking (students only)
+router.post(
+  '/recurring',
+  authorize('student'),
+  recurringBookingValidation,
+  bookingController.createRecurringBooking
+);
+
+// Recurring booking series
+router.get('/series/:seriesId', bookingController.getBookingSeries);
+router.put('/series/:seriesId/confirm', authorize('tutor'), bookingController.confirmBookingSeries);
+
+router.put(
+  '/series/:seriesId/cancel',
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  bookingController.cancelBookingSeries
+);
+
 // Confirm booking (tutors only)
 router.put(
   '/:bookingId/confirm',
@@ -85,13 +351,87 @@ router.put(
   bookingController.confirmBooking
 );
 
-// Cancel booking (student or tutor)
+// Pay for a booking through bKash, Nagad or Rocket (students only)
+router.post(
+  '/:bookingId/pay',
+  authorize('student'),
+  body('method')
+    .isIn(GATEWAY_PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${GATEWAY_PAYMENT_METHODS.join(', ')}`),
+  paymentController.payForBooking
+);
+
+// Invoice of a paid booking, as a PDF or an HTML page (student, tutor or admin)
+router.get(
+  '/:bookingId/invoice',
+  query('format')
+    .optional()
+    .isIn(['pdf', 'html'])
+    .withMessage('Format must be pdf or html'),
+  invoiceController.downloadBookingInvoice
+);
+
+// Preview the refund, then cancel booking (student or tutor)
+router.get('/:bookingId/cancellation-quote', bookingController.getCancellationQuote);
 router.put(
   '/:bookingId/cancel',
   body('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
   bookingController.cancelBooking
 );
 
+// Reschedule booking (either party proposes, the other accepts or declines)
+router.post(
+  '/:bookingId/reschedule',
+  rescheduleValidation,
+  bookingController.requestReschedule
+);
+
+router.put('/:bookingId/reschedule/accept', bookingController.acceptReschedule);
+router.put('/:bookingId/reschedule/decline', bookingController.declineReschedule);
+router.delete('/:bookingId/reschedule', bookingController.withdrawReschedule);
+
+// Session attendance (student or tutor)
+router.post('/:bookingId/check-in', bookingController.checkInBooking);
+router.post('/:bookingId/check-out', bookingController.checkOutBooking);
+
+// Session notes (tutor) and materials (tutor uploads, both download)
+router.put('/:bookingId/notes', sessionNotesValidation, bookingController.updateSessionNotes);
+router.get('/:bookingId/materials', sessionMaterialController.getSessionMaterials);
+
+router.post(
+  '/:bookingId/materials',
+  uploadConfig.sessionMaterials,
+  cleanupOnError,
+  handleUploadError,
+  sessionMaterialController.addSessionMaterials
+);
+
+router.get('/:bookingId/materials/:materialId/download', sessionMaterialController.downloadSessionMaterial);
+router.delete('/:bookingId/materials/:materialId', sessionMaterialController.deleteSessionMaterial);
+
+// Session homework (tutor assigns, student completes and uploads work)
+router.get('/:bookingId/homework', homeworkController.getBookingHomework);
+router.post('/:bookingId/homework', homeworkValidation, homeworkController.addHomework);
+router.put('/:bookingId/homework/:homeworkId', updateHomeworkValidation, homeworkController.updateHomework);
+router.delete('/:bookingId/homework/:homeworkId', homeworkController.deleteHomework);
+
+router.put(
+  '/:bookingId/homework/:homeworkId/complete',
+  homeworkCompletedValidation,
+  homeworkController.setHomeworkCompleted
+);
+
+router.post(
+  '/:bookingId/homework/:homeworkId/submissions',
+  uploadConfig.homeworkSubmission,
+  cleanupOnError,
+  handleUploadError,
+  homeworkController.submitHomework
+);
+
+router.get('/:bookingId/homework/:homeworkId/submissions/:fileId/download', homeworkController.downloadHomeworkSubmission);
+router.delete('/:bookingId/homework/:homeworkId/submissions/:fileId', homeworkController.deleteHomeworkSubmission);
+
 // Complete booking (tutors only)
 router.put(
   '/:bookingId/complete',
@@ -0,0 +1,32 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const certificateController = require('../controllers/certificateController');
+
+const router = express.Router();
+
+// Validation rules
+const revokeCertificateValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Revocation reason must be between 10 and 500 characters')
+];
+
+// Public routes
+router.get('/verify/:code', certificateController.verifyCertificate);
+
+// Protected routes
+router.get('/mine', authenticate, authorize('student'), certificateController.getMyCertificates);
+router.get('/course/:courseId', authenticate, authorize('tutor', 'admin'), certificateController.getCourseCertificates);
+router.get('/:id/download', authenticate, certificateController.downloadCertificate);
+
+router.put(
+  '/:id/revoke',
+  authenticate,
+  authorize('tutor', 'admin'),
+  revokeCertificateValidation,
+  certificateController.revokeCertificate
+);
+
+module.exports = router;
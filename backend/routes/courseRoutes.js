@@ -1,33 +1,517 @@
 const express = require('express');
-const { authenticate, requireApprovedTutor } = require('../middleware/auth');
+const { body } = require('express-validator');
+const { authenticate, authorize, requireApprovedTutor, optionalAuth } = require('../middleware/auth');
+const { uploadConfig, handleUploadError, cleanupOnError } = require('../middleware/upload');
+const courseController = require('../controllers/courseController');
+const assignmentController = require('../controllers/assignmentController');
+const gradebookController = require('../controllers/gradebookController');
+const progressController = require('../controllers/progressController');
+const resourceController = require('../controllers/resourceController');
+const courseSessionController = require('../controllers/courseSessionController');
 
 const router = express.Router();
 
+const CATEGORIES = [
+  'Programming',
+  'Data Structures',
+  'Algorithms',
+  'Database',
+  'Web Development',
+  'Mobile Development',
+  'Electronics',
+  'Circuit Design',
+  'Signal Processing',
+  'Power Systems',
+  'Marketing',
+  'Finance',
+  'Management',
+  'Accounting',
+  'Business Strategy',
+  'Economics'
+];
+
+// Validation rules
+const createCourseValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+
+  body('department')
+    .isIn(['CSE', 'EEE', 'BBA'])
+    .withMessage('Department must be CSE, EEE, or BBA'),
+
+  body('category')
+    .isIn(CATEGORIES)
+    .withMessage('Invalid course category'),
+
+  body('level')
+    .isIn(['Beginner', 'Intermediate', 'Advanced'])
+    .withMessage('Level must be Beginner, Intermediate, or Advanced'),
+
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price cannot be negative'),
+
+  body('duration')
+    .isFloat({ min: 1 })
+    .withMessage('Duration must be at least 1 hour'),
+
+  body('maxStudents')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Maximum students must be between 1 and 50'),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required (YYYY-MM-DD format)'),
+
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required (YYYY-MM-DD format)'),
+
+  body('meetingLink')
+    .optional()
+    .isURL()
+    .withMessage('Meeting link must be a valid URL')
+];
+
+const updateCourseValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+
+  body('department')
+    .optional()
+    .isIn(['CSE', 'EEE', 'BBA'])
+    .withMessage('Department must be CSE, EEE, or BBA'),
+
+  body('category')
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage('Invalid course category'),
+
+  body('level')
+    .optional()
+    .isIn(['Beginner', 'Intermediate', 'Advanced'])
+    .withMessage('Level must be Beginner, Intermediate, or Advanced'),
+
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price cannot be negative'),
+
+  body('duration')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Duration must be at least 1 hour'),
+
+  body('maxStudents')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Maximum students must be between 1 and 50'),
+
+  body('meetingLink')
+    .optional()
+    .isURL()
+    .withMessage('Meeting link must be a valid URL')
+];
+
+const assignmentValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Assignment title must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot be more than 2000 characters'),
+
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Valid due date is required'),
+
+  body('maxMarks')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Maximum marks must be at least 1'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight cannot be negative'),
+
+  body('allowLateSubmissions')
+    .optional()
+    .isBoolean()
+    .withMessage('allowLateSubmissions must be a boolean'),
+
+  body('allowResubmission')
+    .optional()
+    .isBoolean()
+    .withMessage('allowResubmission must be a boolean'),
+
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum attempts must be between 1 and 10')
+];
+
+const updateAssignmentValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Assignment title must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot be more than 2000 characters'),
+
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid due date is required'),
+
+  body('maxMarks')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Maximum marks must be at least 1'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight cannot be negative'),
+
+  body('allowLateSubmissions')
+    .optional()
+    .isBoolean()
+    .withMessage('allowLateSubmissions must be a boolean'),
+
+  body('allowResubmission')
+    .optional()
+    .isBoolean()
+    .withMessage('allowResubmission must be a boolean'),
+
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum attempts must be between 1 and 10')
+];
+
+const gradeValidation = [
+  body('marks')
+    .isFloat({ min: 0 })
+    .withMessage('Marks must be a non-negative number'),
+
+  body('feedback')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Feedback cannot be more than 2000 characters')
+];
+
+const addResourceValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be more than 100 characters'),
+
+  body('type')
+    .optional()
+    .isIn(['video', 'link'])
+    .withMessage('Type must be video or link when no file is uploaded'),
+
+  body('url')
+    .optional()
+    .isURL()
+    .withMessage('Url must be a valid URL')
+];
+
+const updateResourceValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+
+  body('url')
+    .optional()
+    .isURL()
+    .withMessage('Url must be a valid URL')
+];
+
+const cancelSessionValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Cancellation reason must be between 3 and 500 characters')
+];
+
+const moveSessionValidation = [
+  body('sessionDate')
+    .isISO8601()
+    .withMessage('Valid session date is required'),
+
+  body('startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid start time is required (HH:MM format)'),
+
+  body('endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid end time is required (HH:MM format)'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+];
+
 // Public routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Get all courses endpoint - to be implemented' });
-});
+router.get('/', courseController.getCourses);
 
-router.get('/:id', (req, res) => {
-  res.json({ message: 'Get course by ID endpoint - to be implemented' });
-});
+// Courses taught by the logged in tutor
+router.get('/mine', authenticate, requireApprovedTutor, courseController.getMyCourses);
+
+// Admin: courses waiting for review
+router.get('/review/pending', authenticate, authorize('admin'), courseController.getPendingCourses);
+
+router.get('/:id', optionalAuth, courseController.getCourseById);
 
 // Protected routes
-router.post('/', authenticate, requireApprovedTutor, (req, res) => {
-  res.json({ message: 'Create course endpoint - to be implemented' });
-});
+router.post(
+  '/',
+  authenticate,
+  requireApprovedTutor,
+  uploadConfig.thumbnail,
+  cleanupOnError,
+  createCourseValidation,
+  handleUploadError,
+  courseController.createCourse
+);
 
-router.put('/:id', authenticate, (req, res) => {
-  res.json({ message: 'Update course endpoint - to be implemented' });
-});
+router.put(
+  '/:id',
+  authenticate,
+  requireApprovedTutor,
+  uploadConfig.thumbnail,
+  cleanupOnError,
+  updateCourseValidation,
+  handleUploadError,
+  courseController.updateCourse
+);
 
-router.delete('/:id', authenticate, (req, res) => {
-  res.json({ message: 'Delete course endpoint - to be implemented' });
-});
+router.delete('/:id', authenticate, requireApprovedTutor, courseController.deleteCourse);
 
-router.post('/:id/enroll', authenticate, (req, res) => {
-  res.json({ message: 'Enroll in course endpoint - to be implemented' });
-});
+// Publishing workflow (owning tutor)
+router.put('/:id/submit', authenticate, requireApprovedTutor, courseController.submitCourseForReview);
+router.put('/:id/withdraw', authenticate, requireApprovedTutor, courseController.withdrawCourseFromReview);
+
+// Publishing workflow (admin only)
+router.put('/:id/approve', authenticate, authorize('admin'), courseController.approveCourse);
+
+router.put(
+  '/:id/reject',
+  authenticate,
+  authorize('admin'),
+  body('notes')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Rejection notes must be between 10 and 1000 characters'),
+  courseController.rejectCourse
+);
+
+router.put('/:id/archive', authenticate, authorize('admin'), courseController.archiveCourse);
+
+// Enrollment (students only)
+router.post('/:id/enroll', authenticate, authorize('student'), courseController.enrollInCourse);
+router.delete('/:id/enroll', authenticate, authorize('student'), courseController.unenrollFromCourse);
+router.delete('/:id/waitlist', authenticate, authorize('student'), courseController.leaveWaitlist);
+
+// Enrollment management (owning tutor only)
+router.get('/:id/waitlist', authenticate, requireApprovedTutor, courseController.getWaitlist);
+router.delete(
+  '/:id/students/:studentId',
+  authenticate,
+  requireApprovedTutor,
+  courseController.removeStudent
+);
+
+// Assignments
+router.get('/:id/assignments', authenticate, assignmentController.getAssignments);
+
+router.post(
+  '/:id/assignments',
+  authenticate,
+  requireApprovedTutor,
+  assignmentValidation,
+  assignmentController.createAssignment
+);
+
+router.put(
+  '/:id/assignments/:assignmentId',
+  authenticate,
+  requireApprovedTutor,
+  updateAssignmentValidation,
+  assignmentController.updateAssignment
+);
+
+router.delete(
+  '/:id/assignments/:assignmentId',
+  authenticate,
+  requireApprovedTutor,
+  assignmentController.deleteAssignment
+);
+
+router.post(
+  '/:id/assignments/:assignmentId/submissions',
+  authenticate,
+  authorize('student'),
+  uploadConfig.assignmentSubmission,
+  cleanupOnError,
+  handleUploadError,
+  assignmentController.submitAssignment
+);
+
+router.get(
+  '/:id/assignments/:assignmentId/submissions',
+  authenticate,
+  requireApprovedTutor,
+  assignmentController.getSubmissions
+);
+
+router.get(
+  '/:id/assignments/:assignmentId/submissions/:submissionId/download',
+  authenticate,
+  assignmentController.downloadSubmission
+);
+
+router.put(
+  '/:id/assignments/:assignmentId/submissions/:submissionId/grade',
+  authenticate,
+  requireApprovedTutor,
+  gradeValidation,
+  assignmentController.gradeSubmission
+);
+
+// Gradebook (owning tutor only)
+router.get('/:id/gradebook', authenticate, requireApprovedTutor, gradebookController.getGradebook);
+router.get('/:id/gradebook/export', authenticate, requireApprovedTutor, gradebookController.exportGradebook);
+
+// Syllabus progress
+const topicProgressValidation = body('completed')
+  .optional()
+  .isBoolean()
+  .withMessage('Completed must be a boolean');
+
+router.get('/:id/progress/me', authenticate, authorize('student'), progressController.getMyProgress);
+
+router.put(
+  '/:id/progress/me/topics/:topicId',
+  authenticate,
+  authorize('student'),
+  topicProgressValidation,
+  progressController.updateMyTopic
+);
+
+router.get(
+  '/:id/students/:studentId/progress',
+  authenticate,
+  requireApprovedTutor,
+  progressController.getStudentProgress
+);
+
+router.put(
+  '/:id/students/:studentId/progress/topics/:topicId',
+  authenticate,
+  requireApprovedTutor,
+  topicProgressValidation,
+  progressController.updateStudentTopic
+);
+
+// Resources library
+router.get('/:id/resources', authenticate, resourceController.getResources);
+
+router.post(
+  '/:id/resources',
+  authenticate,
+  requireApprovedTutor,
+  uploadConfig.courseFiles,
+  cleanupOnError,
+  addResourceValidation,
+  handleUploadError,
+  resourceController.addResources
+);
+
+router.put(
+  '/:id/resources/order',
+  authenticate,
+  requireApprovedTutor,
+  body('order').isArray({ min: 1 }).withMessage('Order must be a list of resource IDs'),
+  resourceController.reorderResources
+);
+
+router.put(
+  '/:id/resources/:resourceId',
+  authenticate,
+  requireApprovedTutor,
+  updateResourceValidation,
+  resourceController.updateResource
+);
+
+router.put(
+  '/:id/resources/:resourceId/file',
+  authenticate,
+  requireApprovedTutor,
+  uploadConfig.courseResource,
+  cleanupOnError,
+  handleUploadError,
+  resourceController.replaceResourceFile
+);
+
+router.delete('/:id/resources/:resourceId', authenticate, requireApprovedTutor, resourceController.deleteResource);
+
+router.get('/:id/resources/:resourceId/download', authenticate, resourceController.downloadResource);
+
+// Course sessions
+router.get('/:id/sessions', authenticate, courseSessionController.getSessions);
+router.post('/:id/sessions/generate', authenticate, requireApprovedTutor, courseSessionController.generateSessions);
+
+router.put(
+  '/:id/sessions/:sessionId/cancel',
+  authenticate,
+  requireApprovedTutor,
+  cancelSessionValidation,
+  courseSessionController.cancelSession
+);
+
+router.put(
+  '/:id/sessions/:sessionId/move',
+  authenticate,
+  requireApprovedTutor,
+  moveSessionValidation,
+  courseSessionController.moveSession
+);
+
+// Student's own grades
+router.get('/:id/grades/me', authenticate, authorize('student'), assignmentController.getMyGrades);
 
 router.post('/:id/review', authenticate, (req, res) => {
   res.json({ message: 'Add course review endpoint - to be implemented' });
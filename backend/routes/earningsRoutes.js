@@ -0,0 +1,113 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const earningsController = require('../controllers/earningsController');
+const { MIN_PAYOUT_AMOUNT } = require('../config/payments');
+
+const router = express.Router();
+
+// Validation rules
+const statementValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a date (YYYY-MM-DD)'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a date (YYYY-MM-DD)'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
+const payoutRequestValidation = [
+  body('amount')
+    .isFloat({ min: MIN_PAYOUT_AMOUNT })
+    .withMessage(`Payout amount must be at least ${MIN_PAYOUT_AMOUNT} BDT`)
+    .toFloat(),
+
+  body('method')
+    .isIn(['bkash', 'bank_transfer'])
+    .withMessage('Payout method must be bkash or bank_transfer'),
+
+  body('destination.accountName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Account name must be between 2 and 100 characters'),
+
+  body('destination.accountNumber')
+    .trim()
+    .custom((value, { req }) => {
+      const pattern = req.body.method === 'bkash' ? /^01[3-9]\d{8}$/ : /^\d{6,20}$/;
+      return pattern.test(value);
+    })
+    .withMessage('Please provide a valid bKash number or bank account number'),
+
+  body('destination.bankName')
+    .if(body('method').equals('bank_transfer'))
+    .trim()
+    .notEmpty()
+    .withMessage('Bank name is required for bank transfers'),
+
+  body('destination.branchName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Branch name cannot be more than 100 characters'),
+
+  body('destination.routingNumber')
+    .optional()
+    .trim()
+    .matches(/^\d{9}$/)
+    .withMessage('Routing number must be 9 digits'),
+
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+];
+
+const payoutListValidation = [
+  query('status')
+    .optional()
+    .isIn(['requested', 'paid', 'rejected', 'cancelled'])
+    .withMessage('Invalid payout status')
+];
+
+const approvePayoutValidation = [
+  body('transactionReference')
+    .trim()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Transfer reference must be between 4 and 100 characters'),
+
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+];
+
+const rejectPayoutValidation = [
+  body('note')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Please explain the rejection in 5 to 500 characters')
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/balance', earningsController.getBalance);
+router.get('/statement', statementValidation, earningsController.getStatement);
+
+// Payouts; admins see every payout and work through the requested ones
+router.get('/payouts', payoutListValidation, earningsController.getPayouts);
+router.post('/payouts', payoutRequestValidation, earningsController.requestPayout);
+router.delete('/payouts/:payoutId', earningsController.cancelPayout);
+router.put('/payouts/:payoutId/approve', authorize('admin'), approvePayoutValidation, earningsController.approvePayout);
+router.put('/payouts/:payoutId/reject', authorize('admin'), rejectPayoutValidation, earningsController.rejectPayout);
+
+module.exports = router;
@@ -1,8 +1,26 @@
 const express = require('express');
+const { body, query } = require('express-validator');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const paymentController = require('../controllers/paymentController');
+const invoiceController = require('../controllers/invoiceController');
+const { GATEWAY_PAYMENT_METHODS } = require('../config/payments');
 
 const router = express.Router();
 
+// Validation rules
+const purchaseValidation = [
+  body('method')
+    .isIn(GATEWAY_PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${GATEWAY_PAYMENT_METHODS.join(', ')}`)
+];
+
+const invoiceValidation = [
+  query('format')
+    .optional()
+    .isIn(['pdf', 'html'])
+    .withMessage('Format must be pdf or html')
+];
+
 // Public routes (with optional authentication)
 router.get('/', optionalAuth, (req, res) => {
   res.json({ message: 'Get marketplace items endpoint - to be implemented' });
@@ -37,9 +55,8 @@ router.post('/:id/like', authenticate, (req, res) => {
   res.json({ message: 'Toggle like endpoint - to be implemented' });
 });
 
-router.post('/:id/purchase', authenticate, (req, res) => {
-  res.json({ message: 'Purchase item endpoint - to be implemented' });
-});
+router.post('/:itemId/purchase', authenticate, purchaseValidation, paymentController.payForMarketplaceItem);
+router.get('/:itemId/purchases/:purchaseId/invoice', authenticate, invoiceValidation, invoiceController.downloadPurchaseInvoice);
 
 router.post('/:id/review', authenticate, (req, res) => {
   res.json({ message: 'Add item review endpoint - to be implemented' });
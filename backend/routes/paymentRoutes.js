@@ -0,0 +1,59 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const paymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Validation rules
+const refundReasonValidation = body('reason')
+  .trim()
+  .isLength({ min: 5, max: 500 })
+  .withMessage('Reason must be between 5 and 500 characters');
+
+const refundPaymentValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be more than 0')
+    .toFloat(),
+
+  refundReasonValidation
+];
+
+const paymentListValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'needs_review'])
+    .withMessage('Invalid payment status')
+];
+
+// Public routes called by the payment gateways
+router.get('/callback/:method', paymentController.handlePaymentCallback);
+router.post('/callback/:method', paymentController.handlePaymentCallback);
+router.get('/mock/:method/:gatewayPaymentId', paymentController.mockCheckout);
+
+// All other routes require authentication
+router.use(authenticate);
+
+router.get('/', paymentListValidation, paymentController.getMyPayments);
+
+router.get('/review', authorize('admin'), paymentController.getPaymentsForReview);
+
+router.get('/:paymentId', paymentController.getPaymentById);
+
+router.post(
+  '/:paymentId/refund',
+  authorize('admin'),
+  refundPaymentValidation,
+  paymentController.refundPaymentById
+);
+
+router.post(
+  '/:paymentId/review/refund',
+  authorize('admin'),
+  [refundReasonValidation],
+  paymentController.refundPaymentUnderReview
+);
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate, authorize, requireApprovedTutor } = require('../middleware/auth');
+const quizController = require('../controllers/quizController');
+
+const router = express.Router();
+
+// Validation rules
+const quizFieldValidation = [
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot be more than 1000 characters'),
+
+  body('questions.*.type')
+    .isIn(['mcq', 'multi_select', 'short_answer', 'numeric'])
+    .withMessage('Question type must be mcq, multi_select, short_answer or numeric'),
+
+  body('questions.*.prompt')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Question prompt must be between 1 and 2000 characters'),
+
+  body('questions.*.points')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Question points cannot be negative'),
+
+  body('timeLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Time limit must be at least 1 minute'),
+
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum attempts must be at least 1'),
+
+  body('randomizeQuestions')
+    .optional()
+    .isBoolean()
+    .withMessage('randomizeQuestions must be a boolean'),
+
+  body('passingScore')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Passing score must be between 0 and 100'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight cannot be negative'),
+
+  body('syllabusTopic')
+    .optional()
+    .isMongoId()
+    .withMessage('Syllabus topic must be a valid ID'),
+
+  body('availableFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Available from must be a valid date'),
+
+  body('availableUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Available until must be a valid date'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'published', 'closed'])
+    .withMessage('Status must be draft, published or closed')
+];
+
+const createQuizValidation = [
+  body('courseId')
+    .isMongoId()
+    .withMessage('Valid course ID is required'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Quiz title must be between 3 and 100 characters'),
+
+  body('questions')
+    .isArray({ min: 1 })
+    .withMessage('A quiz needs at least one question'),
+
+  ...quizFieldValidation
+];
+
+const updateQuizValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Quiz title must be between 3 and 100 characters'),
+
+  body('questions')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('A quiz needs at least one question'),
+
+  ...quizFieldValidation
+];
+
+const submitAttemptValidation = [
+  body('answers')
+    .isArray()
+    .withMessage('Answers must be an array'),
+
+  body('answers.*.question')
+    .isMongoId()
+    .withMessage('Each answer must reference a valid question ID')
+];
+
+const gradeAnswerValidation = [
+  body('points')
+    .isFloat({ min: 0 })
+    .withMessage('Points must be a non-negative number'),
+
+  body('feedback')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Feedback cannot be more than 1000 characters')
+];
+
+// Quiz management (owning tutor only)
+router.post(
+  '/',
+  authenticate,
+  requireApprovedTutor,
+  createQuizValidation,
+  quizController.createQuiz
+);
+
+router.put(
+  '/:quizId',
+  authenticate,
+  requireApprovedTutor,
+  updateQuizValidation,
+  quizController.updateQuiz
+);
+
+router.delete('/:quizId', authenticate, requireApprovedTutor, quizController.deleteQuiz);
+router.get('/:quizId/attempts', authenticate, requireApprovedTutor, quizController.getQuizAttempts);
+
+router.put(
+  '/attempts/:attemptId/answers/:answerId/grade',
+  authenticate,
+  requireApprovedTutor,
+  gradeAnswerValidation,
+  quizController.gradeAnswer
+);
+
+// Taking quizzes (enrolled students only)
+router.post('/:quizId/attempts', authenticate, authorize('student'), quizController.startAttempt);
+
+router.post(
+  '/attempts/:attemptId/submit',
+  authenticate,
+  authorize('student'),
+  submitAttemptValidation,
+  quizController.submitAttempt
+);
+
+// Viewing quizzes and attempts (owning tutor or enrolled students)
+router.get('/course/:courseId', authenticate, quizController.getCourseQuizzes);
+router.get('/attempts/:attemptId', authenticate, quizController.getAttempt);
+router.get('/:quizId', authenticate, quizController.getQuiz);
+
+module.exports = router;
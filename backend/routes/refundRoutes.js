@@ -0,0 +1,65 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const refundController = require('../controllers/refundController');
+
+const router = express.Router();
+
+// Validation rules
+const disputeValidation = [
+  body('paymentId')
+    .isMongoId()
+    .withMessage('Invalid payment ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be more than 0')
+    .toFloat(),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters')
+];
+
+const refundListValidation = [
+  query('status')
+    .optional()
+    .isIn(['requested', 'approved', 'rejected', 'processed', 'failed'])
+    .withMessage('Invalid refund status'),
+
+  query('source')
+    .optional()
+    .isIn(['cancellation', 'no-show', 'dispute', 'admin'])
+    .withMessage('Invalid refund source')
+];
+
+const reviewNoteValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+];
+
+const rejectValidation = [
+  body('note')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Please explain the rejection in 5 to 500 characters')
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', refundListValidation, refundController.getRefunds);
+router.post('/', disputeValidation, refundController.requestDisputeRefund);
+router.get('/:refundId', refundController.getRefundById);
+
+// Admin approval queue
+router.put('/:refundId/approve', authorize('admin'), reviewNoteValidation, refundController.approveRefund);
+router.put('/:refundId/reject', authorize('admin'), rejectValidation, refundController.rejectRefund);
+router.put('/:refundId/retry', authorize('admin'), refundController.retryRefund);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CancellationPolicy = require('../models/CancellationPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('CancellationPolicy.quote', () => {
+  const policy = new CancellationPolicy({
+    name: 'Test policy',
+    tiers: [
+      { minHoursBefore: 2, refundPercent: 50 },
+      { minHoursBefore: 24, refundPercent: 100 }
+    ]
+  });
+  const now = new Date('2030-01-07T10:00:00Z');
+  const bookingIn = (hours) => ({
+    startAt: new Date(now.getTime() + hours * HOUR_MS),
+    totalAmount: 1500
+  });
+
+  it('refunds a student by the first tier whose notice they beat', () => {
+    assert.strictEqual(policy.quote(bookingIn(48), 'student', now).refundPercent, 100);
+    assert.strictEqual(policy.quote(bookingIn(10), 'student', now).refundPercent, 50);
+    assert.strictEqual(policy.quote(bookingIn(1), 'student', now).refundPercent, 0);
+  });
+
+  it('needs more notice than a tier asks for, not just as much', () => {
+    assert.strictEqual(policy.quote(bookingIn(24), 'student', now).refundPercent, 50);
+  });
+
+  it('works out the refund amount from the booking total', () => {
+    const quote = policy.quote(bookingIn(10), 'student', now);
+    assert.strictEqual(quote.refundAmount, 750);
+    assert.strictEqual(quote.hoursBefore, 10);
+    assert.strictEqual(quote.cancelledBy, 'student');
+  });
+
+  it('always refunds in full when the tutor or the system cancels', () => {
+    assert.strictEqual(policy.quote(bookingIn(1), 'tutor', now).refundAmount, 1500);
+    assert.strictEqual(policy.quote(bookingIn(1), 'system', now).refundAmount, 1500);
+  });
+
+  it('does not point at a policy that was never saved', () => {
+    assert.strictEqual(policy.quote(bookingIn(10), 'student', now).policy, undefined);
+  });
+});
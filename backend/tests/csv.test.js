@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { escapeCsvValue, toCsv } = require('../utils/csv');
+
+describe('escapeCsvValue', () => {
+  it('keeps text that a spreadsheet would run as a formula as text', () => {
+    assert.strictEqual(escapeCsvValue('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+    assert.strictEqual(escapeCsvValue('+1 234'), '\'+1 234');
+    assert.strictEqual(escapeCsvValue('-2+3'), '\'-2+3');
+    assert.strictEqual(escapeCsvValue('@SUM(A1)'), '\'@SUM(A1)');
+    assert.strictEqual(escapeCsvValue('\tcmd'), '\'\tcmd');
+  });
+
+  it('leaves numbers alone, including negative amounts', () => {
+    assert.strictEqual(escapeCsvValue(-250.5), '-250.5');
+    assert.strictEqual(escapeCsvValue(0), '0');
+  });
+
+  it('quotes values with commas, quotes or line breaks', () => {
+    assert.strictEqual(escapeCsvValue('Dhaka, Bangladesh'), '"Dhaka, Bangladesh"');
+    assert.strictEqual(escapeCsvValue('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(escapeCsvValue('two\nlines'), '"two\nlines"');
+  });
+
+  it('writes empty cells for missing values and ISO dates for dates', () => {
+    assert.strictEqual(escapeCsvValue(null), '');
+    assert.strictEqual(escapeCsvValue(undefined), '');
+    assert.strictEqual(escapeCsvValue(new Date('2030-01-07T10:00:00Z')), '2030-01-07T10:00:00.000Z');
+  });
+});
+
+describe('toCsv', () => {
+  it('joins escaped rows with CRLF line endings', () => {
+    assert.strictEqual(
+      toCsv(['Name', 'Amount'], [['=cmd', -5], ['Plain', 10]]),
+      'Name,Amount\r\n\'=cmd,-5\r\nPlain,10\r\n'
+    );
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { calculateTotals } = require('../utils/gradebook');
+
+describe('calculateTotals', () => {
+  const studentId = 'student-1';
+  const now = new Date('2030-01-07T10:00:00Z');
+  const past = new Date('2030-01-01T00:00:00Z');
+  const future = new Date('2030-02-01T00:00:00Z');
+
+  // Helper to build a gradebook column with one student's score
+  const column = (maxMarks, weight, dueDate, score) => ({
+    maxMarks,
+    weight,
+    dueDate,
+    scores: new Map(score ? [[studentId, score]] : [])
+  });
+
+  it('weights graded work by its column weight', () => {
+    const totals = calculateTotals([
+      column(10, 1, past, { submitted: true, graded: true, marks: 10 }),
+      column(50, 3, past, { submitted: true, graded: true, marks: 25 })
+    ], studentId, now);
+
+    assert.deepStrictEqual(totals, {
+      totalMarks: 35,
+      totalMaxMarks: 60,
+      weightedPercentage: 62.5
+    });
+  });
+
+  it('counts missing work as zero once it is past due', () => {
+    const totals = calculateTotals([
+      column(10, 1, past, { submitted: true, graded: true, marks: 8 }),
+      column(10, 1, past, null)
+    ], studentId, now);
+
+    assert.strictEqual(totals.totalMaxMarks, 20);
+    assert.strictEqual(totals.weightedPercentage, 40);
+  });
+
+  it('leaves out work that is not due yet or not graded yet', () => {
+    const totals = calculateTotals([
+      column(10, 1, past, { submitted: true, graded: true, marks: 6 }),
+      column(10, 1, future, null),
+      column(10, 1, past, { submitted: true, graded: false })
+    ], studentId, now);
+
+    assert.deepStrictEqual(totals, {
+      totalMarks: 6,
+      totalMaxMarks: 10,
+      weightedPercentage: 60
+    });
+  });
+
+  it('has no percentage before anything counts', () => {
+    const totals = calculateTotals([column(10, 1, future, null)], studentId, now);
+    assert.strictEqual(totals.weightedPercentage, null);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const LedgerEntry = require('../models/LedgerEntry');
+
+describe('LedgerEntry.post', () => {
+  const details = { type: 'payment', description: 'Test transaction' };
+
+  it('refuses a transaction whose lines do not add up to zero', async () => {
+    await assert.rejects(
+      LedgerEntry.post('test:unbalanced', details, [
+        { account: 'gateway', amount: -100 },
+        { account: 'customer_funds', amount: 99.99 }
+      ]),
+      /does not balance \(off by -0.01\)/
+    );
+  });
+
+  it('posts balanced lines rounded to the paisa, numbered and without zero lines', async (t) => {
+    const insertMany = t.mock.method(LedgerEntry, 'insertMany', async () => []);
+
+    const posted = await LedgerEntry.post('test:balanced', details, [
+      { account: 'customer_funds', amount: -(0.1 + 0.2) },
+      { account: 'earnings', amount: 0.1 },
+      { account: 'gateway', amount: 0 },
+      { account: 'commission', amount: 0.2 }
+    ]);
+
+    assert.strictEqual(posted, true);
+    const [entries] = insertMany.mock.calls[0].arguments;
+    assert.deepStrictEqual(
+      entries.map(({ transactionKey, line, account, amount }) => ({ transactionKey, line, account, amount })),
+      [
+        { transactionKey: 'test:balanced', line: 0, account: 'customer_funds', amount: -0.3 },
+        { transactionKey: 'test:balanced', line: 1, account: 'earnings', amount: 0.1 },
+        { transactionKey: 'test:balanced', line: 2, account: 'commission', amount: 0.2 }
+      ]
+    );
+  });
+
+  it('posts nothing for a transaction that was already posted', async (t) => {
+    t.mock.method(LedgerEntry, 'insertMany', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+
+    const posted = await LedgerEntry.post('test:again', details, [
+      { account: 'gateway', amount: -50 },
+      { account: 'customer_funds', amount: 50 }
+    ]);
+
+    assert.strictEqual(posted, false);
+  });
+
+  it('posts nothing when every line is zero', async (t) => {
+    const insertMany = t.mock.method(LedgerEntry, 'insertMany', async () => []);
+
+    assert.strictEqual(await LedgerEntry.post('test:empty', details, [{ account: 'gateway', amount: 0 }]), false);
+    assert.strictEqual(insertMany.mock.callCount(), 0);
+  });
+});
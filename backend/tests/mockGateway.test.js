@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createMockGateway } = require('../payments/mockGateway');
+
+describe('mock gateway', () => {
+  const gateway = createMockGateway('bkash');
+
+  it('signs the callback of a finished checkout so it can be read back', async () => {
+    const { gatewayPaymentId } = await gateway.initiate({ amount: 500, currency: 'BDT', reference: 'booking-1' });
+    const callback = gateway.complete(gatewayPaymentId, 'success');
+
+    assert.deepStrictEqual(gateway.parseCallback(callback), { gatewayPaymentId });
+
+    const verified = await gateway.verify(gatewayPaymentId);
+    assert.strictEqual(verified.status, 'paid');
+    assert.strictEqual(verified.amount, 500);
+  });
+
+  it('rejects callbacks with a forged status or signature', async () => {
+    const { gatewayPaymentId } = await gateway.initiate({ amount: 500, currency: 'BDT', reference: 'booking-2' });
+    const callback = gateway.complete(gatewayPaymentId, 'failure');
+
+    assert.throws(() => gateway.parseCallback({ ...callback, status: 'paid' }), /Invalid payment callback signature/);
+    assert.throws(() => gateway.parseCallback({ ...callback, signature: 'f'.repeat(64) }), /Invalid payment callback signature/);
+    assert.throws(() => gateway.parseCallback({ paymentID: gatewayPaymentId }), /Invalid payment callback signature/);
+  });
+
+  it('does not let a finished checkout change its outcome', async () => {
+    const { gatewayPaymentId } = await gateway.initiate({ amount: 500, currency: 'BDT', reference: 'booking-3' });
+    gateway.complete(gatewayPaymentId, 'failure');
+
+    assert.strictEqual(gateway.complete(gatewayPaymentId, 'success').status, 'failed');
+    assert.strictEqual((await gateway.verify(gatewayPaymentId)).status, 'failed');
+  });
+
+  it('refunds at most what was paid', async () => {
+    const { gatewayPaymentId } = await gateway.initiate({ amount: 500, currency: 'BDT', reference: 'booking-4' });
+    gateway.complete(gatewayPaymentId, 'success');
+
+    await gateway.refund(gatewayPaymentId, 300);
+    await assert.rejects(gateway.refund(gatewayPaymentId, 300), /larger than the amount paid/);
+    await gateway.refund(gatewayPaymentId, 200);
+  });
+});
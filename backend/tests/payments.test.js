@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Marketplace = require('../models/Marketplace');
+const LedgerEntry = require('../models/LedgerEntry');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const { getGateway } = require('../payments');
+const { settlePayment } = require('../utils/payments');
+
+// These tests need a real MongoDB, since settling relies on conditional
+// updates. Point MONGODB_TEST_URI at a throwaway database to run them.
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+describe('settlePayment', { skip: !MONGODB_TEST_URI && 'MONGODB_TEST_URI is not set' }, () => {
+  const gateway = getGateway('bkash');
+  const paymentIds = [];
+  let buyer;
+  let seller;
+  let item;
+
+  before(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+    await Promise.all([Payment.init(), LedgerEntry.init(), Invoice.init()]);
+
+    const student = { role: 'student', password: 'password', department: 'CSE', cgpa: 3.5, yearOfStudy: 2 };
+    [buyer, seller] = await User.insertMany([
+      { ...student, firstName: 'Test', lastName: 'Buyer', email: `buyer${new mongoose.Types.ObjectId()}@example.com` },
+      { ...student, firstName: 'Test', lastName: 'Seller', email: `seller${new mongoose.Types.ObjectId()}@example.com` }
+    ]);
+
+    item = await Marketplace.create({
+      title: 'Test notes',
+      description: 'Notes for the payment tests',
+      seller: seller._id,
+      category: 'Study Notes',
+      department: 'CSE',
+      itemType: 'digital',
+      price: 200
+    });
+  });
+
+  after(async () => {
+    await LedgerEntry.deleteMany({ payment: { $in: paymentIds } });
+    await Invoice.deleteMany({ payment: { $in: paymentIds } });
+    await Payment.deleteMany({ _id: { $in: paymentIds } });
+    await Marketplace.deleteOne({ _id: item._id });
+    await User.deleteMany({ _id: { $in: [buyer._id, seller._id] } });
+    await mongoose.disconnect();
+  });
+
+  // Helper to start paying for the item, with the mock gateway's session
+  // taking gatewayAmount however much the payment is for
+  const startPayment = async (amount, gatewayAmount = amount) => {
+    const purchase = await item.addPurchase(buyer._id, amount, 'bkash');
+    const { gatewayPaymentId } = await gateway.initiate({
+      amount: gatewayAmount,
+      currency: 'BDT',
+      reference: purchase._id.toString()
+    });
+
+    const payment = await Payment.create({
+      payer: buyer._id,
+      purpose: 'marketplace',
+      marketplaceItem: item._id,
+      purchase: purchase._id,
+      amount,
+      method: 'bkash',
+      gatewayPaymentId
+    });
+    paymentIds.push(payment._id);
+    return payment;
+  };
+
+  it('leaves a payment pending while the gateway has no outcome', async () => {
+    const payment = await startPayment(200);
+
+    const { payment: settled, changed } = await settlePayment(payment);
+    assert.strictEqual(changed, false);
+    assert.strictEqual(settled.status, 'pending');
+  });
+
+  it('settles a payment only once however many callbacks arrive together', async () => {
+    const payment = await startPayment(200);
+    gateway.complete(payment.gatewayPaymentId, 'success');
+
+    const results = await Promise.all(Array.from({ length: 4 }, () => settlePayment(payment)));
+
+    assert.strictEqual(results.filter(result => result.changed).length, 1);
+    assert.ok(results.every(result => result.payment.status === 'paid'));
+
+    const received = await LedgerEntry.find({ transactionKey: `payment:${payment._id}:received` });
+    assert.strictEqual(received.length, 2);
+
+    const invoices = await Invoice.find({ payment: payment._id });
+    assert.strictEqual(invoices.length, 1);
+    assert.match(invoices[0].number, /^INV-\d{4}-\d{6}$/);
+
+    const updatedItem = await Marketplace.findById(item._id);
+    assert.strictEqual(updatedItem.purchases.id(payment.purchase).paymentStatus, 'paid');
+  });
+
+  it('marks a payment failed when the payer gives up at the gateway', async () => {
+    const payment = await startPayment(200);
+    gateway.complete(payment.gatewayPaymentId, 'failure');
+
+    const { payment: settled, changed } = await settlePayment(payment);
+    assert.strictEqual(changed, true);
+    assert.strictEqual(settled.status, 'failed');
+    assert.strictEqual(await LedgerEntry.countDocuments({ payment: payment._id }), 0);
+  });
+
+  it('holds a payment of the wrong amount for review and keeps the money apart', async () => {
+    const payment = await startPayment(200, 150);
+    gateway.complete(payment.gatewayPaymentId, 'success');
+
+    const { payment: settled } = await settlePayment(payment);
+    assert.strictEqual(settled.status, 'needs_review');
+    assert.strictEqual(settled.paidAmount, 150);
+
+    const lines = await LedgerEntry.find({ transactionKey: `payment:${payment._id}:unmatched` }).sort({ line: 1 });
+    assert.deepStrictEqual(lines.map(({ account, amount }) => ({ account, amount })), [
+      { account: 'gateway', amount: -150 },
+      { account: 'unreconciled', amount: 150 }
+    ]);
+    assert.strictEqual(await Invoice.countDocuments({ payment: payment._id }), 0);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Quiz = require('../models/Quiz');
+
+describe('Quiz.gradeAnswer', () => {
+  const quiz = new Quiz({
+    title: 'Test quiz',
+    questions: [
+      {
+        type: 'mcq',
+        prompt: 'Pick one',
+        points: 2,
+        options: [{ text: 'A', isCorrect: true }, { text: 'B' }]
+      },
+      {
+        type: 'multi_select',
+        prompt: 'Pick all',
+        points: 3,
+        options: [{ text: 'A', isCorrect: true }, { text: 'B', isCorrect: true }, { text: 'C' }]
+      },
+      { type: 'numeric', prompt: 'Pi', correctValue: 3.14, tolerance: 0.01 },
+      { type: 'short_answer', prompt: 'Capital', acceptedAnswers: ['Dhaka'] },
+      { type: 'short_answer', prompt: 'Essay' }
+    ]
+  });
+  const [mcq, multiSelect, numeric, shortAnswer, essay] = quiz.questions;
+  const optionIds = (question, ...indexes) => indexes.map(index => question.options[index]._id.toString());
+
+  it('gives an mcq its points only for the one correct option', () => {
+    assert.deepStrictEqual(quiz.gradeAnswer(mcq, { selectedOptions: optionIds(mcq, 0) }), {
+      isCorrect: true,
+      pointsAwarded: 2,
+      needsReview: false
+    });
+    assert.strictEqual(quiz.gradeAnswer(mcq, { selectedOptions: optionIds(mcq, 1) }).pointsAwarded, 0);
+    assert.strictEqual(quiz.gradeAnswer(mcq, { selectedOptions: optionIds(mcq, 0, 1) }).isCorrect, false);
+  });
+
+  it('grades multi-select all or nothing, in any order', () => {
+    assert.strictEqual(quiz.gradeAnswer(multiSelect, { selectedOptions: optionIds(multiSelect, 1, 0) }).pointsAwarded, 3);
+    assert.strictEqual(quiz.gradeAnswer(multiSelect, { selectedOptions: optionIds(multiSelect, 0) }).pointsAwarded, 0);
+    assert.strictEqual(quiz.gradeAnswer(multiSelect, { selectedOptions: optionIds(multiSelect, 0, 1, 2) }).pointsAwarded, 0);
+  });
+
+  it('accepts numeric answers within the tolerance', () => {
+    assert.strictEqual(quiz.gradeAnswer(numeric, { numericAnswer: '3.149' }).isCorrect, true);
+    assert.strictEqual(quiz.gradeAnswer(numeric, { numericAnswer: 3.2 }).isCorrect, false);
+    assert.strictEqual(quiz.gradeAnswer(numeric, { numericAnswer: 'pi' }).isCorrect, false);
+  });
+
+  it('matches short answers ignoring case and extra spaces', () => {
+    assert.strictEqual(quiz.gradeAnswer(shortAnswer, { textAnswer: '  dhaka ' }).isCorrect, true);
+    assert.strictEqual(quiz.gradeAnswer(shortAnswer, { textAnswer: 'Chittagong' }).isCorrect, false);
+    assert.strictEqual(quiz.gradeAnswer(shortAnswer, { textAnswer: '' }).isCorrect, false);
+  });
+
+  it('leaves short answers without accepted answers for the tutor', () => {
+    assert.deepStrictEqual(quiz.gradeAnswer(essay, { textAnswer: 'My essay' }), {
+      isCorrect: false,
+      pointsAwarded: 0,
+      needsReview: true
+    });
+    assert.strictEqual(quiz.gradeAnswer(essay, { textAnswer: '' }).needsReview, false);
+  });
+
+  it('gives nothing for an unanswered question', () => {
+    assert.deepStrictEqual(quiz.gradeAnswer(mcq, undefined), {
+      isCorrect: false,
+      pointsAwarded: 0,
+      needsReview: false
+    });
+  });
+});
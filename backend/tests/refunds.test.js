@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { getGateway } = require('../payments');
+const { requestRefund, reviewRefund, reopenFailedRefund } = require('../utils/refunds');
+
+// These tests need a real MongoDB, since the amount is reserved with a
+// conditional update. Point MONGODB_TEST_URI at a throwaway database to run them.
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+describe('refund claims', { skip: !MONGODB_TEST_URI && 'MONGODB_TEST_URI is not set' }, () => {
+  const gateway = getGateway('bkash');
+  const payer = new mongoose.Types.ObjectId();
+  const admin = new mongoose.Types.ObjectId();
+  const paymentIds = [];
+
+  before(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+    await Promise.all([Payment.init(), Refund.init()]);
+  });
+
+  after(async () => {
+    await Refund.deleteMany({ payment: { $in: paymentIds } });
+    await Payment.deleteMany({ _id: { $in: paymentIds } });
+    await mongoose.disconnect();
+  });
+
+  // Helper to save a paid marketplace payment; paidAtGateway false leaves
+  // the gateway session unpaid, so refunds of it fail at the gateway
+  const createPaidPayment = async (amount, paidAtGateway = true) => {
+    const { gatewayPaymentId } = await gateway.initiate({ amount, currency: 'BDT', reference: 'refund-test' });
+    if (paidAtGateway) {
+      gateway.complete(gatewayPaymentId, 'success');
+    }
+
+    const payment = await Payment.create({
+      payer,
+      purpose: 'marketplace',
+      marketplaceItem: new mongoose.Types.ObjectId(),
+      purchase: new mongoose.Types.ObjectId(),
+      amount,
+      method: 'bkash',
+      gatewayPaymentId,
+      status: 'paid',
+      paidAt: new Date()
+    });
+    paymentIds.push(payment._id);
+    return payment;
+  };
+
+  // Helper to dispute part of a payment; disputes wait for an admin
+  const dispute = (payment, amount) => requestRefund({
+    payment,
+    amount,
+    reason: 'Item not as described',
+    source: 'dispute',
+    requestedBy: payer
+  });
+
+  it('does not let refunds requested together claim more than was paid', async () => {
+    const payment = await createPaidPayment(200);
+
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () => dispute(payment, 60)));
+
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 3);
+    assert.strictEqual(await Refund.countDocuments({ payment: payment._id }), 3);
+    assert.strictEqual((await Payment.findById(payment._id)).refundedClaimed, 180);
+
+    const rejected = results.find(result => result.status === 'rejected');
+    assert.match(rejected.reason.message, /at most 20/);
+  });
+
+  it('gives back what a rejected refund claimed', async () => {
+    const payment = await createPaidPayment(200);
+    const refund = await dispute(payment, 150);
+
+    await assert.rejects(dispute(payment, 100), /at most 50/);
+
+    const rejected = await reviewRefund(refund, 'rejected', admin, 'Not eligible');
+    assert.strictEqual(rejected.status, 'rejected');
+    assert.strictEqual((await Payment.findById(payment._id)).refundedClaimed, 0);
+    assert.strictEqual((await dispute(payment, 100)).status, 'requested');
+  });
+
+  it('claims the amount again before retrying a failed refund', async () => {
+    const payment = await createPaidPayment(200, false);
+
+    const failed = await requestRefund({ payment, amount: 150, reason: 'Refund by admin', source: 'admin', requestedBy: admin });
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual((await Payment.findById(payment._id)).refundedClaimed, 0);
+
+    // A newer refund takes part of what the failed one gave back
+    await dispute(payment, 100);
+
+    await assert.rejects(reopenFailedRefund(failed, admin), /at most 100/);
+    assert.strictEqual((await Refund.findById(failed._id)).status, 'failed');
+    assert.strictEqual((await Payment.findById(payment._id)).refundedClaimed, 100);
+  });
+});
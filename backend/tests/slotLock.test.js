@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const SlotLock = require('../models/SlotLock');
+
+// These tests need a real MongoDB, since the unique index is what settles
+// the race. Point MONGODB_TEST_URI at a throwaway database to run them.
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+describe('SlotLock.acquire', { skip: !MONGODB_TEST_URI && 'MONGODB_TEST_URI is not set' }, () => {
+  const tutorId = new mongoose.Types.ObjectId();
+  const startAt = new Date('2030-01-07T10:00:00Z');
+  const endAt = new Date('2030-01-07T11:00:00Z');
+  const expiresAt = new Date('2030-01-07T11:00:00Z');
+
+  before(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+    await SlotLock.init();
+  });
+
+  beforeEach(async () => {
+    await SlotLock.deleteMany({});
+  });
+
+  after(async () => {
+    await SlotLock.deleteMany({});
+    await mongoose.disconnect();
+  });
+
+  it('lets exactly one of several concurrent requests take a slot', async () => {
+    const bookingIds = Array.from({ length: 8 }, () => new mongoose.Types.ObjectId());
+
+    const results = await Promise.all(bookingIds.map(bookingId =>
+      SlotLock.acquire(tutorId, bookingId, startAt, endAt, expiresAt)
+    ));
+
+    assert.strictEqual(results.filter(Boolean).length, 1);
+
+    // The winner holds every block and the losers hold none
+    const winner = bookingIds[results.indexOf(true)];
+    const locks = await SlotLock.find({ tutor: tutorId });
+    assert.strictEqual(locks.length, 12);
+    assert.ok(locks.every(lock => lock.booking.equals(winner)));
+  });
+
+  it('lets exactly one of two overlapping slots win', async () => {
+    const results = await Promise.all([
+      SlotLock.acquire(tutorId, new mongoose.Types.ObjectId(), startAt, endAt, expiresAt),
+      SlotLock.acquire(
+        tutorId,
+        new mongoose.Types.ObjectId(),
+        new Date('2030-01-07T10:30:00Z'),
+        new Date('2030-01-07T11:30:00Z'),
+        expiresAt
+      )
+    ]);
+
+    assert.strictEqual(results.filter(Boolean).length, 1);
+  });
+
+  it('keeps the tutor buffer after a session free', async () => {
+    assert.strictEqual(await SlotLock.acquire(tutorId, new mongoose.Types.ObjectId(), startAt, endAt, expiresAt, 15), true);
+
+    // Starts right after the session, inside the buffer
+    const insideBuffer = await SlotLock.acquire(
+      tutorId,
+      new mongoose.Types.ObjectId(),
+      endAt,
+      new Date('2030-01-07T12:00:00Z'),
+      expiresAt,
+      15
+    );
+    assert.strictEqual(insideBuffer, false);
+
+    // Ends less than a buffer before the session starts
+    const beforeSession = await SlotLock.acquire(
+      tutorId,
+      new mongoose.Types.ObjectId(),
+      new Date('2030-01-07T09:00:00Z'),
+      new Date('2030-01-07T09:50:00Z'),
+      expiresAt,
+      15
+    );
+    assert.strictEqual(beforeSession, false);
+
+    const afterBuffer = await SlotLock.acquire(
+      tutorId,
+      new mongoose.Types.ObjectId(),
+      new Date('2030-01-07T11:15:00Z'),
+      new Date('2030-01-07T12:15:00Z'),
+      expiresAt,
+      15
+    );
+    assert.strictEqual(afterBuffer, true);
+  });
+
+  it('moves a booking to an overlapping time and keeps its locks when the move fails', async () => {
+    const bookingId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    await SlotLock.acquire(tutorId, bookingId, startAt, endAt, expiresAt);
+    await SlotLock.acquire(tutorId, otherId, new Date('2030-01-07T12:00:00Z'), new Date('2030-01-07T13:00:00Z'), expiresAt);
+
+    // Clashes with the other booking: nothing changes
+    const clash = await SlotLock.acquire(
+      tutorId,
+      bookingId,
+      new Date('2030-01-07T11:30:00Z'),
+      new Date('2030-01-07T12:30:00Z'),
+      expiresAt
+    );
+    assert.strictEqual(clash, false);
+    const kept = await SlotLock.find({ booking: bookingId }).sort({ blockStart: 1 });
+    assert.strictEqual(kept.length, 12);
+    assert.strictEqual(kept[0].blockStart.getTime(), startAt.getTime());
+
+    // Half an hour later overlaps its own time, which is fine
+    const moved = await SlotLock.acquire(
+      tutorId,
+      bookingId,
+      new Date('2030-01-07T10:30:00Z'),
+      new Date('2030-01-07T11:30:00Z'),
+      expiresAt
+    );
+    assert.strictEqual(moved, true);
+    const locks = await SlotLock.find({ booking: bookingId }).sort({ blockStart: 1 });
+    assert.strictEqual(locks.length, 12);
+    assert.strictEqual(locks[0].blockStart.toISOString(), '2030-01-07T10:30:00.000Z');
+  });
+});
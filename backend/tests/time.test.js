@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc, toZonedParts, isValidTimezone } = require('../utils/time');
+
+describe('zonedTimeToUtc', () => {
+  it('converts a wall-clock time in a fixed-offset timezone', () => {
+    assert.strictEqual(zonedTimeToUtc('2026-06-01', '09:00', 'Asia/Dhaka').toISOString(), '2026-06-01T03:00:00.000Z');
+  });
+
+  it('uses the offset in force on the day, on both sides of a DST change', () => {
+    assert.strictEqual(zonedTimeToUtc('2026-03-07', '10:00', 'America/New_York').toISOString(), '2026-03-07T15:00:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-03-09', '10:00', 'America/New_York').toISOString(), '2026-03-09T14:00:00.000Z');
+  });
+
+  it('keeps times just before and after the clocks go forward', () => {
+    assert.strictEqual(zonedTimeToUtc('2026-03-08', '01:30', 'America/New_York').toISOString(), '2026-03-08T06:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-03-08', '03:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  });
+
+  it('moves a time skipped when the clocks go forward past the gap', () => {
+    // 02:30 never happens in New York on 2026-03-08; it becomes 03:30 EDT
+    const newYork = zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York');
+    assert.strictEqual(newYork.toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.strictEqual(toZonedParts(newYork, 'America/New_York').time, '03:30');
+
+    // Zones ahead of UTC, whose gap falls on the day before in UTC
+    const berlin = zonedTimeToUtc('2026-03-29', '02:30', 'Europe/Berlin');
+    assert.strictEqual(toZonedParts(berlin, 'Europe/Berlin').time, '03:30');
+
+    const sydney = zonedTimeToUtc('2026-10-04', '02:15', 'Australia/Sydney');
+    assert.strictEqual(sydney.toISOString(), '2026-10-03T16:15:00.000Z');
+  });
+
+  it('round-trips through toZonedParts', () => {
+    const instant = zonedTimeToUtc('2026-11-01', '18:45', 'America/New_York');
+    assert.deepStrictEqual(toZonedParts(instant, 'America/New_York'), {
+      dateKey: '2026-11-01',
+      time: '18:45',
+      dayName: 'Sunday'
+    });
+  });
+});
+
+describe('isValidTimezone', () => {
+  it('accepts IANA timezone names', () => {
+    assert.strictEqual(isValidTimezone('Asia/Dhaka'), true);
+    assert.strictEqual(isValidTimezone('UTC'), true);
+  });
+
+  it('rejects unknown names and anything that is not a string', () => {
+    assert.strictEqual(isValidTimezone('Mars/Olympus_Mons'), false);
+    assert.strictEqual(isValidTimezone(''), false);
+    assert.strictEqual(isValidTimezone(['Asia/Dhaka']), false);
+    assert.strictEqual(isValidTimezone(null), false);
+  });
+});
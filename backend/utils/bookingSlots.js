@@ -0,0 +1,180 @@
+const Booking = require('../models/Booking');
+const CourseSession = require('../models/CourseSession');
+const {
+  DEFAULT_TIMEZONE,
+  parseTime,
+  toDateKey,
+  startOfDay,
+  toZonedParts,
+  zonedTimeToUtc
+} = require('./time');
+
+// Turn a wall-clock date and "HH:MM" times in the requester's timezone into a
+// booking slot: the absolute start and end instants, plus the same slot on the
+// tutor's clock, which is what bookings store in sessionDate/startTime/endTime.
+const resolveSlot = (tutor, date, startTime, endTime, timezone) => {
+  const tutorTimezone = tutor.timezone || DEFAULT_TIMEZONE;
+  const startAt = zonedTimeToUtc(date, startTime, timezone);
+  const endAt = zonedTimeToUtc(date, endTime, timezone);
+  const tutorStart = toZonedParts(startAt, tutorTimezone);
+  const tutorEnd = toZonedParts(endAt, tutorTimezone);
+
+  return {
+    startAt,
+    endAt,
+    timezone: tutorTimezone,
+    sessionDate: startOfDay(tutorStart.dateKey),
+    startTime: tutorStart.time,
+    endTime: tutorEnd.time,
+    dayOfWeek: tutorStart.dayName,
+    endsSameDay: tutorStart.dateKey === tutorEnd.dateKey
+  };
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Query for the bookings that currently take up a tutor's time: confirmed or
+// running sessions, and pending requests whose slot hold has not lapsed
+const holdingBookingsFilter = (now = new Date()) => ({
+  $or: [
+    { status: { $in: ['confirmed', 'in-progress'] } },
+    { status: 'pending', holdExpiresAt: { $gt: now } }
+  ]
+});
+
+// Check that a tutor can take a session in a slot from resolveSlot: the slot
+// must respect their booking settings (notice, horizon, slot length, daily
+// cap), fit inside one of their windows for that day on their own clock
+// (weekly hours plus extra hours, none on a blackout day) and keep the buffer
+// clear of every booking holding the tutor's time and every scheduled group
+// session of their courses. Pass excludeBookingId when moving an existing
+// booking so it does not conflict with itself. This is the friendly early
+// check; SlotLock is what settles two requests racing for a slot.
+// Returns null when the slot is free, or { status, message } explaining why not.
+const checkTutorSlot = async (tutor, slot, excludeBookingId = null, now = new Date()) => {
+  const settings = tutor.bookingSettings;
+
+  if (slot.endAt <= slot.startAt) {
+    return { status: 400, message: 'End time must be after start time' };
+  }
+
+  if (slot.startAt - now < settings.minNoticeHours * HOUR_MS) {
+    return { status: 400, message: `This tutor must be booked at least ${settings.minNoticeHours} hours in advance` };
+  }
+
+  if (slot.startAt - now > settings.maxAdvanceDays * 24 * HOUR_MS) {
+    return { status: 400, message: `This tutor can only be booked up to ${settings.maxAdvanceDays} days in advance` };
+  }
+
+  const dateKey = toDateKey(slot.sessionDate);
+  const blackout = tutor.getBlackout(dateKey);
+  if (blackout) {
+    return { status: 400, message: `Tutor is unavailable on this day${blackout.reason ? `: ${blackout.reason}` : ''}` };
+  }
+
+  // Verify tutor availability for this day
+  const windows = tutor.getAvailabilityForDate(dateKey);
+  if (windows.length === 0) {
+    return { status: 400, message: 'Tutor is not available on this day' };
+  }
+
+  // Check if requested time is within one of the tutor's available windows
+  const requestedStartMinutes = parseTime(slot.startTime);
+  const requestedEndMinutes = parseTime(slot.endTime);
+  const window = windows.find(available =>
+    requestedStartMinutes >= parseTime(available.startTime) &&
+    requestedEndMinutes <= parseTime(available.endTime)
+  );
+
+  if (!slot.endsSameDay || !window) {
+    return { status: 400, message: 'Requested time is outside tutor\'s available hours' };
+  }
+
+  // Sessions start on the tutor's slot grid and last a whole number of slots
+  if ((requestedStartMinutes - parseTime(window.startTime)) % settings.slotMinutes !== 0 ||
+      (requestedEndMinutes - requestedStartMinutes) % settings.slotMinutes !== 0) {
+    return {
+      status: 400,
+      message: `Sessions with this tutor start every ${settings.slotMinutes} minutes from ${window.startTime} and last a multiple of ${settings.slotMinutes} minutes`
+    };
+  }
+
+  const excludeSelf = excludeBookingId && { _id: { $ne: excludeBookingId } };
+
+  if (settings.maxSessionsPerDay) {
+    const sessionsThatDay = await Booking.countDocuments({
+      tutor: tutor._id,
+      ...holdingBookingsFilter(now),
+      sessionDate: slot.sessionDate,
+      ...excludeSelf
+    });
+
+    if (sessionsThatDay >= settings.maxSessionsPerDay) {
+      return { status: 409, message: 'Tutor has no more sessions available on this day' };
+    }
+  }
+
+  // Check for conflicting bookings, keeping the buffer free on both sides
+  const bufferMs = settings.bufferMinutes * MINUTE_MS;
+  const conflictingBooking = await Booking.findOne({
+    tutor: tutor._id,
+    ...holdingBookingsFilter(now),
+    startAt: { $lt: new Date(slot.endAt.getTime() + bufferMs) },
+    endAt: { $gt: new Date(slot.startAt.getTime() - bufferMs) },
+    ...excludeSelf
+  });
+
+  if (conflictingBooking) {
+    return { status: 409, message: 'This time slot is already booked. Please choose another time.' };
+  }
+
+  // Group sessions are on the tutor's clock, like the slot's own times
+  const courseSessions = await CourseSession.find({
+    tutor: tutor._id,
+    status: 'scheduled',
+    sessionDate: slot.sessionDate
+  }).select('startTime endTime');
+
+  const conflictingSession = courseSessions.find(session =>
+    parseTime(session.startTime) < requestedEndMinutes + settings.bufferMinutes &&
+    parseTime(session.endTime) > requestedStartMinutes - settings.bufferMinutes
+  );
+
+  if (conflictingSession) {
+    return { status: 409, message: 'Tutor has a group session at this time. Please choose another time.' };
+  }
+
+  return null;
+};
+
+// Get a tutor's availability windows that overlap a period, as instants along
+// with the day on the tutor's clock they belong to. A day in the requester's
+// timezone can cover two days on the tutor's clock.
+const getAvailabilityWindows = (tutor, fromInstant, toInstant) => {
+  const tutorTimezone = tutor.timezone || DEFAULT_TIMEZONE;
+  const dateKeys = new Set([
+    toZonedParts(fromInstant, tutorTimezone).dateKey,
+    toZonedParts(new Date(toInstant.getTime() - 1), tutorTimezone).dateKey
+  ]);
+
+  const windows = [];
+  for (const dateKey of dateKeys) {
+    for (const window of tutor.getAvailabilityForDate(dateKey)) {
+      const startAt = zonedTimeToUtc(dateKey, window.startTime, tutorTimezone);
+      const endAt = zonedTimeToUtc(dateKey, window.endTime, tutorTimezone);
+      if (startAt < toInstant && endAt > fromInstant) {
+        windows.push({ dateKey, startAt, endAt });
+      }
+    }
+  }
+
+  return windows;
+};
+
+module.exports = {
+  holdingBookingsFilter,
+  resolveSlot,
+  getAvailabilityWindows,
+  checkTutorSlot
+};
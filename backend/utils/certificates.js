@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate');
+const User = require('../models/User');
+const { privateStoragePath, ensureDirectoryExists } = require('../middleware/upload');
+
+const certificateStoragePath = path.join(privateStoragePath, 'certificates');
+
+// Build the public URL where a certificate code can be checked
+const getVerificationUrl = (verificationCode) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${clientUrl}/certificates/verify/${verificationCode}`;
+};
+
+// Render a certificate to a landscape A4 PDF in private storage.
+// Resolves with the file path once the file is fully written.
+const generateCertificatePdf = (certificate) => {
+  ensureDirectoryExists(certificateStoragePath);
+  const filePath = path.join(certificateStoragePath, `${certificate.verificationCode}.pdf`);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 60 });
+    const stream = fs.createWriteStream(filePath);
+
+    stream.on('finish', () => resolve(filePath));
+    stream.on('error', reject);
+    doc.pipe(stream);
+
+    const { width, height } = doc.page;
+    doc.lineWidth(3).rect(30, 30, width - 60, height - 60).stroke('#1e3a8a');
+
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(34).fillColor('#1e3a8a')
+      .text('Certificate of Completion', { align: 'center' });
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(16).fillColor('#333333')
+      .text('This certifies that', { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(28).fillColor('#000000')
+      .text(certificate.studentName, { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(16).fillColor('#333333')
+      .text('has successfully completed the course', { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#000000')
+      .text(certificate.courseTitle, { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(14).fillColor('#333333')
+      .text(`taught by ${certificate.tutorName}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+    doc.fontSize(14)
+      .text(`Completed on ${certificate.completionDate.toDateString()}`, { align: 'center' });
+
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+      .text(
+        `Verification code: ${certificate.verificationCode}\nVerify at ${getVerificationUrl(certificate.verificationCode)}`,
+        60,
+        height - 100,
+        { align: 'center', width: width - 120 }
+      );
+
+    doc.end();
+  });
+};
+
+// Issue a certificate for a student who has completed all of a course's syllabus.
+// Every topic must be verified: marked by the tutor, covered by a completed
+// session or passed in a quiz; topics students only marked themselves do not count.
+// Does nothing when the student already has a certificate (including a
+// revoked one, which is not re-issued automatically).
+// Returns the new certificate, or null.
+const issueCertificateIfComplete = async (course, studentId) => {
+  const enrollment = course.getEnrollment(studentId);
+  if (!enrollment || course.syllabus.length === 0) return null;
+
+  const verifiedTopics = enrollment.completedTopics.filter(entry => entry.verified);
+  const verifiedIds = new Set(verifiedTopics.map(entry => entry.topic.toString()));
+  if (!course.syllabus.every(topic => verifiedIds.has(topic._id.toString()))) return null;
+
+  const existing = await Certificate.findOne({ student: studentId, course: course._id });
+  if (existing) return null;
+
+  const [student, tutor] = await Promise.all([
+    User.findById(studentId).select('firstName lastName'),
+    User.findById(course.tutor).select('firstName lastName')
+  ]);
+  if (!student || !tutor) return null;
+
+  // The student completed the course when they finished their last topic
+  const completionDate = verifiedTopics.reduce(
+    (latest, entry) => (entry.completedAt > latest ? entry.completedAt : latest),
+    new Date(0)
+  );
+
+  const certificate = new Certificate({
+    student: studentId,
+    course: course._id,
+    tutor: course.tutor,
+    studentName: student.fullName,
+    courseTitle: course.title,
+    tutorName: tutor.fullName,
+    completionDate: completionDate.getTime() > 0 ? completionDate : new Date()
+  });
+
+  try {
+    await certificate.save();
+  } catch (error) {
+    // A concurrent progress update already issued this certificate
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  // A failed render is retried when the certificate is downloaded
+  try {
+    certificate.filePath = await generateCertificatePdf(certificate);
+    await certificate.save();
+  } catch (error) {
+    console.error('Generate certificate PDF error:', error);
+  }
+
+  return certificate;
+};
+
+module.exports = {
+  getVerificationUrl,
+  generateCertificatePdf,
+  issueCertificateIfComplete
+};
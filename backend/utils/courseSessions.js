@@ -0,0 +1,138 @@
+const Booking = require('../models/Booking');
+const CourseSession = require('../models/CourseSession');
+const { getHoliday } = require('../config/holidays');
+const { timesOverlap, toDateKey, startOfDay, getDayName, addDays } = require('./time');
+
+// Booking statuses that still hold the tutor's time
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+// Load a tutor's bookings and course sessions between two days and return a
+// function that reports why a slot cannot be used, or null when it is free.
+// Loading once keeps generating a whole term to two queries.
+const buildConflictChecker = async (tutor, fromDate, toDate, excludeSessionId = null) => {
+  const dateRange = { $gte: startOfDay(fromDate), $lt: addDays(startOfDay(toDate), 1) };
+
+  const [bookings, sessions] = await Promise.all([
+    Booking.find({
+      tutor: tutor._id,
+      sessionDate: dateRange,
+      status: { $in: ACTIVE_BOOKING_STATUSES }
+    }).select('sessionDate startTime endTime'),
+    CourseSession.find({
+      tutor: tutor._id,
+      sessionDate: dateRange,
+      status: 'scheduled',
+      ...(excludeSessionId && { _id: { $ne: excludeSessionId } })
+    }).select('course sessionDate startTime endTime')
+  ]);
+
+  return (dateKey, startTime, endTime) => {
+    const holiday = getHoliday(dateKey);
+    if (holiday) {
+      return { reason: 'holiday', message: holiday };
+    }
+
+    const blackout = tutor.getBlackout(dateKey);
+    if (blackout) {
+      return { reason: 'blackout', message: blackout.reason || 'Tutor is unavailable' };
+    }
+
+    const booking = bookings.find(existing =>
+      toDateKey(existing.sessionDate) === dateKey &&
+      timesOverlap(startTime, endTime, existing.startTime, existing.endTime)
+    );
+    if (booking) {
+      return { reason: 'booking_conflict', message: 'Tutor has a one-on-one booking at this time', booking: booking._id };
+    }
+
+    const session = sessions.find(existing =>
+      toDateKey(existing.sessionDate) === dateKey &&
+      timesOverlap(startTime, endTime, existing.startTime, existing.endTime)
+    );
+    if (session) {
+      return { reason: 'session_conflict', message: 'Tutor has another course session at this time', session: session._id };
+    }
+
+    return null;
+  };
+};
+
+// Create the concrete sessions of a course from its weekly schedule, between
+// its start and end dates. Past days are not generated and occurrences that
+// already exist are left alone, so it is safe to run again after the schedule
+// or dates change. Recurring slots repeat weekly; a non-recurring slot only
+// happens on its first matching day. Days that clash with a holiday, tutor
+// blackout, booking or other course session are skipped and reported.
+const generateCourseSessions = async (course, tutor) => {
+  const today = startOfDay(new Date());
+  const firstDay = course.startDate > today ? startOfDay(course.startDate) : today;
+  const lastDay = startOfDay(course.endDate);
+
+  const existingSessions = await CourseSession.find({ course: course._id })
+    .select('scheduleSlot occurrenceDate');
+  const existingKeys = new Set(existingSessions.map(session =>
+    `${session.scheduleSlot}|${toDateKey(session.occurrenceDate)}`
+  ));
+
+  const findConflict = await buildConflictChecker(tutor, firstDay, lastDay);
+  const attendees = course.enrolledStudents.map(enrollment => enrollment.student);
+
+  const toCreate = [];
+  const skipped = [];
+  let existingCount = 0;
+
+  for (const slot of course.schedule) {
+    // A one-off slot belongs on its first matching day, even if that has passed
+    let day = slot.recurring ? firstDay : startOfDay(course.startDate);
+    for (let offset = 0; offset < 7 && getDayName(day) !== slot.day; offset++) {
+      day = addDays(day, 1);
+    }
+
+    // Slots saved before the day was validated may not name a real day
+    if (getDayName(day) !== slot.day) {
+      continue;
+    }
+
+    for (; day <= lastDay; day = addDays(day, 7)) {
+      const dateKey = toDateKey(day);
+
+      if (existingKeys.has(`${slot._id}|${dateKey}`)) {
+        existingCount += 1;
+      } else if (day >= firstDay) {
+        const conflict = findConflict(dateKey, slot.startTime, slot.endTime);
+
+        if (conflict) {
+          skipped.push({ date: dateKey, startTime: slot.startTime, endTime: slot.endTime, ...conflict });
+        } else {
+          toCreate.push({
+            course: course._id,
+            tutor: tutor._id,
+            scheduleSlot: slot._id,
+            occurrenceDate: day,
+            sessionDate: day,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            attendees,
+            meetingLink: course.meetingLink
+          });
+        }
+      }
+
+      if (!slot.recurring) break;
+    }
+  }
+
+  const created = toCreate.length > 0 ? await CourseSession.insertMany(toCreate) : [];
+
+  return {
+    created,
+    skipped: skipped.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime)),
+    existingCount
+  };
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  buildConflictChecker,
+  generateCourseSessions
+};
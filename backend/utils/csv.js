@@ -0,0 +1,40 @@
+// Escape a single value for a CSV cell
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let stringValue = value instanceof Date ? value.toISOString() : String(value);
+
+  // Spreadsheets run text starting with these characters as a formula, so
+  // user-supplied text is kept as text. Numbers, such as negative amounts,
+  // are left alone.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    stringValue = `'${stringValue}`;
+  }
+
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+
+  return stringValue;
+};
+
+// Convert a header row and data rows (arrays of values) into CSV text
+const toCsv = (headers, rows) => {
+  const lines = [headers, ...rows].map(row => row.map(escapeCsvValue).join(','));
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Send CSV text as a file download
+const sendCsv = (res, fileName, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(csv);
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  sendCsv
+};
@@ -0,0 +1,174 @@
+// Build gradebook columns from a course's assignments.
+// Each column carries its scores keyed by student ID so other kinds of
+// graded work can be added as extra columns with the same shape.
+const buildAssignmentColumns = (course) => {
+  return course.assignments.map(assignment => {
+    const scores = new Map();
+
+    for (const enrollment of course.enrolledStudents) {
+      const studentId = (enrollment.student._id || enrollment.student).toString();
+      const submission = course.getLatestSubmission(assignment, studentId);
+
+      scores.set(studentId, {
+        submitted: Boolean(submission),
+        graded: Boolean(submission && submission.graded),
+        isLate: Boolean(submission && submission.isLate),
+        marks: submission && submission.graded ? submission.marks : null
+      });
+    }
+
+    return {
+      id: assignment._id.toString(),
+      type: 'assignment',
+      title: assignment.title,
+      maxMarks: assignment.maxMarks,
+      weight: assignment.weight,
+      dueDate: assignment.dueDate,
+      scores
+    };
+  });
+};
+
+// Build gradebook columns from quizzes, using each student's best finished attempt.
+// Attempts still waiting for the tutor to grade short answers count as ungraded.
+const buildQuizColumns = (course, quizzes, bestAttempts) => {
+  return quizzes.map(quiz => {
+    const scores = new Map();
+
+    for (const enrollment of course.enrolledStudents) {
+      const studentId = (enrollment.student._id || enrollment.student).toString();
+      const attempt = bestAttempts.find(best =>
+        best.quiz.toString() === quiz._id.toString() && best.student.toString() === studentId
+      );
+      const graded = Boolean(attempt && attempt.status !== 'pending-review');
+
+      scores.set(studentId, {
+        submitted: Boolean(attempt),
+        graded,
+        isLate: false,
+        marks: graded ? attempt.score : null
+      });
+    }
+
+    return {
+      id: quiz._id.toString(),
+      type: 'quiz',
+      title: quiz.title,
+      maxMarks: quiz.totalPoints,
+      weight: quiz.weight,
+      dueDate: quiz.availableUntil,
+      scores
+    };
+  });
+};
+
+// Calculate a student's totals across gradebook columns.
+// Graded work counts at its marks. Missing work counts as zero once the
+// due date has passed. Work that is not yet due or not yet graded is left
+// out so the percentage reflects the student's standing so far.
+const calculateTotals = (columns, studentId, now = new Date()) => {
+  let totalMarks = 0;
+  let totalMaxMarks = 0;
+  let weightedScore = 0;
+  let totalWeight = 0;
+
+  for (const column of columns) {
+    const score = column.scores.get(studentId);
+    const isPastDue = column.dueDate && column.dueDate < now;
+
+    let fraction = null;
+    if (score && score.graded) {
+      totalMarks += score.marks;
+      fraction = column.maxMarks > 0 ? score.marks / column.maxMarks : 0;
+    } else if ((!score || !score.submitted) && isPastDue) {
+      fraction = 0;
+    }
+
+    if (fraction === null) continue;
+
+    totalMaxMarks += column.maxMarks;
+    weightedScore += fraction * column.weight;
+    totalWeight += column.weight;
+  }
+
+  return {
+    totalMarks,
+    totalMaxMarks,
+    weightedPercentage: totalWeight > 0
+      ? Math.round((weightedScore / totalWeight) * 10000) / 100
+      : null
+  };
+};
+
+// Build a student × graded-item matrix for a course.
+// The course must have enrolledStudents.student populated with names.
+const buildGradebook = (course, extraColumns = []) => {
+  const columns = [...buildAssignmentColumns(course), ...extraColumns];
+
+  const rows = course.enrolledStudents.map(enrollment => {
+    const student = enrollment.student;
+    const studentId = (student._id || student).toString();
+
+    return {
+      student: {
+        _id: studentId,
+        firstName: student.firstName,
+        lastName: student.lastName,
+        email: student.email
+      },
+      progress: enrollment.progress,
+      completedSessions: enrollment.completedSessions,
+      scores: Object.fromEntries(columns.map(column => [column.id, column.scores.get(studentId) || null])),
+      ...calculateTotals(columns, studentId)
+    };
+  });
+
+  return {
+    columns: columns.map(({ scores, ...column }) => column),
+    rows
+  };
+};
+
+// Flatten a gradebook into CSV headers and rows
+const gradebookToCsvRows = (gradebook) => {
+  const headers = [
+    'Student ID',
+    'First Name',
+    'Last Name',
+    'Email',
+    ...gradebook.columns.map(column => `${column.title} (/${column.maxMarks}, weight ${column.weight})`),
+    'Total Marks',
+    'Total Max Marks',
+    'Weighted %',
+    'Progress %',
+    'Completed Sessions'
+  ];
+
+  const rows = gradebook.rows.map(row => [
+    row.student._id,
+    row.student.firstName,
+    row.student.lastName,
+    row.student.email,
+    ...gradebook.columns.map(column => {
+      const score = row.scores[column.id];
+      if (!score || !score.submitted) return 'missing';
+      if (!score.graded) return 'ungraded';
+      return score.marks;
+    }),
+    row.totalMarks,
+    row.totalMaxMarks,
+    row.weightedPercentage,
+    row.progress,
+    row.completedSessions
+  ]);
+
+  return { headers, rows };
+};
+
+module.exports = {
+  buildAssignmentColumns,
+  buildQuizColumns,
+  calculateTotals,
+  buildGradebook,
+  gradebookToCsvRows
+};
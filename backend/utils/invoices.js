@@ -0,0 +1,307 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Booking = require('../models/Booking');
+const Marketplace = require('../models/Marketplace');
+const User = require('../models/User');
+const { toDateKey } = require('./time');
+
+const PAYMENT_METHOD_NAMES = {
+  bkash: 'bKash',
+  nagad: 'Nagad',
+  rocket: 'Rocket'
+};
+
+// Helper to copy the parts of a user an invoice shows
+const toParty = (user) => ({
+  user: user._id,
+  name: user.fullName,
+  email: user.email
+});
+
+// Helper to build the line items of a booking with its tutor populated: the
+// session length in hours at the tutor's hourly rate, as
+// Booking.calculateAmount charges it
+const getBookingLineItems = (booking) => {
+  const hours = booking.duration / 60;
+
+  // If the tutor has changed their rate since, show the rate that was charged
+  const hourlyRate = Math.round(booking.tutor.hourlyRate * hours) === booking.totalAmount
+    ? booking.tutor.hourlyRate
+    : Math.round(booking.totalAmount / hours * 100) / 100;
+
+  const course = booking.course ? ` - ${booking.course.title}` : '';
+
+  return [{
+    description: `Tutoring session${course} on ${toDateKey(booking.sessionDate)}, ${booking.startTime}-${booking.endTime} (${booking.timezone})`,
+    quantity: hours,
+    unit: 'hour',
+    unitPrice: hourlyRate,
+    amount: booking.totalAmount
+  }];
+};
+
+// How long a request may take to number an invoice before another may take over
+const NUMBERING_TIMEOUT_MS = 60 * 1000;
+
+// Helper to give an invoice the next number from the "invoice" counter.
+// Only the request that claims the invoice takes a number, so requests
+// racing to issue the same invoice do not use numbers up and leave gaps.
+const assignInvoiceNumber = async (invoice) => {
+  const claimed = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      number: { $exists: false },
+      $or: [
+        { numberingStartedAt: { $exists: false } },
+        { numberingStartedAt: { $lte: new Date(Date.now() - NUMBERING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { numberingStartedAt: new Date() } }
+  );
+
+  // Another request has numbered it or is doing so now
+  if (!claimed) {
+    return Invoice.findById(invoice._id);
+  }
+
+  const seq = await Counter.next('invoice');
+  const year = (invoice.paidAt || invoice.issuedAt).getUTCFullYear();
+
+  return Invoice.findByIdAndUpdate(
+    invoice._id,
+    { $set: { number: `INV-${year}-${String(seq).padStart(6, '0')}` } },
+    { new: true }
+  );
+};
+
+// Issue the invoice for a paid payment, or get it if it was issued already.
+// The invoice is created first, once per payment, and only then numbered, so
+// numbers follow on from each other. Resolves an invoice without a number
+// only while another request is still numbering it.
+const issueInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ payment: payment._id });
+  if (existing) {
+    return existing.number ? existing : assignInvoiceNumber(existing);
+  }
+
+  const details = {
+    payment: payment._id,
+    purpose: payment.purpose,
+    total: payment.amount,
+    currency: payment.currency,
+    paymentMethod: payment.method,
+    paymentReference: payment.transactionId,
+    paidAt: payment.paidAt
+  };
+
+  const customer = await User.findById(payment.payer).select('firstName lastName email');
+  details.customer = toParty(customer);
+
+  if (payment.purpose === 'booking') {
+    const booking = await Booking.findById(payment.booking)
+      .populate('tutor', 'firstName lastName email hourlyRate')
+      .populate('course', 'title');
+
+    Object.assign(details, {
+      booking: booking._id,
+      issuer: toParty(booking.tutor),
+      lineItems: getBookingLineItems(booking)
+    });
+  } else {
+    const item = await Marketplace.findById(payment.marketplaceItem)
+      .populate('seller', 'firstName lastName email');
+
+    Object.assign(details, {
+      marketplaceItem: item._id,
+      purchase: payment.purchase,
+      issuer: toParty(item.seller),
+      lineItems: [{
+        description: item.title,
+        quantity: 1,
+        unit: 'item',
+        unitPrice: payment.amount,
+        amount: payment.amount
+      }]
+    });
+  }
+
+  let invoice;
+  try {
+    // Of two requests racing to create it, both get the one invoice
+    invoice = await Invoice.findOneAndUpdate(
+      { payment: payment._id },
+      { $setOnInsert: details },
+      { upsert: true, new: true, runValidators: true }
+    );
+  } catch (error) {
+    // Both upserts tried to insert; the other one won
+    if (error.code !== 11000) throw error;
+    invoice = await Invoice.findOne({ payment: payment._id });
+  }
+
+  return invoice.number ? invoice : assignInvoiceNumber(invoice);
+};
+
+// Helper to format an amount of money
+const formatMoney = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+
+// Put together what an invoice shows, with every refund of the payment so
+// far as a negative adjustment
+const buildInvoiceView = (invoice, payment) => {
+  const adjustments = payment.refunds.map(refund => ({
+    description: refund.reason ? `Refund: ${refund.reason}` : 'Refund',
+    date: refund.createdAt,
+    amount: -refund.amount
+  }));
+  const refundedTotal = adjustments.reduce((sum, adjustment) => sum - adjustment.amount, 0);
+
+  return {
+    ...invoice.toObject(),
+    paymentMethodName: PAYMENT_METHOD_NAMES[invoice.paymentMethod] || invoice.paymentMethod,
+    paymentStatus: payment.status,
+    adjustments,
+    refundedTotal,
+    netTotal: invoice.total - refundedTotal
+  };
+};
+
+// Helper to escape text for HTML
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Render an invoice view as a standalone HTML page
+const renderInvoiceHtml = (view) => {
+  const money = amount => escapeHtml(formatMoney(amount, view.currency));
+  const fromLabel = view.purpose === 'booking' ? 'Tutor' : 'Seller';
+  const toLabel = view.purpose === 'booking' ? 'Student' : 'Buyer';
+
+  const lineRows = view.lineItems.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="number">${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}${item.quantity === 1 ? '' : 's'}</td>
+          <td class="number">${money(item.unitPrice)}</td>
+          <td class="number">${money(item.amount)}</td>
+        </tr>`).join('');
+
+  const adjustmentRows = view.adjustments.map(adjustment => `
+        <tr>
+          <td colspan="3">${escapeHtml(adjustment.description)} (${escapeHtml(toDateKey(adjustment.date))})</td>
+          <td class="number">${money(adjustment.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(view.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #333333; max-width: 800px; margin: 40px auto; }
+    h1 { color: #1e3a8a; margin-bottom: 4px; }
+    .parties { display: flex; justify-content: space-between; margin: 24px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #dddddd; text-align: left; }
+    .number { text-align: right; }
+    .total td { font-weight: bold; border-bottom: none; }
+  </style>
+</head>
+<body>
+  <h1>Invoice</h1>
+  <div>No. ${escapeHtml(view.number)} &middot; Issued ${escapeHtml(toDateKey(view.issuedAt))}</div>
+  <div class="parties">
+    <div><strong>${fromLabel}</strong><br>${escapeHtml(view.issuer.name)}<br>${escapeHtml(view.issuer.email)}</div>
+    <div><strong>${toLabel}</strong><br>${escapeHtml(view.customer.name)}<br>${escapeHtml(view.customer.email)}</div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="number">Quantity</th><th class="number">Unit price</th><th class="number">Amount</th></tr>
+    </thead>
+    <tbody>${lineRows}
+        <tr class="total"><td colspan="3">Total paid</td><td class="number">${money(view.total)}</td></tr>${adjustmentRows}${view.adjustments.length > 0 ? `
+        <tr class="total"><td colspan="3">Net after refunds</td><td class="number">${money(view.netTotal)}</td></tr>` : ''}
+    </tbody>
+  </table>
+  <p>Paid via ${escapeHtml(view.paymentMethodName)}${view.paymentReference ? `, reference ${escapeHtml(view.paymentReference)}` : ''}${view.paidAt ? ` on ${escapeHtml(toDateKey(view.paidAt))}` : ''}.</p>
+</body>
+</html>
+`;
+};
+
+// Render an invoice view as an A4 PDF written to a stream, e.g. a response
+const writeInvoicePdf = (view, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  const money = amount => formatMoney(amount, view.currency);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const columns = [left, left + width * 0.5, left + width * 0.65, left + width * 0.82];
+
+  // Helper to draw one table row and move below it
+  const row = (cells, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    const first = cells.length === 2 ? width * 0.82 - 5 : width * 0.5 - 5;
+    doc.text(cells[0], columns[0], y, { width: first });
+    const bottom = doc.y;
+    cells.slice(1).forEach((cell, index) => {
+      const column = cells.length === 2 ? 3 : index + 1;
+      doc.text(cell, columns[column], y, { width: width * 0.18 - 5, align: 'right' });
+    });
+    doc.x = left;
+    doc.y = Math.max(bottom, doc.y) + 6;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(24).fillColor('#1e3a8a').text('Invoice');
+  doc.font('Helvetica').fontSize(10).fillColor('#333333')
+    .text(`No. ${view.number}`)
+    .text(`Issued ${toDateKey(view.issuedAt)}`);
+
+  doc.moveDown();
+  const partiesY = doc.y;
+  doc.font('Helvetica-Bold').text(view.purpose === 'booking' ? 'Tutor' : 'Seller', left, partiesY);
+  doc.font('Helvetica').text(view.issuer.name).text(view.issuer.email || '');
+  doc.font('Helvetica-Bold').text(view.purpose === 'booking' ? 'Student' : 'Buyer', left + width / 2, partiesY);
+  doc.font('Helvetica').text(view.customer.name).text(view.customer.email || '');
+  doc.x = left;
+
+  doc.moveDown(2);
+  row(['Description', 'Quantity', 'Unit price', 'Amount'], { bold: true });
+  for (const item of view.lineItems) {
+    row([
+      item.description,
+      `${item.quantity} ${item.unit}${item.quantity === 1 ? '' : 's'}`,
+      money(item.unitPrice),
+      money(item.amount)
+    ]);
+  }
+
+  doc.moveDown(0.5);
+  row(['Total paid', money(view.total)], { bold: true });
+  for (const adjustment of view.adjustments) {
+    row([`${adjustment.description} (${toDateKey(adjustment.date)})`, money(adjustment.amount)]);
+  }
+  if (view.adjustments.length > 0) {
+    row(['Net after refunds', money(view.netTotal)], { bold: true });
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10).text(
+    `Paid via ${view.paymentMethodName}` +
+    (view.paymentReference ? `, reference ${view.paymentReference}` : '') +
+    (view.paidAt ? ` on ${toDateKey(view.paidAt)}` : '') + '.'
+  );
+
+  doc.end();
+};
+
+module.exports = {
+  issueInvoice,
+  buildInvoiceView,
+  renderInvoiceHtml,
+  writeInvoicePdf
+};
@@ -0,0 +1,196 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Booking = require('../models/Booking');
+const Marketplace = require('../models/Marketplace');
+const Payment = require('../models/Payment');
+const { PLATFORM_COMMISSION_PERCENT } = require('../config/payments');
+
+// Helper to split an amount into the earner's share and the commission
+const splitCommission = (amount) => {
+  const commission = Math.round(amount * PLATFORM_COMMISSION_PERCENT) / 100;
+  return { net: amount - commission, commission };
+};
+
+// Helper to get the key of the earning transaction for what a payment paid for
+const getEarningKey = (payment) => {
+  return payment.purpose === 'booking'
+    ? `booking:${payment.booking}:earning`
+    : `purchase:${payment.purchase}:earning`;
+};
+
+// Helper to copy a payment's references onto its ledger lines
+const paymentDetails = (payment) => ({
+  payment: payment._id,
+  booking: payment.booking,
+  marketplaceItem: payment.marketplaceItem,
+  currency: payment.currency
+});
+
+// Record money coming in through a gateway. It is held for the customer
+// until the session happens or the item is sold.
+const recordPaymentReceived = (payment) => {
+  return LedgerEntry.post(`payment:${payment._id}:received`, {
+    ...paymentDetails(payment),
+    type: 'payment',
+    description: `Payment ${payment.transactionId || payment._id} received via ${payment.method}`
+  }, [
+    { account: 'gateway', amount: -payment.amount },
+    { account: 'customer_funds', amount: payment.amount }
+  ]);
+};
+
+// Helper to move what is left of a payment from customer funds to the
+// earner and the platform
+const recordEarning = async (payment, earnerId, type, description) => {
+  await recordPaymentReceived(payment);
+
+  const amount = Math.round((payment.amount - payment.refundedAmount) * 100) / 100;
+  const { net, commission } = splitCommission(amount);
+
+  return LedgerEntry.post(getEarningKey(payment), {
+    ...paymentDetails(payment),
+    type,
+    description
+  }, [
+    { account: 'customer_funds', amount: -amount },
+    { account: 'earnings', user: earnerId, amount: net },
+    { account: 'commission', amount: commission }
+  ]);
+};
+
+// Record a completed booking's payment as the tutor's earning.
+// Does nothing for bookings that were not paid online.
+const recordBookingEarning = async (booking) => {
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: { $in: ['paid', 'partially_refunded'] }
+  });
+  if (!payment) {
+    return false;
+  }
+
+  return recordEarning(payment, booking.tutor, 'session_earning', 'Session earning');
+};
+
+// Record a newly paid payment: the money received and, for a marketplace
+// item or a session that has already taken place, the earning
+const recordPayment = async (payment) => {
+  if (payment.purpose === 'marketplace') {
+    const item = await Marketplace.findById(payment.marketplaceItem).select('seller title');
+    return recordEarning(payment, item.seller, 'sale_earning', `Sale of ${item.title}`);
+  }
+
+  const booking = await Booking.findById(payment.booking).select('tutor status');
+  if (booking && booking.status === 'completed') {
+    return recordEarning(payment, booking.tutor, 'session_earning', 'Session earning');
+  }
+
+  return recordPaymentReceived(payment);
+};
+
+// Record money sent back through a gateway. Once the earning has been
+// posted the refund comes out of the earner's balance and the commission
+// in the same proportions; before that it comes out of customer funds.
+const recordRefund = async (payment, amount, gatewayRefundId, refundId) => {
+  const details = {
+    ...paymentDetails(payment),
+    refund: refundId,
+    type: 'refund',
+    description: `Refund ${gatewayRefundId} via ${payment.method}`
+  };
+
+  const earningLines = await LedgerEntry.find({ transactionKey: getEarningKey(payment) });
+  if (earningLines.length === 0) {
+    return LedgerEntry.post(`refund:${gatewayRefundId}`, details, [
+      { account: 'customer_funds', amount: -amount },
+      { account: 'gateway', amount }
+    ]);
+  }
+
+  const earned = earningLines.find(line => line.account === 'earnings');
+  const earnedCommission = earningLines.find(line => line.account === 'commission');
+  const earnedTotal = (earned ? earned.amount : 0) + (earnedCommission ? earnedCommission.amount : 0);
+  const commission = earnedTotal > 0 && earnedCommission
+    ? Math.round(amount * earnedCommission.amount / earnedTotal * 100) / 100
+    : 0;
+
+  return LedgerEntry.post(`refund:${gatewayRefundId}`, details, [
+    { account: 'earnings', user: earned && earned.user, amount: -(amount - commission) },
+    { account: 'commission', amount: -commission },
+    { account: 'gateway', amount }
+  ]);
+};
+
+// Record money a gateway took that does not match the amount due. It is
+// kept apart from customer funds until an admin sends it back.
+const recordUnmatchedPayment = (payment) => {
+  return LedgerEntry.post(`payment:${payment._id}:unmatched`, {
+    ...paymentDetails(payment),
+    type: 'payment',
+    description: `Payment ${payment.transactionId || payment._id} via ${payment.method} of ${payment.paidAmount} instead of ${payment.amount}`
+  }, [
+    { account: 'gateway', amount: -payment.paidAmount },
+    { account: 'unreconciled', amount: payment.paidAmount }
+  ]);
+};
+
+// Record an unmatched payment as sent back through its gateway
+const recordUnmatchedRefund = (payment, gatewayRefundId) => {
+  return LedgerEntry.post(`refund:${gatewayRefundId}`, {
+    ...paymentDetails(payment),
+    type: 'refund',
+    description: `Refund ${gatewayRefundId} of an unmatched payment via ${payment.method}`
+  }, [
+    { account: 'unreconciled', amount: -payment.paidAmount },
+    { account: 'gateway', amount: payment.paidAmount }
+  ]);
+};
+
+// Set aside a user's earnings for a payout they requested
+const recordPayoutRequested = (payout) => {
+  return LedgerEntry.post(`payout:${payout._id}:requested`, {
+    payout: payout._id,
+    currency: payout.currency,
+    type: 'payout',
+    description: `Payout requested to ${payout.method}`
+  }, [
+    { account: 'earnings', user: payout.user, amount: -payout.amount },
+    { account: 'payout_pending', user: payout.user, amount: payout.amount }
+  ]);
+};
+
+// Record a payout as sent
+const recordPayoutPaid = (payout) => {
+  return LedgerEntry.post(`payout:${payout._id}:paid`, {
+    payout: payout._id,
+    currency: payout.currency,
+    type: 'payout',
+    description: `Payout ${payout.transactionReference} sent via ${payout.method}`
+  }, [
+    { account: 'payout_pending', user: payout.user, amount: -payout.amount },
+    { account: 'gateway', amount: payout.amount }
+  ]);
+};
+
+// Put the amount of a rejected or cancelled payout back into earnings
+const recordPayoutReversed = (payout) => {
+  return LedgerEntry.post(`payout:${payout._id}:reversed`, {
+    payout: payout._id,
+    currency: payout.currency,
+    type: 'reversal',
+    description: `Payout ${payout.status}`
+  }, [
+    { account: 'payout_pending', user: payout.user, amount: -payout.amount },
+    { account: 'earnings', user: payout.user, amount: payout.amount }
+  ]);
+};
+
+module.exports = {
+  recordPayment,
+  recordBookingEarning,
+  recordRefund,
+  recordUnmatchedPayment,
+  recordUnmatchedRefund,
+  recordPayoutRequested,
+  recordPayoutPaid,
+  recordPayoutReversed
+};
@@ -0,0 +1,212 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Marketplace = require('../models/Marketplace');
+const { getGateway } = require('../payments');
+const { recordPayment, recordUnmatchedPayment, recordUnmatchedRefund } = require('./ledger');
+const { issueInvoice } = require('./invoices');
+
+// Copy a payment's status onto the booking or marketplace purchase it pays for
+const syncPaymentTarget = async (payment) => {
+  if (payment.purpose === 'booking') {
+    if (payment.status === 'paid') {
+      await Booking.updateOne({ _id: payment.booking }, {
+        $set: {
+          paymentStatus: 'paid',
+          paymentMethod: payment.method,
+          paymentReference: payment.transactionId
+        }
+      });
+    } else if (payment.status === 'failed') {
+      // Another attempt may already have paid for the booking
+      await Booking.updateOne(
+        { _id: payment.booking, paymentStatus: { $in: ['pending', 'failed'] } },
+        { $set: { paymentStatus: 'failed' } }
+      );
+    } else if (['partially_refunded', 'refunded'].includes(payment.status)) {
+      await Booking.updateOne({ _id: payment.booking }, {
+        $set: {
+          paymentStatus: payment.status,
+          refundAmount: payment.refundedAmount
+        }
+      });
+    }
+    return;
+  }
+
+  await Marketplace.updateOne(
+    { _id: payment.marketplaceItem, 'purchases._id': payment.purchase },
+    { $set: { 'purchases.$.paymentStatus': payment.status } }
+  );
+
+  // A physical item is marked sold when it is bought; put it back on sale if
+  // the payment failed and nobody else has paid or is paying for it
+  if (payment.status === 'failed') {
+    await Marketplace.updateOne(
+      {
+        _id: payment.marketplaceItem,
+        itemType: 'physical',
+        availability: 'sold',
+        'purchases.paymentStatus': { $nin: ['pending', 'paid', 'partially_refunded', 'needs_review'] }
+      },
+      { $set: { availability: 'available' } }
+    );
+  }
+};
+
+// Check a pending payment with its gateway and record the outcome.
+// Safe to call any number of times: only the first call that sees the
+// payment finish changes it, so repeated callbacks have no further effect.
+// A payment of the wrong amount is held for an admin to review, since the
+// gateway has taken the money. Resolves { payment, changed }.
+const settlePayment = async (payment) => {
+  if (payment.status !== 'pending') {
+    return { payment, changed: false };
+  }
+
+  const result = await getGateway(payment.method).verify(payment.gatewayPaymentId);
+  if (result.status === 'pending') {
+    return { payment, changed: false };
+  }
+
+  const now = new Date();
+  let update;
+  if (result.status === 'paid' && result.amount !== payment.amount) {
+    update = {
+      status: 'needs_review',
+      paidAmount: result.amount,
+      transactionId: result.transactionId,
+      reviewReason: 'Paid amount does not match the amount due'
+    };
+  } else if (result.status === 'paid') {
+    update = { status: 'paid', paidAt: now, transactionId: result.transactionId };
+  } else {
+    update = { status: 'failed', failedAt: now, failureReason: result.reason || 'Payment was not completed' };
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { payment: await Payment.findById(payment._id), changed: false };
+  }
+
+  await syncPaymentTarget(updated);
+  if (updated.status === 'needs_review') {
+    await recordUnmatchedPayment(updated);
+  } else if (updated.status === 'paid') {
+    await recordPayment(updated);
+
+    // A failed invoice is issued when it is first downloaded
+    try {
+      await issueInvoice(updated);
+    } catch (error) {
+      console.error('Issue invoice error:', error);
+    }
+  }
+
+  return { payment: updated, changed: true };
+};
+
+// Give up on a pending payment whose session has expired, so whatever it
+// held (such as a physical item marked sold) is freed. The gateway is asked
+// first in case the payment went through and its callback was lost.
+// Resolves { payment, changed }.
+const expirePayment = async (payment) => {
+  const settled = await settlePayment(payment);
+  if (settled.payment.status !== 'pending') {
+    return settled;
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { $set: { status: 'failed', failedAt: new Date(), failureReason: 'Payment session expired' } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { payment: await Payment.findById(payment._id), changed: false };
+  }
+
+  await syncPaymentTarget(updated);
+  return { payment: updated, changed: true };
+};
+
+// Send back the whole of a payment held for review through its gateway and
+// close it as failed. Resolves the updated payment, or null when the payment
+// is not held for review (any more).
+const refundUnmatchedPayment = async (payment, reason, refundedBy) => {
+  // Claim the payment first, so two admins cannot both send the money back
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'needs_review' },
+    { $set: { status: 'failed', failedAt: new Date(), failureReason: payment.reviewReason } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  let gatewayRefundId;
+  try {
+    ({ gatewayRefundId } = await getGateway(claimed.method).refund(claimed.gatewayPaymentId, claimed.paidAmount));
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'needs_review' }, $unset: { failedAt: 1, failureReason: 1 } }
+    );
+    throw error;
+  }
+
+  const updated = await Payment.findByIdAndUpdate(claimed._id, {
+    $set: { refundedAmount: claimed.paidAmount, refundedAt: new Date() },
+    $push: { refunds: { gatewayRefundId, amount: claimed.paidAmount, reason, refundedBy } }
+  }, { new: true });
+
+  await recordUnmatchedRefund(updated, gatewayRefundId);
+  await syncPaymentTarget(updated);
+
+  return updated;
+};
+
+// Send some or all of a paid payment back through its gateway.
+// The payment is partially refunded until the whole amount has been returned.
+// Use utils/refunds rather than calling this directly, so every refund is
+// recorded and approved.
+const refundPayment = async (payment, amount, reason, refundedBy) => {
+  if (!['paid', 'partially_refunded'].includes(payment.status)) {
+    throw new Error('Only paid payments can be refunded');
+  }
+
+  const refundAmount = amount === undefined ? payment.refundableAmount : amount;
+  if (refundAmount <= 0 || refundAmount > payment.refundableAmount) {
+    throw new Error(`Refund amount must be more than 0 and at most ${payment.refundableAmount}`);
+  }
+
+  const { gatewayRefundId } = await getGateway(payment.method).refund(payment.gatewayPaymentId, refundAmount);
+
+  // Update with $inc so refunds of the same payment running side by side
+  // cannot overwrite each other's totals
+  let updated = await Payment.findByIdAndUpdate(payment._id, {
+    $inc: { refundedAmount: refundAmount },
+    $push: { refunds: { gatewayRefundId, amount: refundAmount, reason, refundedBy } },
+    $set: { refundedAt: new Date() }
+  }, { new: true });
+
+  updated = await Payment.findByIdAndUpdate(updated._id, {
+    $set: { status: updated.refundedAmount >= updated.amount - 0.005 ? 'refunded' : 'partially_refunded' }
+  }, { new: true });
+
+  await syncPaymentTarget(updated);
+
+  return { payment: updated, gatewayRefundId };
+};
+
+module.exports = {
+  syncPaymentTarget,
+  settlePayment,
+  expirePayment,
+  refundUnmatchedPayment,
+  refundPayment
+};
@@ -0,0 +1,169 @@
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const { refundPayment } = require('./payments');
+const { recordRefund } = require('./ledger');
+const { REFUND_APPROVAL_THRESHOLD } = require('../config/payments');
+
+// Send an approved refund through the payment's gateway.
+// Only one call can process a refund; the others get it back unchanged.
+const processRefund = async (refund) => {
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'approved', processingStartedAt: { $exists: false } },
+    { $set: { processingStartedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return Refund.findById(refund._id);
+  }
+
+  let refunded = null;
+  try {
+    const payment = await Payment.findById(claimed.payment);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    refunded = await refundPayment(payment, claimed.amount, claimed.reason, claimed.reviewedBy);
+
+    claimed.status = 'processed';
+    claimed.processedAt = new Date();
+    claimed.gatewayRefundId = refunded.gatewayRefundId;
+    claimed.failureReason = undefined;
+  } catch (error) {
+    console.error('Process refund error:', error);
+    claimed.status = 'failed';
+    claimed.failureReason = error.message;
+  }
+
+  claimed.processingStartedAt = undefined;
+  await claimed.save();
+
+  // Give back what the refund set aside, for a newer refund or a retry to claim
+  if (claimed.status === 'failed') {
+    await Payment.releaseRefund(claimed.payment, claimed.amount);
+  }
+
+  if (refunded) {
+    await recordRefund(refunded.payment, claimed.amount, refunded.gatewayRefundId, claimed._id);
+  }
+
+  return claimed;
+};
+
+// Helper to set aside an amount of a payment for a refund, throwing when
+// the payment cannot cover it
+const claimRefundAmount = async (paymentId, amount) => {
+  const claimed = amount > 0 && await Payment.claimRefund(paymentId, amount);
+  if (!claimed) {
+    const payment = await Payment.findById(paymentId);
+    throw new Error(`Refund amount must be more than 0 and at most ${payment ? payment.unclaimedAmount : 0}`);
+  }
+  return claimed;
+};
+
+// Record a refund of a payment and, unless it needs an admin's approval,
+// send it straight away. Disputes always wait for an admin, as do refunds
+// above REFUND_APPROVAL_THRESHOLD; refunds an admin asks for are approved by
+// asking. Throws when the payment cannot cover the amount.
+const requestRefund = async ({ payment, amount, reason, source, requestedBy }) => {
+  if (!['paid', 'partially_refunded'].includes(payment.status)) {
+    throw new Error('Only paid payments can be refunded');
+  }
+
+  const refundAmount = amount === undefined ? payment.unclaimedAmount : Math.round(amount * 100) / 100;
+  await claimRefundAmount(payment._id, refundAmount);
+
+  const requiresApproval = source === 'dispute' ||
+    (source !== 'admin' && refundAmount > REFUND_APPROVAL_THRESHOLD);
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      payment: payment._id,
+      purpose: payment.purpose,
+      booking: payment.booking,
+      marketplaceItem: payment.marketplaceItem,
+      purchase: payment.purchase,
+      payer: payment.payer,
+      amount: refundAmount,
+      currency: payment.currency,
+      source,
+      reason,
+      requestedBy,
+      requiresApproval,
+      ...(!requiresApproval && {
+        status: 'approved',
+        reviewedBy: source === 'admin' ? requestedBy : undefined,
+        reviewedAt: new Date()
+      })
+    });
+  } catch (error) {
+    await Payment.releaseRefund(payment._id, refundAmount);
+    throw error;
+  }
+
+  return requiresApproval ? refund : processRefund(refund);
+};
+
+// Approve or reject a requested refund. A rejected refund gives back what
+// it set aside. Resolves null when the refund is no longer waiting.
+const reviewRefund = async (refund, status, reviewerId, note) => {
+  const reviewed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'requested' },
+    { $set: { status, reviewedBy: reviewerId, reviewedAt: new Date(), reviewNote: note } },
+    { new: true }
+  );
+
+  if (reviewed && status === 'rejected') {
+    await Payment.releaseRefund(reviewed.payment, reviewed.amount);
+  }
+
+  return reviewed;
+};
+
+// Approve a failed refund again so it can be retried. What it set aside was
+// given back when it failed, so it is claimed again first: a newer refund
+// may have taken it since. Throws when the payment no longer covers it;
+// resolves null when the refund is no longer failed.
+const reopenFailedRefund = async (refund, reviewerId) => {
+  await claimRefundAmount(refund.payment, refund.amount);
+
+  const reopened = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'failed' },
+    { $set: { status: 'approved', reviewedBy: reviewerId } },
+    { new: true }
+  );
+
+  if (!reopened) {
+    await Payment.releaseRefund(refund.payment, refund.amount);
+  }
+
+  return reopened;
+};
+
+// Refund up to amount of what was paid online for a booking. Resolves null
+// when nothing was paid through a gateway or it has all been refunded already.
+const requestBookingRefund = async (booking, amount, reason, source, requestedBy) => {
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: { $in: ['paid', 'partially_refunded'] }
+  });
+  if (!payment) {
+    return null;
+  }
+
+  const refundAmount = Math.min(amount, payment.unclaimedAmount);
+  if (refundAmount <= 0) {
+    return null;
+  }
+
+  return requestRefund({ payment, amount: refundAmount, reason, source, requestedBy });
+};
+
+module.exports = {
+  processRefund,
+  requestRefund,
+  reviewRefund,
+  reopenFailedRefund,
+  requestBookingRefund
+};
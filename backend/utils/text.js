@@ -0,0 +1,6 @@
+// Escape user input so it matches literally inside a regular expression
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegExp
+};
@@ -0,0 +1,129 @@
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Timezone used for users who have not chosen one, and for older bookings
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Dhaka';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Convert an "HH:MM" time to minutes since midnight
+const parseTime = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight to an "HH:MM" time
+const formatTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+// Check whether two "HH:MM" time ranges on the same day overlap
+const timesOverlap = (startA, endA, startB, endB) => {
+  return parseTime(startA) < parseTime(endB) && parseTime(endA) > parseTime(startB);
+};
+
+// Get the calendar day of a date as "YYYY-MM-DD" (UTC, like stored session dates)
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Get a date at UTC midnight for a "YYYY-MM-DD" key or any date on that day
+const startOfDay = (date) => new Date(`${toDateKey(date)}T00:00:00.000Z`);
+
+// Get the weekday name ("Monday", ...) of a date's UTC calendar day
+const getDayName = (date) => DAY_NAMES[new Date(date).getUTCDay()];
+
+// Add whole days to a date
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+// Check that a string is an IANA timezone name such as "Asia/Dhaka". Anything
+// else, such as an array from a repeated query parameter, is rejected.
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get the wall-clock date and time of an instant in a timezone:
+// { dateKey: "YYYY-MM-DD", time: "HH:MM", dayName: "Monday" }
+const toZonedParts = (instant, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'long'
+  }).formatToParts(new Date(instant));
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    dateKey: `${part('year')}-${part('month')}-${part('day')}`,
+    time: `${part('hour')}:${part('minute')}`,
+    dayName: part('weekday')
+  };
+};
+
+// Get how far a timezone is ahead of UTC at an instant, in milliseconds
+const getTimezoneOffset = (instant, timezone) => {
+  const { dateKey, time } = toZonedParts(instant, timezone);
+  const wallClockAsUtc = Date.parse(`${dateKey}T${time}:00.000Z`);
+  const instantToMinute = Math.floor(new Date(instant).getTime() / MINUTE_MS) * MINUTE_MS;
+  return wallClockAsUtc - instantToMinute;
+};
+
+// Convert a wall-clock date ("YYYY-MM-DD" or a Date's UTC day) and "HH:MM"
+// time in a timezone to the instant it happens. A time the clocks skip when
+// DST starts is moved forward by the gap, as the clocks are: 02:30 on the
+// day New York jumps from 02:00 to 03:00 becomes 03:30.
+const zonedTimeToUtc = (date, time, timezone) => {
+  const dateKey = toDateKey(date);
+  const wallClockAsUtc = Date.parse(`${dateKey}T00:00:00.000Z`) + parseTime(time) * MINUTE_MS;
+
+  // The offset can change across DST, so check it again at the first guess
+  let instant = wallClockAsUtc - getTimezoneOffset(wallClockAsUtc, timezone);
+  instant = wallClockAsUtc - getTimezoneOffset(instant, timezone);
+
+  // Neither offset gives back the wall-clock time, so it fell in the gap;
+  // use the offset from before the clocks went forward
+  const parts = toZonedParts(instant, timezone);
+  if (parts.dateKey !== dateKey || parseTime(parts.time) !== parseTime(time)) {
+    const offsetBefore = Math.min(
+      getTimezoneOffset(wallClockAsUtc - DAY_MS, timezone),
+      getTimezoneOffset(wallClockAsUtc + DAY_MS, timezone)
+    );
+    instant = wallClockAsUtc - offsetBefore;
+  }
+
+  return new Date(instant);
+};
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  toZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  parseTime,
+  formatTime,
+  timesOverlap,
+  toDateKey,
+  startOfDay,
+  getDayName,
+  addDays
+};